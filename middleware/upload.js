@@ -2,45 +2,77 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
-// Create uploads directory if not exists
-const uploadDir = path.join(__dirname, "../uploads/sick-letters");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  console.log("📁 Created uploads directory:", uploadDir);
+// Create multer instance yang menyimpan file ke uploads/<folder>
+function createUpload(folder, { allowedTypes, errorMessage, maxFileSize }) {
+  // Create uploads directory if not exists
+  const uploadDir = path.join(__dirname, "../uploads", folder);
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    console.log("📁 Created uploads directory:", uploadDir);
+  }
+
+  // Configure storage
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+      // Format: employeeId_timestamp_originalname
+      const employeeId =
+        req.user?.employeeId || req.user?.employee_id || "unknown";
+      const timestamp = Date.now();
+      const originalName = file.originalname.replace(/\s+/g, "_"); // Replace spaces with underscores
+      const filename = `${employeeId}_${timestamp}_${originalName}`;
+      cb(null, filename);
+    },
+  });
+
+  // File filter - only allow configured types
+  const fileFilter = (req, file, cb) => {
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(errorMessage), false);
+    }
+  };
+
+  // Configure multer
+  return multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: maxFileSize,
+    },
+  });
 }
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Format: employeeId_timestamp_originalname
-    const employeeId =
-      req.user?.employeeId || req.user?.employee_id || "unknown";
-    const timestamp = Date.now();
-    const originalName = file.originalname.replace(/\s+/g, "_"); // Replace spaces with underscores
-    const filename = `${employeeId}_${timestamp}_${originalName}`;
-    cb(null, filename);
-  },
+const upload = createUpload("sick-letters", {
+  allowedTypes: ["application/pdf"],
+  errorMessage: "Only PDF files are allowed!",
+  maxFileSize: 5 * 1024 * 1024, // 5MB max file size
 });
 
-// File filter - only allow PDF
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype === "application/pdf") {
-    cb(null, true);
-  } else {
-    cb(new Error("Only PDF files are allowed!"), false);
-  }
-};
-
-// Configure multer
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB max file size
-  },
+// Lampiran koreksi absensi (PDF)
+upload.correctionUpload = createUpload("corrections", {
+  allowedTypes: ["application/pdf"],
+  errorMessage: "Only PDF files are allowed!",
+  maxFileSize: 5 * 1024 * 1024,
 });
 
+// Log mesin absensi fingerprint / face recognition (CSV/TXT)
+upload.deviceLogUpload = createUpload("device-logs", {
+  allowedTypes: ["text/csv", "text/plain", "application/vnd.ms-excel"],
+  errorMessage: "Only CSV/TXT files are allowed!",
+  maxFileSize: 5 * 1024 * 1024,
+});
+
+// Foto selfie check-in / check-out (JPG/PNG/WEBP)
+upload.selfieUpload = createUpload("selfies", {
+  allowedTypes: ["image/jpeg", "image/png", "image/webp"],
+  errorMessage: "Only JPG/PNG/WEBP images are allowed!",
+  maxFileSize: 2 * 1024 * 1024, // 2MB
+});
+
+upload.createUpload = createUpload;
+
 module.exports = upload;
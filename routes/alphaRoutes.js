@@ -17,6 +17,15 @@
 
 const express = require("express");
 const authMiddleware = require("../middleware/auth");
+const {
+  getCompanyClock,
+  getMonthRange,
+  addDays,
+  dateKeyToDate,
+} = require("../services/timezoneService");
+const {
+  syncAttendanceDeductions,
+} = require("../services/payrollDeductionService");
 
 module.exports = function (prisma, alphaCheckService) {
   const router = express.Router();
@@ -49,7 +58,12 @@ module.exports = function (prisma, alphaCheckService) {
         if (date) {
           // Check specific date
           const checkDate = new Date(date);
-          checkDate.setHours(0, 0, 0, 0);
+
+          if (isNaN(checkDate.getTime())) {
+            return res.status(400).json({
+              error: "Format tanggal tidak valid (YYYY-MM-DD)",
+            });
+          }
 
           console.log("   Checking specific date:", date);
           result = await alphaCheckService.checkAlphaForDate(checkDate);
@@ -106,8 +120,9 @@ module.exports = function (prisma, alphaCheckService) {
           const monthNum = parseInt(month);
           const yearNum = parseInt(year);
 
-          startDate = new Date(yearNum, monthNum - 1, 1);
-          endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+          const range = getMonthRange(yearNum, monthNum);
+          startDate = range.start;
+          endDate = range.end;
 
           console.log(`📊 Getting stats for: ${monthNum}/${yearNum}`);
         } else if (start_date && end_date) {
@@ -118,16 +133,10 @@ module.exports = function (prisma, alphaCheckService) {
           console.log(`📊 Getting stats for: ${start_date} to ${end_date}`);
         } else {
           // Default: current month
-          const now = new Date();
-          startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-          endDate = new Date(
-            now.getFullYear(),
-            now.getMonth() + 1,
-            0,
-            23,
-            59,
-            59
-          );
+          const clock = await getCompanyClock(prisma);
+          const range = getMonthRange(clock.year, clock.month);
+          startDate = range.start;
+          endDate = range.end;
 
           console.log("📊 Getting stats for: Current month (default)");
         }
@@ -158,10 +167,9 @@ module.exports = function (prisma, alphaCheckService) {
     authMiddleware.authorizeRole(["Admin", "HR"]),
     async (req, res) => {
       try {
-        const today = new Date().toISOString().split("T")[0];
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split("T")[0];
+        const clock = await getCompanyClock(prisma);
+        const today = clock.dateKey;
+        const yesterdayStr = addDays(today, -1);
 
         console.log("📡 Fetching alpha system status...");
 
@@ -170,7 +178,7 @@ module.exports = function (prisma, alphaCheckService) {
           where: {
             status: "alpa",
             tanggal: {
-              gte: new Date(today),
+              gte: dateKeyToDate(today),
             },
             recorded_by_role: "System",
           },
@@ -181,8 +189,8 @@ module.exports = function (prisma, alphaCheckService) {
           where: {
             status: "alpa",
             tanggal: {
-              gte: new Date(yesterdayStr),
-              lt: new Date(today),
+              gte: dateKeyToDate(yesterdayStr),
+              lt: dateKeyToDate(today),
             },
             recorded_by_role: "System",
           },
@@ -191,7 +199,7 @@ module.exports = function (prisma, alphaCheckService) {
         res.json({
           status: "Alpha check service is running",
           cron_schedule: "Every day at 18:00 WIB",
-          timezone: "Asia/Jakarta",
+          timezone: clock.timezone,
           today: {
             date: today,
             alpha_records: alphaToday.length,
@@ -266,6 +274,12 @@ module.exports = function (prisma, alphaCheckService) {
           });
         }
 
+        // Reverse the alpha deduction before deleting the record
+        await syncAttendanceDeductions(prisma, record.attendance_id, {
+          reason: `alpha dihapus oleh ${req.user.username}`,
+          remove: true,
+        });
+
         // Delete the alpha record
         await prisma.attendance.delete({
           where: { attendance_id: parseInt(attendance_id) },
@@ -371,6 +385,15 @@ module.exports = function (prisma, alphaCheckService) {
           },
         });
 
+        // Reverse the alpha deduction in payroll
+        const adjustments = await syncAttendanceDeductions(
+          prisma,
+          updated.attendance_id,
+          {
+            reason: `alpha diubah menjadi ${new_status} oleh ${req.user.username}`,
+          }
+        );
+
         console.log(
           `✅ Alpha converted successfully: ${record.status} → ${new_status}`
         );
@@ -386,6 +409,7 @@ module.exports = function (prisma, alphaCheckService) {
             keterangan: updated.keterangan,
             converted_by: req.user.username,
           },
+          payroll_adjustments: adjustments,
         });
       } catch (error) {
         console.error("❌ Error converting alpha record:", error);
@@ -420,23 +444,18 @@ module.exports = function (prisma, alphaCheckService) {
         if (month && year) {
           const monthNum = parseInt(month);
           const yearNum = parseInt(year);
-          startDate = new Date(yearNum, monthNum - 1, 1);
-          endDate = new Date(yearNum, monthNum, 0, 23, 59, 59);
+          const range = getMonthRange(yearNum, monthNum);
+          startDate = range.start;
+          endDate = range.end;
         } else if (start_date && end_date) {
           startDate = new Date(start_date);
           endDate = new Date(end_date);
         } else {
           // Default: current month
-          const now = new Date();
-          startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-          endDate = new Date(
-            now.getFullYear(),
-            now.getMonth() + 1,
-            0,
-            23,
-            59,
-            59
-          );
+          const clock = await getCompanyClock(prisma);
+          const range = getMonthRange(clock.year, clock.month);
+          startDate = range.start;
+          endDate = range.end;
         }
 
         const alphaRecords = await prisma.attendance.findMany({
@@ -499,15 +518,10 @@ module.exports = function (prisma, alphaCheckService) {
     authMiddleware.authorizeRole(["Admin", "HR"]),
     async (req, res) => {
       try {
-        const now = new Date();
-        const startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        const endDate = new Date(
-          now.getFullYear(),
-          now.getMonth() + 1,
-          0,
-          23,
-          59,
-          59
+        const clock = await getCompanyClock(prisma);
+        const { start: startDate, end: endDate } = getMonthRange(
+          clock.year,
+          clock.month
         );
 
         console.log("📊 Getting alpha summary for current month...");
@@ -560,9 +574,12 @@ module.exports = function (prisma, alphaCheckService) {
 
         res.json({
           period: {
-            month: now.getMonth() + 1,
-            year: now.getFullYear(),
-            month_name: now.toLocaleString("id-ID", { month: "long" }),
+            month: clock.month,
+            year: clock.year,
+            month_name: startDate.toLocaleString("id-ID", {
+              month: "long",
+              timeZone: "UTC",
+            }),
           },
           total_alpha_records: alphaRecords.length,
           total_deduction: alphaRecords.length * 100000,
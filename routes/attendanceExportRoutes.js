@@ -0,0 +1,122 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const {
+  RECAP_COLUMNS,
+  DETAIL_COLUMNS,
+  getExportData,
+  toCsv,
+  buildWorkbook,
+} = require("../services/attendanceExportService");
+const { getCompanyClock } = require("../services/timezoneService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // ========================================
+  // GET: Export absensi bulanan (Admin/HR)
+  // ========================================
+  // Query params:
+  // - month & year (default: bulan ini) atau start_date & end_date
+  // - employee_id, jabatan, tipe_kerja (opsional)
+  // - format: "xlsx" (default, sheet Rekap + Detail) atau "csv"
+  // - sheet: "recap" (default) atau "detail" - khusus CSV
+  router.get(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const {
+          month,
+          year,
+          start_date,
+          end_date,
+          employee_id,
+          jabatan,
+          tipe_kerja,
+          format = "xlsx",
+          sheet = "recap",
+        } = req.query;
+
+        if (!["xlsx", "csv"].includes(format)) {
+          return res.status(400).json({
+            error: "Format harus xlsx atau csv",
+          });
+        }
+
+        if (!["recap", "detail"].includes(sheet)) {
+          return res.status(400).json({
+            error: "Sheet harus recap atau detail",
+          });
+        }
+
+        let startDate, endDate, periodLabel;
+
+        if (start_date && end_date) {
+          startDate = new Date(start_date);
+          endDate = new Date(end_date);
+          periodLabel = `${start_date}_${end_date}`;
+        } else {
+          const clock = await getCompanyClock(prisma);
+          const y = parseInt(year) || clock.year;
+          const m = parseInt(month) || clock.month;
+
+          startDate = new Date(Date.UTC(y, m - 1, 1));
+          endDate = new Date(Date.UTC(y, m, 0));
+          periodLabel = `${y}-${String(m).padStart(2, "0")}`;
+        }
+
+        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+          return res.status(400).json({ error: "Periode tidak valid" });
+        }
+
+        console.log(
+          `📤 Attendance export ${periodLabel} (${format}) by ${req.user.username}`
+        );
+
+        const data = await getExportData(prisma, {
+          startDate,
+          endDate,
+          employeeId: employee_id,
+          jabatan,
+          tipeKerja: tipe_kerja,
+        });
+
+        if (format === "csv") {
+          const csv =
+            sheet === "detail"
+              ? toCsv(data.detail, DETAIL_COLUMNS)
+              : toCsv(data.recap, RECAP_COLUMNS);
+
+          res.setHeader("Content-Type", "text/csv; charset=utf-8");
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="absensi_${sheet}_${periodLabel}.csv"`
+          );
+          // BOM agar Excel membaca UTF-8 dengan benar
+          return res.send("\uFEFF" + csv);
+        }
+
+        const buffer = await buildWorkbook(data, periodLabel);
+
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="absensi_${periodLabel}.xlsx"`
+        );
+        res.send(Buffer.from(buffer));
+      } catch (error) {
+        console.error("❌ Error exporting attendance:", error);
+        res.status(500).json({
+          error: "Gagal export data absensi",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -1,11 +1,55 @@
 const express = require("express");
+const fs = require("fs");
 const authMiddleware = require("../middleware/auth");
+const { selfieUpload } = require("../middleware/upload");
+const {
+  getScheduleForEmployee,
+  getScheduleForAttendance,
+  calculateLateMinutes,
+} = require("../services/scheduleService");
+const { getOvertimeMinutes } = require("../services/overtimeService");
+const { recordLatePenalty } = require("../services/latePenaltyService");
+const {
+  syncAttendanceDeductions,
+} = require("../services/payrollDeductionService");
+const {
+  getPhotoPath,
+  removePhotoFile,
+  removeUploadedPhoto,
+  saveAttendancePhoto,
+} = require("../services/attendancePhotoService");
+const {
+  performCheckIn,
+  performCheckOut,
+} = require("../services/checkInService");
+const { buildMonthlyCalendar } = require("../services/calendarService");
+const { getCompanyClock } = require("../services/timezoneService");
+const {
+  normalizeJam,
+  buildWorkMetrics,
+  getWorkHoursSummary,
+} = require("../services/workHoursService");
+const {
+  STATUS_SETENGAH_HARI,
+  getHalfDayDeduction,
+} = require("../services/halfDayService");
+const { startBreak, endBreak } = require("../services/breakService");
+const { createWfhRequest } = require("../services/wfhRequestService");
+const { checkWfhQuota } = require("../services/wfhQuotaService");
+const {
+  APPROVAL_STATUSES,
+  APPROVAL_ACTIONS,
+  STATUS_PENGAJUAN,
+  canTransition,
+  transitionError,
+  recordApprovalHistory,
+  transitionApproval,
+} = require("../services/approvalService");
 
 module.exports = function (prisma) {
   const router = express.Router();
 
   // Constants
-  const POTONGAN_TERLAMBAT = 25000; // Rp 25.000 per kejadian
   const POTONGAN_ALPHA = 100000; // Rp 100.000 per hari (for reference)
 
   // Helper function untuk normalize employee_id sesuai tipe di database
@@ -23,231 +67,251 @@ module.exports = function (prisma) {
     return parsed;
   }
 
-  // ⭐ Helper function untuk apply auto potongan terlambat
-  async function applyLateDeduction(employeeId, tanggal, jamMasuk) {
-    const targetDate = tanggal ? new Date(tanggal) : new Date();
-    const currentMonth = targetDate.toISOString().slice(0, 7); // Format: YYYY-MM
+  // Whitelist kolom sorting & batas pagination untuk GET /api/attendance
+  const SORTABLE_FIELDS = [
+    "tanggal",
+    "jam_masuk",
+    "jam_pulang",
+    "status",
+    "tipe_kerja",
+    "approval_status",
+    "employee_id",
+    "created_at",
+    "attendance_id",
+  ];
+  const DEFAULT_LIMIT = 50;
+  const MAX_LIMIT = 200;
+
+  // Status absensi yang boleh dipakai sebagai filter
+  const LIST_STATUSES = [
+    "hadir",
+    "terlambat",
+    STATUS_SETENGAH_HARI,
+    "alpa",
+    "izin",
+    "sakit",
+    STATUS_PENGAJUAN,
+  ];
+
+  // Helper: susun where clause dari query params listing
+  function buildListFilter(query) {
+    const where = {};
+
+    if (query.start_date || query.end_date) {
+      where.tanggal = {};
+      if (query.start_date) where.tanggal.gte = new Date(query.start_date);
+      if (query.end_date) where.tanggal.lte = new Date(query.end_date);
 
-    console.log(`⚠️ TERLAMBAT detected - Auto applying deduction...`);
-    console.log(`   Employee ID: ${employeeId}`);
-    console.log(`   Date: ${targetDate.toISOString().slice(0, 10)}`);
-    console.log(`   Time: ${jamMasuk}`);
-
-    try {
-      // Find or create payroll for this month
-      let payroll = await prisma.payroll.findFirst({
-        where: {
-          employee_id: employeeId,
-          periode: currentMonth,
-        },
-      });
-
-      if (!payroll) {
-        // Create new payroll with late deduction
-        payroll = await prisma.payroll.create({
-          data: {
-            employee_id: employeeId,
-            periode: currentMonth,
-            gaji_pokok: 0, // Will be set by admin later
-            tunjangan: 0,
-            potongan: POTONGAN_TERLAMBAT,
-            gaji_bersih: -POTONGAN_TERLAMBAT,
-            alasan_potongan: `Terlambat ${targetDate
-              .toISOString()
-              .slice(0, 10)} jam ${jamMasuk}`,
-          },
-        });
+      if (
+        (where.tanggal.gte && isNaN(where.tanggal.gte.getTime())) ||
+        (where.tanggal.lte && isNaN(where.tanggal.lte.getTime()))
+      ) {
+        throw new Error("Format start_date / end_date tidak valid");
+      }
+    }
 
-        console.log(
-          `  💰 Created Payroll with late deduction: Rp ${POTONGAN_TERLAMBAT.toLocaleString()}`
-        );
-      } else {
-        // Update existing payroll
-        const newPotongan = (payroll.potongan || 0) + POTONGAN_TERLAMBAT;
-        const newGajiBersih =
-          (payroll.gaji_pokok || 0) + (payroll.tunjangan || 0) - newPotongan;
-
-        const updatedAlasanPotongan = payroll.alasan_potongan
-          ? `${payroll.alasan_potongan}; Terlambat ${targetDate
-              .toISOString()
-              .slice(0, 10)} jam ${jamMasuk}`
-          : `Terlambat ${targetDate
-              .toISOString()
-              .slice(0, 10)} jam ${jamMasuk}`;
-
-        await prisma.payroll.update({
-          where: { payroll_id: payroll.payroll_id },
-          data: {
-            potongan: newPotongan,
-            gaji_bersih: newGajiBersih,
-            alasan_potongan: updatedAlasanPotongan,
-          },
-        });
+    // status & approval_status boleh lebih dari satu: ?status=hadir,terlambat
+    if (query.status) {
+      const statuses = String(query.status).split(",");
+      if (statuses.some((value) => !LIST_STATUSES.includes(value))) {
+        throw new Error(`status harus salah satu: ${LIST_STATUSES.join(", ")}`);
+      }
+      where.status = { in: statuses };
+    }
 
-        console.log(
-          `  💰 Updated Payroll - Total Potongan: Rp ${newPotongan.toLocaleString()}`
+    if (query.approval_status) {
+      const approvalStatuses = String(query.approval_status).split(",");
+      if (
+        approvalStatuses.some(
+          (value) => !["pending", "approved", "rejected"].includes(value)
+        )
+      ) {
+        throw new Error(
+          "approval_status harus pending, approved atau rejected"
         );
       }
+      where.approval_status = { in: approvalStatuses };
+    }
+
+    if (query.tipe_kerja) {
+      where.tipe_kerja = String(query.tipe_kerja);
+    }
+
+    if (query.employee_id) {
+      const employeeId = normalizeEmployeeId(query.employee_id);
+      if (employeeId === null) throw new Error("employee_id tidak valid");
+      where.employee_id = employeeId;
+    }
+
+    return where;
+  }
+
+  // Helper: urutan listing (attendance_id sebagai tie-breaker agar stabil)
+  function buildListSort(query) {
+    const sortBy = query.sort_by || "tanggal";
+    const sortOrder = query.sort_order || "desc";
 
-      return true;
-    } catch (payrollError) {
-      console.error(
-        "❌ Error updating payroll for late deduction:",
-        payrollError
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      throw new Error(
+        `sort_by harus salah satu: ${SORTABLE_FIELDS.join(", ")}`
       );
-      return false;
     }
+    if (!["asc", "desc"].includes(sortOrder)) {
+      throw new Error("sort_order harus asc atau desc");
+    }
+
+    const orderBy = [{ [sortBy]: sortOrder }];
+    if (sortBy !== "attendance_id") {
+      orderBy.push({ attendance_id: sortOrder });
+    }
+
+    return { sortBy, sortOrder, orderBy };
   }
 
-  // ✅ GET semua data absensi - ROLE-AWARE dengan ENHANCED DEBUGGING
+  // ✅ GET data absensi - ROLE-AWARE dengan filter, sorting & pagination
+  //
+  // Query params:
+  // - start_date, end_date (YYYY-MM-DD)
+  // - status, approval_status (bisa dipisah koma), tipe_kerja, employee_id
+  // - sort_by (default tanggal), sort_order (asc|desc, default desc)
+  // - page & limit (offset) atau cursor (attendance_id) & limit
+  //
+  // Tanpa page / cursor: array biasa berisi semua record (format lama).
+  // Dengan page / cursor: { data, pagination, counts, sort }
   router.get("/", authMiddleware.authenticateToken, async (req, res) => {
     try {
       const { role, employee_id } = req.user;
 
-      console.log("\n" + "=".repeat(60));
-      console.log("📊 GET /api/attendance - Fetching attendance data");
-      console.log("=".repeat(60));
-      console.log("👤 User Info:");
-      console.log("   - Username:", req.user.username);
-      console.log("   - Role:", role);
-      console.log("   - Employee ID (raw):", employee_id);
-      console.log("   - Employee ID type:", typeof employee_id);
+      console.log("📊 GET /api/attendance by", req.user.username, `(${role})`);
 
-      let whereClause = {};
+      let whereClause;
+      let sort;
+      try {
+        whereClause = buildListFilter(req.query);
+        sort = buildListSort(req.query);
+      } catch (filterError) {
+        return res.status(400).json({ error: filterError.message });
+      }
+      const { sortBy, sortOrder, orderBy } = sort;
 
       // Jika role Karyawan, filter hanya data mereka sendiri
       if (role === "Karyawan") {
-        if (!employee_id && employee_id !== 0) {
-          console.error("❌ Employee ID tidak ditemukan untuk user ini");
-          return res.status(400).json({
-            error: "Employee ID tidak ditemukan untuk user ini.",
-            debug: {
-              username: req.user.username,
-              role: role,
-              employee_id: employee_id,
-            },
-          });
-        }
-
-        // Normalize employee_id
         const normalizedId = normalizeEmployeeId(employee_id);
 
         if (normalizedId === null) {
-          console.error("❌ Employee ID tidak dapat dinormalisasi");
+          console.error("❌ Employee ID tidak ditemukan untuk user ini");
           return res.status(400).json({
-            error: "Employee ID tidak valid.",
-            debug: {
-              raw_employee_id: employee_id,
-              normalized: normalizedId,
-            },
+            error: "Employee ID tidak ditemukan untuk user ini.",
           });
         }
 
         whereClause.employee_id = normalizedId;
-
-        console.log("🔍 Filter Applied:");
-        console.log("   - Filtering for employee_id:", normalizedId);
-        console.log("   - Type:", typeof normalizedId);
-        console.log("   - Where clause:", JSON.stringify(whereClause));
-      } else if (role === "Admin" || role === "HR") {
-        console.log("👑 Admin/HR access: showing all data");
-      } else {
+      } else if (role !== "Admin" && role !== "HR") {
         console.error("❌ Role tidak dikenali:", role);
         return res.status(403).json({
           error: "Role tidak dikenali.",
         });
       }
 
-      console.log("\n🔎 Executing Prisma query...");
-      console.log(
-        "   Query:",
-        JSON.stringify(
-          {
-            where: whereClause,
-            orderBy: { tanggal: "desc" },
-            include: { employee: true },
-          },
-          null,
-          2
-        )
-      );
+      // Format lama (tanpa pagination): array semua record
+      if (req.query.page === undefined && req.query.cursor === undefined) {
+        const attendanceList = await prisma.attendance.findMany({
+          where: whereClause,
+          orderBy,
+          include: { employee: true },
+        });
 
-      const attendanceList = await prisma.attendance.findMany({
-        where: whereClause,
-        orderBy: { tanggal: "desc" },
-        include: {
-          employee: true,
-        },
-      });
+        const validAttendanceList = attendanceList.filter(
+          (attendance) => attendance.employee !== null
+        );
+
+        console.log(`✅ Returning ${validAttendanceList.length} records`);
+        return res.json(validAttendanceList);
+      }
+
+      // Pagination
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1),
+        MAX_LIMIT
+      );
+      const cursor = req.query.cursor ? parseInt(req.query.cursor) : null;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+      const pagination = cursor
+        ? { cursor: { attendance_id: cursor }, skip: 1 }
+        : { skip: (page - 1) * limit };
+
+      const [attendanceList, total, statusCounts] = await Promise.all([
+        prisma.attendance.findMany({
+          where: whereClause,
+          orderBy,
+          take: limit + 1,
+          ...pagination,
+          include: {
+            employee: {
+              select: {
+                employee_id: true,
+                nama_lengkap: true,
+                jabatan: true,
+                status_karyawan: true,
+              },
+            },
+          },
+        }),
+        prisma.attendance.count({ where: whereClause }),
+        prisma.attendance.groupBy({
+          by: ["status"],
+          where: whereClause,
+          _count: { _all: true },
+        }),
+      ]);
+
+      const hasMore = attendanceList.length > limit;
+      const pageItems = attendanceList.slice(0, limit);
 
       // ⭐ Filter out attendance records with null employee
-      const validAttendanceList = attendanceList.filter(
+      const validAttendanceList = pageItems.filter(
         (attendance) => attendance.employee !== null
       );
 
-      if (validAttendanceList.length < attendanceList.length) {
+      if (validAttendanceList.length < pageItems.length) {
         console.log(
           `⚠️ Filtered out ${
-            attendanceList.length - validAttendanceList.length
+            pageItems.length - validAttendanceList.length
           } attendance records with missing employee`
         );
       }
 
-      console.log("\n✅ Query executed successfully");
-      console.log("📦 Results:");
-      console.log("   - Total records found:", validAttendanceList.length);
-
-      if (validAttendanceList.length > 0) {
-        console.log("   - Sample record:");
-        const sample = validAttendanceList[0];
-        console.log("     * attendance_id:", sample.attendance_id);
-        console.log(
-          "     * employee_id:",
-          sample.employee_id,
-          "(type:",
-          typeof sample.employee_id,
-          ")"
-        );
-        console.log("     * tanggal:", sample.tanggal);
-        console.log("     * status:", sample.status);
-        console.log(
-          "     * employee.nama_lengkap:",
-          sample.employee?.nama_lengkap || "N/A"
-        );
-      } else {
-        console.log("   ⚠️ No records found!");
-
-        // Additional debugging - check if ANY attendance exists for this employee
-        if (whereClause.employee_id) {
-          console.log(
-            "\n🔍 Additional Debug - Checking all attendance records..."
-          );
-          const allAttendance = await prisma.attendance.findMany({
-            select: { attendance_id: true, employee_id: true },
-          });
-          console.log("   - Total attendance in DB:", allAttendance.length);
-
-          const uniqueEmployeeIds = [
-            ...new Set(allAttendance.map((a) => a.employee_id)),
-          ];
-          console.log("   - Unique employee_ids in DB:", uniqueEmployeeIds);
-          console.log("   - Looking for:", whereClause.employee_id);
-          console.log(
-            "   - Match found:",
-            uniqueEmployeeIds.includes(whereClause.employee_id) ? "YES" : "NO"
-          );
-        }
-      }
+      const countsByStatus = {};
+      statusCounts.forEach((row) => {
+        countsByStatus[row.status] = row._count._all;
+      });
 
-      console.log("=".repeat(60) + "\n");
+      console.log(
+        `✅ Returning ${validAttendanceList.length} of ${total} records`
+      );
 
-      res.json(validAttendanceList);
+      res.json({
+        data: validAttendanceList,
+        pagination: {
+          type: cursor ? "cursor" : "offset",
+          limit,
+          total,
+          page: cursor ? null : page,
+          total_pages: Math.ceil(total / limit),
+          has_more: hasMore,
+          next_cursor: hasMore
+            ? pageItems[pageItems.length - 1].attendance_id
+            : null,
+        },
+        counts: {
+          total,
+          by_status: countsByStatus,
+        },
+        sort: { sort_by: sortBy, sort_order: sortOrder },
+      });
     } catch (error) {
-      console.error("\n" + "❌".repeat(30));
-      console.error("❌ Error fetching attendance:");
-      console.error("   Message:", error.message);
-      console.error("   Stack:", error.stack);
-      console.error("❌".repeat(30) + "\n");
+      console.error("❌ Error fetching attendance:", error);
 
       res.status(500).json({
         error: "Gagal mengambil data absensi.",
@@ -304,7 +368,6 @@ module.exports = function (prisma) {
       try {
         const { attendance_id } = req.params;
         const { action, notes } = req.body;
-        const adminId = req.user.user_id;
 
         console.log(
           `📤 Processing ${action} for attendance ID: ${attendance_id}`
@@ -339,16 +402,16 @@ module.exports = function (prisma) {
           });
         }
 
-        const updated = await prisma.attendance.update({
-          where: { attendance_id: parseInt(attendance_id) },
-          data: {
-            approval_status: action === "approve" ? "approved" : "rejected",
-            approved_by: adminId,
-            approval_notes: notes || null,
-            approval_date: new Date(),
-            status: action === "approve" ? "approved" : "rejected",
-          },
-        });
+        // Hanya approval_status yang berubah; status absensi tetap
+        const updated = await prisma.$transaction((tx) =>
+          transitionApproval(tx, attendance, {
+            to: APPROVAL_ACTIONS[action],
+            action,
+            notes,
+            userId: req.user.userId,
+            role: req.user.role,
+          })
+        );
 
         const message =
           action === "approve"
@@ -370,14 +433,150 @@ module.exports = function (prisma) {
     }
   );
 
+  // ⭐ POST Approve/Reject banyak attendance sekaligus (satu transaksi)
+  // Body: attendance_ids (array), action ("approve" | "reject"), notes
+  const MAX_BULK_APPROVAL = 200;
+  // Tiap item dua write (update & riwayat approval) → timeout
+  // transaksi disesuaikan dengan MAX_BULK_APPROVAL, bukan default 5 detik
+  const BULK_APPROVAL_TX_OPTIONS = { maxWait: 10000, timeout: 60000 };
+
+  router.post(
+    "/approve-bulk",
+    authMiddleware.authenticateToken,
+    authMiddleware.authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { attendance_ids, action, notes } = req.body;
+
+        if (!["approve", "reject"].includes(action)) {
+          return res.status(400).json({
+            error: "Action harus 'approve' atau 'reject'",
+          });
+        }
+
+        if (!Array.isArray(attendance_ids) || attendance_ids.length === 0) {
+          return res.status(400).json({
+            error: "attendance_ids wajib berupa array berisi minimal 1 ID",
+          });
+        }
+
+        const ids = [...new Set(attendance_ids.map((id) => parseInt(id)))];
+
+        if (ids.some((id) => isNaN(id))) {
+          return res.status(400).json({
+            error: "attendance_ids hanya boleh berisi angka",
+          });
+        }
+
+        if (ids.length > MAX_BULK_APPROVAL) {
+          return res.status(400).json({
+            error: `Maksimal ${MAX_BULK_APPROVAL} attendance per proses`,
+          });
+        }
+
+        console.log(
+          `📤 Processing bulk ${action} for ${ids.length} attendance`
+        );
+
+        const decision = APPROVAL_ACTIONS[action];
+
+        const results = await prisma.$transaction(async (tx) => {
+          const records = await tx.attendance.findMany({
+            where: { attendance_id: { in: ids } },
+            select: {
+              attendance_id: true,
+              employee_id: true,
+              tanggal: true,
+              tipe_kerja: true,
+              approval_status: true,
+              approval_notes: true,
+            },
+          });
+          const byId = new Map(records.map((r) => [r.attendance_id, r]));
+
+          for (const record of records) {
+            if (record.approval_status !== "pending") continue;
+
+            await transitionApproval(tx, record, {
+              to: decision,
+              action,
+              notes,
+              userId: req.user.userId,
+              role: req.user.role,
+            });
+          }
+
+          return ids.map((id) => {
+            const record = byId.get(id);
+
+            if (!record) {
+              return {
+                attendance_id: id,
+                result: "not_found",
+                error: "Attendance tidak ditemukan",
+              };
+            }
+
+            if (record.approval_status !== "pending") {
+              return {
+                attendance_id: id,
+                result: "already_processed",
+                approval_status: record.approval_status,
+                error: `Request ini sudah ${record.approval_status}`,
+              };
+            }
+
+            return {
+              attendance_id: id,
+              result: decision,
+              employee_id: record.employee_id,
+              tanggal: record.tanggal.toISOString().slice(0, 10),
+              tipe_kerja: record.tipe_kerja,
+            };
+          });
+        }, BULK_APPROVAL_TX_OPTIONS);
+
+        const summary = {
+          total: results.length,
+          processed: results.filter((r) => r.result === decision).length,
+          already_processed: results.filter(
+            (r) => r.result === "already_processed"
+          ).length,
+          not_found: results.filter((r) => r.result === "not_found").length,
+        };
+
+        console.log(
+          `✅ Bulk ${action}: ${summary.processed}/${summary.total} processed`
+        );
+        res.json({
+          message: `${summary.processed} dari ${
+            summary.total
+          } request berhasil ${action === "approve" ? "disetujui" : "ditolak"}`,
+          action,
+          summary,
+          results,
+        });
+      } catch (error) {
+        console.error("❌ Error processing bulk approval:", error);
+        res.status(500).json({
+          error: "Gagal memproses approval massal",
+          details: error.message,
+        });
+      }
+    }
+  );
+
   // ⭐ NEW: POST Request WFH/Hybrid (need approval)
+  // Satu tanggal: { tanggal }. Rentang / berulang: { tanggal_mulai,
+  // tanggal_selesai, hari } → satu pengajuan induk (/api/wfh-requests)
   router.post(
     "/request-wfh",
     authMiddleware.authenticateToken,
     async (req, res) => {
       try {
         const employeeId = req.user.employee_id;
-        const { tanggal, tipe_kerja } = req.body;
+        const { tanggal, tipe_kerja, tanggal_mulai, tanggal_selesai, hari } =
+          req.body;
 
         console.log("📤 WFH request from employee:", employeeId);
 
@@ -389,12 +588,31 @@ module.exports = function (prisma) {
 
         const normalizedId = normalizeEmployeeId(employeeId);
 
+        if (tanggal_mulai) {
+          const result = await createWfhRequest(prisma, {
+            employeeId: normalizedId,
+            tipeKerja: tipe_kerja,
+            tanggalMulai: tanggal_mulai,
+            tanggalSelesai: tanggal_selesai,
+            hari,
+            alasan: req.body.alasan,
+            userId: req.user.userId,
+          });
+          return res.status(result.statusCode).json(result.body);
+        }
+
         if (!["WFH (Work From Home)", "Hybrid"].includes(tipe_kerja)) {
           return res.status(400).json({
             error: "Tipe kerja harus WFH atau Hybrid",
           });
         }
 
+        if (!tanggal || isNaN(new Date(tanggal).getTime())) {
+          return res.status(400).json({
+            error: "tanggal wajib diisi (YYYY-MM-DD)",
+          });
+        }
+
         const existing = await prisma.attendance.findFirst({
           where: {
             employee_id: normalizedId,
@@ -408,12 +626,33 @@ module.exports = function (prisma) {
           });
         }
 
+        // Kuota WFH/Hybrid bulanan sesuai status / jabatan
+        const employee = await prisma.employee.findUnique({
+          where: { employee_id: normalizedId },
+          select: { employee_id: true, jabatan: true, status_karyawan: true },
+        });
+
+        if (!employee) {
+          return res.status(404).json({ error: "Karyawan tidak ditemukan." });
+        }
+
+        const quotaCheck = await checkWfhQuota(prisma, employee, [
+          new Date(tanggal).toISOString().slice(0, 10),
+        ]);
+
+        if (!quotaCheck.allowed) {
+          return res.status(400).json({
+            error: quotaCheck.error,
+            kuota_wfh: quotaCheck.balances[0],
+          });
+        }
+
         const newRequest = await prisma.attendance.create({
           data: {
             employee_id: normalizedId,
             tanggal: new Date(tanggal),
             tipe_kerja: tipe_kerja,
-            status: "pending_approval",
+            status: STATUS_PENGAJUAN,
             approval_status: "pending",
             jam_masuk: null,
             jam_pulang: null,
@@ -423,12 +662,22 @@ module.exports = function (prisma) {
           },
         });
 
+        await recordApprovalHistory(prisma, {
+          attendanceId: newRequest.attendance_id,
+          from: null,
+          to: "pending",
+          action: "submit",
+          userId: req.user.userId,
+          role: req.user.role,
+        });
+
         console.log(
           `✅ WFH/Hybrid request created for employee ${normalizedId}`
         );
         res.status(201).json({
           message: `✅ Request ${tipe_kerja} berhasil dikirim. Menunggu approval dari admin.`,
           data: newRequest,
+          kuota_wfh: quotaCheck.balances[0],
         });
       } catch (error) {
         console.error("❌ Error creating WFH request:", error);
@@ -440,6 +689,131 @@ module.exports = function (prisma) {
     }
   );
 
+  // ⭐ GET kalender absensi bulanan per karyawan
+  // Query: employee_id (Admin/HR), month (1-12), year. Default: bulan ini.
+  router.get(
+    "/calendar",
+    authMiddleware.authenticateToken,
+    async (req, res) => {
+      try {
+        const { role, employee_id } = req.user;
+        const clock = await getCompanyClock(prisma);
+        const year = parseInt(req.query.year) || clock.year;
+        const month = parseInt(req.query.month) || clock.month;
+
+        if (month < 1 || month > 12) {
+          return res.status(400).json({ error: "month harus 1-12" });
+        }
+
+        // Karyawan hanya boleh melihat kalender sendiri
+        let targetEmployeeId;
+        if (role === "Admin" || role === "HR") {
+          targetEmployeeId = normalizeEmployeeId(
+            req.query.employee_id ?? employee_id
+          );
+        } else {
+          const ownId = normalizeEmployeeId(employee_id);
+          if (
+            req.query.employee_id &&
+            normalizeEmployeeId(req.query.employee_id) !== ownId
+          ) {
+            return res.status(403).json({
+              error: "Anda hanya dapat melihat kalender absensi sendiri.",
+            });
+          }
+          targetEmployeeId = ownId;
+        }
+
+        if (targetEmployeeId === null) {
+          return res.status(400).json({
+            error: "Employee ID tidak ditemukan.",
+          });
+        }
+
+        const calendar = await buildMonthlyCalendar(
+          prisma,
+          targetEmployeeId,
+          year,
+          month
+        );
+
+        res.json(calendar);
+      } catch (error) {
+        console.error("❌ Error building attendance calendar:", error);
+
+        if (error.message === "Karyawan tidak ditemukan.") {
+          return res.status(404).json({ error: error.message });
+        }
+
+        res.status(500).json({
+          error: "Gagal mengambil kalender absensi",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ⭐ GET rekap jam kerja mingguan & bulanan vs norma jam per minggu
+  // Query: month (1-12), year, employee_id (Admin/HR, kosong = semua).
+  // Karyawan hanya rekap sendiri.
+  router.get(
+    "/work-hours",
+    authMiddleware.authenticateToken,
+    async (req, res) => {
+      try {
+        const { role, employee_id } = req.user;
+        const clock = await getCompanyClock(prisma);
+        const year = parseInt(req.query.year) || clock.year;
+        const month = parseInt(req.query.month) || clock.month;
+
+        if (month < 1 || month > 12) {
+          return res.status(400).json({ error: "month harus 1-12" });
+        }
+
+        let targetEmployeeId = null;
+        if (role === "Admin" || role === "HR") {
+          if (req.query.employee_id) {
+            targetEmployeeId = normalizeEmployeeId(req.query.employee_id);
+            if (targetEmployeeId === null) {
+              return res
+                .status(400)
+                .json({ error: "employee_id tidak valid." });
+            }
+          }
+        } else {
+          targetEmployeeId = normalizeEmployeeId(employee_id);
+          if (
+            req.query.employee_id &&
+            normalizeEmployeeId(req.query.employee_id) !== targetEmployeeId
+          ) {
+            return res.status(403).json({
+              error: "Anda hanya dapat melihat rekap jam kerja sendiri.",
+            });
+          }
+          if (targetEmployeeId === null) {
+            return res.status(400).json({
+              error: "Employee ID tidak ditemukan.",
+            });
+          }
+        }
+
+        const summary = await getWorkHoursSummary(prisma, {
+          year,
+          month,
+          employeeId: targetEmployeeId,
+        });
+
+        res.json(summary);
+      } catch (error) {
+        console.error("❌ Error building work hours summary:", error);
+        res.status(500).json({
+          error: "Gagal mengambil rekap jam kerja",
+          details: error.message,
+        });
+      }
+    }
+  );
+
   // ✅ GET absensi by ID - ROLE-AWARE
   router.get("/:id", authMiddleware.authenticateToken, async (req, res) => {
     const { id } = req.params;
@@ -450,6 +824,7 @@ module.exports = function (prisma) {
         where: { attendance_id: parseInt(id) },
         include: {
           employee: true,
+          breaks: { orderBy: { mulai: "asc" } },
         },
       });
 
@@ -495,6 +870,15 @@ module.exports = function (prisma) {
         return res.status(400).json({ error: "employee_id wajib diisi." });
       }
 
+      const invalidJam = [jam_masuk, jam_pulang].find(
+        (value) => value && !normalizeJam(value)
+      );
+      if (invalidJam) {
+        return res.status(400).json({
+          error: `Format jam '${invalidJam}' tidak valid, gunakan HH:MM.`,
+        });
+      }
+
       const normalizedUserId = normalizeEmployeeId(userEmployeeId);
       const normalizedTargetId = normalizeEmployeeId(employee_id);
 
@@ -521,12 +905,29 @@ module.exports = function (prisma) {
       console.log("   - lokasi_masuk:", lokasi_masuk);
       console.log("   - akurasi_masuk:", akurasi_masuk);
 
+      // Jadwal & menit terlambat untuk entri manual
+      const attendanceDate = tanggal
+        ? new Date(tanggal)
+        : (await getCompanyClock(prisma)).date;
+      const schedule = await getScheduleForEmployee(
+        prisma,
+        normalizedTargetId,
+        attendanceDate
+      );
+      const lateMinutes =
+        status === "terlambat" && jam_masuk
+          ? calculateLateMinutes(schedule, jam_masuk)
+          : 0;
+
       const newAttendance = await prisma.attendance.create({
         data: {
           employee_id: normalizedTargetId,
-          tanggal: tanggal ? new Date(tanggal) : new Date(),
-          jam_masuk: jam_masuk || null,
-          jam_pulang: jam_pulang || null,
+          tanggal: attendanceDate,
+          ...(await buildWorkMetrics(prisma, schedule, {
+            tanggal: attendanceDate,
+            jam_masuk,
+            jam_pulang,
+          })),
           status: status || "hadir",
           tipe_kerja: tipe_kerja || "WFO",
           lokasi_masuk: lokasi_masuk || null,
@@ -534,6 +935,8 @@ module.exports = function (prisma) {
           akurasi_masuk: akurasi_masuk ? parseInt(akurasi_masuk) : null,
           akurasi_pulang: akurasi_pulang ? parseInt(akurasi_pulang) : null,
           recorded_by_role: recorded_by_role || role,
+          schedule_id: schedule.schedule_id,
+          terlambat_menit: lateMinutes,
         },
         include: {
           employee: true,
@@ -548,7 +951,16 @@ module.exports = function (prisma) {
       // ⭐⭐⭐ AUTO POTONGAN FOR MANUAL ENTRY IF TERLAMBAT ⭐⭐⭐
       if (status === "terlambat" && jam_masuk) {
         console.log("⚠️ Manual entry with TERLAMBAT status detected!");
-        await applyLateDeduction(normalizedTargetId, tanggal, jam_masuk);
+        const penalty = await recordLatePenalty(
+          prisma,
+          newAttendance,
+          schedule
+        );
+        newAttendance.tier_terlambat = penalty.tier;
+        newAttendance.potongan_terlambat = penalty.amount;
+      } else {
+        // Entri manual alpa → potongan alpa masuk ledger payroll
+        await syncAttendanceDeductions(prisma, newAttendance.attendance_id);
       }
 
       res.status(201).json(newAttendance);
@@ -570,6 +982,7 @@ module.exports = function (prisma) {
       jam_pulang,
       status,
       tipe_kerja,
+      keterangan,
       lokasi_masuk,
       lokasi_pulang,
       akurasi_masuk,
@@ -577,6 +990,19 @@ module.exports = function (prisma) {
     } = req.body;
 
     try {
+      // Jam, status & tipe kerja memengaruhi payroll: hanya Admin/HR.
+      // Karyawan mengajukan lewat koreksi absensi (/api/attendance-corrections)
+      const payrollFields = { jam_masuk, jam_pulang, status, tipe_kerja };
+      if (
+        role === "Karyawan" &&
+        Object.values(payrollFields).some((value) => value !== undefined)
+      ) {
+        return res.status(403).json({
+          error:
+            "Karyawan tidak dapat mengubah jam, status atau tipe kerja. Ajukan koreksi absensi.",
+        });
+      }
+
       const existingAttendance = await prisma.attendance.findUnique({
         where: { attendance_id: parseInt(id) },
       });
@@ -597,12 +1023,22 @@ module.exports = function (prisma) {
         });
       }
 
+      const invalidJam = [jam_masuk, jam_pulang].find(
+        (value) => value && !normalizeJam(value)
+      );
+      if (invalidJam) {
+        return res.status(400).json({
+          error: `Format jam '${invalidJam}' tidak valid, gunakan HH:MM.`,
+        });
+      }
+
       // Build update data object
       const updateData = {};
       if (jam_masuk !== undefined) updateData.jam_masuk = jam_masuk;
       if (jam_pulang !== undefined) updateData.jam_pulang = jam_pulang;
       if (status !== undefined) updateData.status = status;
       if (tipe_kerja !== undefined) updateData.tipe_kerja = tipe_kerja;
+      if (keterangan !== undefined) updateData.keterangan = keterangan;
       if (lokasi_masuk !== undefined) updateData.lokasi_masuk = lokasi_masuk;
       if (lokasi_pulang !== undefined) updateData.lokasi_pulang = lokasi_pulang;
       if (akurasi_masuk !== undefined)
@@ -610,6 +1046,65 @@ module.exports = function (prisma) {
       if (akurasi_pulang !== undefined)
         updateData.akurasi_pulang = parseInt(akurasi_pulang);
 
+      const schedule = await getScheduleForAttendance(
+        prisma,
+        existingAttendance
+      );
+
+      // Jam berubah → hitung ulang lembur
+      if (jam_masuk !== undefined || jam_pulang !== undefined) {
+        updateData.lembur_menit = (
+          await getOvertimeMinutes(
+            prisma,
+            schedule,
+            existingAttendance.tanggal,
+            updateData.jam_masuk ?? existingAttendance.jam_masuk,
+            updateData.jam_pulang ?? existingAttendance.jam_pulang
+          )
+        ).minutes;
+      }
+
+      // Jam berubah → hitung ulang jam kerja & pulang cepat
+      if (jam_masuk !== undefined || jam_pulang !== undefined) {
+        Object.assign(
+          updateData,
+          await buildWorkMetrics(prisma, schedule, {
+            ...existingAttendance,
+            ...updateData,
+          })
+        );
+      }
+
+      // Jam masuk / status berubah → hitung ulang keterlambatan
+      const finalStatus = updateData.status ?? existingAttendance.status;
+      const finalJamMasuk =
+        updateData.jam_masuk ?? existingAttendance.jam_masuk;
+      const isLate = finalStatus === "terlambat";
+
+      if (jam_masuk !== undefined || status !== undefined) {
+        if (isLate) {
+          updateData.terlambat_menit = finalJamMasuk
+            ? calculateLateMinutes(schedule, finalJamMasuk)
+            : existingAttendance.terlambat_menit;
+        } else {
+          updateData.terlambat_menit = 0;
+          updateData.tier_terlambat = null;
+          updateData.potongan_terlambat = 0;
+        }
+      }
+
+      // Status berubah → potongan setengah hari ikut disesuaikan
+      if (status !== undefined) {
+        updateData.potongan_setengah_hari =
+          finalStatus === STATUS_SETENGAH_HARI
+            ? await getHalfDayDeduction(
+                prisma,
+                existingAttendance.employee_id,
+                schedule
+              )
+            : 0;
+      }
+
       const updatedAttendance = await prisma.attendance.update({
         where: { attendance_id: parseInt(id) },
         data: updateData,
@@ -618,6 +1113,27 @@ module.exports = function (prisma) {
         },
       });
 
+      // Sesuaikan ledger potongan payroll (terlambat / setengah hari / alpa)
+      const reason = `edit absensi oleh ${role}`;
+      if (isLate && (jam_masuk !== undefined || status !== undefined)) {
+        const penalty = await recordLatePenalty(
+          prisma,
+          updatedAttendance,
+          schedule,
+          { reason }
+        );
+        updatedAttendance.tier_terlambat = penalty.tier;
+        updatedAttendance.potongan_terlambat = penalty.amount;
+      } else {
+        await syncAttendanceDeductions(
+          prisma,
+          updatedAttendance.attendance_id,
+          {
+            reason,
+          }
+        );
+      }
+
       console.log(`✅ Attendance updated by ${role} for ID ${id}`);
       res.json(updatedAttendance);
     } catch (error) {
@@ -630,9 +1146,11 @@ module.exports = function (prisma) {
   });
 
   // ✅ POST: Check-in dengan Logic Terlambat + AUTO POTONGAN ⭐ UPDATED
+  // Multipart opsional: field "foto" (selfie JPG/PNG/WEBP, maks 2MB)
   router.post(
     "/checkin",
     authMiddleware.authenticateToken,
+    selfieUpload.single("foto"),
     async (req, res) => {
       const { role, employee_id: userEmployeeId } = req.user;
       const {
@@ -643,14 +1161,6 @@ module.exports = function (prisma) {
         akurasi_masuk,
       } = req.body;
 
-      const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      const currentTime = `${String(currentHour).padStart(2, "0")}:${String(
-        currentMinute
-      ).padStart(2, "0")}`;
-      const today = now.toISOString().slice(0, 10);
-
       try {
         let targetEmployeeId;
 
@@ -658,164 +1168,107 @@ module.exports = function (prisma) {
           targetEmployeeId = normalizeEmployeeId(userEmployeeId);
         } else if (role === "Admin" || role === "HR") {
           if (!employee_id) {
+            removeUploadedPhoto(req.file);
             return res.status(400).json({ error: "employee_id wajib diisi." });
           }
           targetEmployeeId = normalizeEmployeeId(employee_id);
         } else {
+          removeUploadedPhoto(req.file);
           return res.status(403).json({ error: "Role tidak dikenali." });
         }
 
         if (!targetEmployeeId) {
+          removeUploadedPhoto(req.file);
           return res
             .status(400)
             .json({ error: "employee_id tidak dapat ditentukan." });
         }
 
-        // ⭐ CHECK 1: Sudah lewat jam 18:00? → TIDAK BISA ABSEN
-        if (currentHour >= 18) {
-          return res.status(400).json({
-            error: "Absensi sudah ditutup. Waktu absen: 06:00 - 17:59",
-            currentTime: currentTime,
-          });
-        }
-
-        // ⭐ CHECK 2: Cek apakah sudah check-in hari ini
-        const existingAttendance = await prisma.attendance.findFirst({
-          where: {
-            employee_id: targetEmployeeId,
-            tanggal: {
-              gte: new Date(today),
-              lt: new Date(
-                new Date(today).setDate(new Date(today).getDate() + 1)
-              ),
-            },
-            jam_masuk: {
-              not: null,
-            },
-          },
+        const result = await performCheckIn(prisma, {
+          employeeId: targetEmployeeId,
+          role,
+          jamMasuk: jam_masuk,
+          tipeKerja: tipe_kerja,
+          lokasi: lokasi_masuk,
+          akurasi: akurasi_masuk,
         });
 
-        if (existingAttendance) {
-          return res.status(400).json({
-            error: "Sudah melakukan check-in hari ini.",
-            attendance: existingAttendance,
-          });
-        }
-
-        // ⭐ CHECK 3: Tentukan status berdasarkan waktu
-        let status = "hadir";
-        let keterangan = null;
-
-        if (currentHour >= 8) {
-          // Setelah jam 08:00 → Terlambat
-          status = "terlambat";
-          keterangan = `Terlambat check-in pada ${currentTime}`;
-          console.log(`⚠️ Late check-in detected: ${currentTime}`);
-        } else {
-          // Sebelum jam 08:00 → Normal
-          console.log(`✅ On-time check-in: ${currentTime}`);
+        if (result.statusCode >= 400) {
+          removeUploadedPhoto(req.file);
+        } else if (req.file) {
+          result.body.foto = await saveAttendancePhoto(
+            prisma,
+            result.body.data.attendance_id,
+            "masuk",
+            req.file
+          );
         }
 
-        // ⭐ CHECK 4: Cek apakah ada approved request (WFH/Hybrid)
-        const approvedRequest = await prisma.attendance.findFirst({
-          where: {
-            employee_id: targetEmployeeId,
-            tanggal: {
-              gte: new Date(today),
-              lt: new Date(
-                new Date(today).setDate(new Date(today).getDate() + 1)
-              ),
-            },
-            approval_status: "approved",
-            jam_masuk: null,
-          },
+        res.status(result.statusCode).json(result.body);
+      } catch (error) {
+        console.error("Error creating attendance:", error);
+        removeUploadedPhoto(req.file);
+        res.status(400).json({
+          error: "Gagal mencatat check-in.",
+          details: error.message,
         });
+      }
+    }
+  );
 
-        // ⭐ CREATE/UPDATE ATTENDANCE
-        let attendanceRecord;
-
-        if (approvedRequest) {
-          // Update existing approved request
-          attendanceRecord = await prisma.attendance.update({
-            where: { attendance_id: approvedRequest.attendance_id },
-            data: {
-              jam_masuk: jam_masuk || currentTime,
-              lokasi_masuk: lokasi_masuk || null,
-              akurasi_masuk: akurasi_masuk ? parseInt(akurasi_masuk) : null,
-              status: status,
-              keterangan: keterangan,
-              recorded_by_role: role,
-            },
-            include: {
-              employee: true,
-            },
-          });
-
-          console.log(
-            `✅ Check-in successful (updated approved request) by ${role} for employee ${targetEmployeeId}`
-          );
-        } else {
-          // Create new attendance record
-          attendanceRecord = await prisma.attendance.create({
-            data: {
-              employee_id: targetEmployeeId,
-              tanggal: new Date(today),
-              jam_masuk: jam_masuk || currentTime,
-              tipe_kerja: tipe_kerja || "WFO",
-              lokasi_masuk: lokasi_masuk || null,
-              akurasi_masuk: akurasi_masuk ? parseInt(akurasi_masuk) : null,
-              status: status,
-              keterangan: keterangan,
-              recorded_by_role: role,
-            },
-            include: {
-              employee: true,
-            },
-          });
-
-          console.log(
-            `✅ Check-in successful (new record) by ${role} for employee ${targetEmployeeId}`
-          );
-        }
-
-        console.log(
-          "✅ Attendance record created:",
-          attendanceRecord.attendance_id
-        );
+  // ☕ POST: Mulai / akhiri istirahat pada absensi hari ini
+  // Karyawan untuk diri sendiri; Admin/HR wajib kirim employee_id
+  function resolveBreakEmployeeId(req) {
+    const { role, employee_id: userEmployeeId } = req.user;
+    if (role === "Karyawan") return normalizeEmployeeId(userEmployeeId);
+    if (role === "Admin" || role === "HR") {
+      return normalizeEmployeeId(req.body.employee_id);
+    }
+    return null;
+  }
 
-        // ⭐⭐⭐ AUTO POTONGAN TERLAMBAT ⭐⭐⭐
-        if (status === "terlambat") {
-          await applyLateDeduction(
-            targetEmployeeId,
-            today,
-            jam_masuk || currentTime
-          );
+  router.post(
+    "/break/start",
+    authMiddleware.authenticateToken,
+    async (req, res) => {
+      try {
+        const employeeId = resolveBreakEmployeeId(req);
+        if (!employeeId) {
+          return res
+            .status(400)
+            .json({ error: "employee_id tidak dapat ditentukan." });
         }
 
-        // ⭐ RESPONSE MESSAGE
-        let message = `✓ Absen Masuk berhasil pada ${currentTime}`;
-
-        if (status === "terlambat") {
-          const lateHours = currentHour - 8;
-          const lateMinutes = currentMinute;
+        const result = await startBreak(prisma, { employeeId });
+        res.status(result.statusCode).json(result.body);
+      } catch (error) {
+        console.error("Error starting break:", error);
+        res.status(400).json({
+          error: "Gagal memulai istirahat.",
+          details: error.message,
+        });
+      }
+    }
+  );
 
-          message =
-            `⚠️ Check-in berhasil (TERLAMBAT) pada ${currentTime}\n` +
-            `Anda terlambat ${lateHours} jam ${lateMinutes} menit.\n` +
-            `Potongan gaji: Rp ${POTONGAN_TERLAMBAT.toLocaleString()}\n` +
-            `Harap datang tepat waktu besok (sebelum 08:00).`;
+  router.post(
+    "/break/end",
+    authMiddleware.authenticateToken,
+    async (req, res) => {
+      try {
+        const employeeId = resolveBreakEmployeeId(req);
+        if (!employeeId) {
+          return res
+            .status(400)
+            .json({ error: "employee_id tidak dapat ditentukan." });
         }
 
-        res.status(approvedRequest ? 200 : 201).json({
-          message: message,
-          status: status,
-          potongan: status === "terlambat" ? POTONGAN_TERLAMBAT : 0,
-          data: attendanceRecord,
-        });
+        const result = await endBreak(prisma, { employeeId });
+        res.status(result.statusCode).json(result.body);
       } catch (error) {
-        console.error("Error creating attendance:", error);
+        console.error("Error ending break:", error);
         res.status(400).json({
-          error: "Gagal mencatat check-in.",
+          error: "Gagal mengakhiri istirahat.",
           details: error.message,
         });
       }
@@ -823,9 +1276,11 @@ module.exports = function (prisma) {
   );
 
   // ✅ PUT: Check-out - ROLE-AWARE
+  // Multipart opsional: field "foto" (selfie JPG/PNG/WEBP, maks 2MB)
   router.put(
     "/checkout/:id",
     authMiddleware.authenticateToken,
+    selfieUpload.single("foto"),
     async (req, res) => {
       const { id } = req.params;
       const { role, employee_id: userEmployeeId } = req.user;
@@ -837,6 +1292,7 @@ module.exports = function (prisma) {
         });
 
         if (!existingAttendance) {
+          removeUploadedPhoto(req.file);
           return res
             .status(404)
             .json({ error: "Data absensi tidak ditemukan." });
@@ -849,38 +1305,35 @@ module.exports = function (prisma) {
           role === "Karyawan" &&
           existingAttendance.employee_id !== normalizedUserId
         ) {
+          removeUploadedPhoto(req.file);
           return res.status(403).json({
             error: "Anda hanya dapat check-out untuk diri sendiri.",
           });
         }
 
-        if (existingAttendance.jam_pulang) {
-          return res.status(400).json({
-            error: "Sudah melakukan check-out.",
-          });
-        }
-
-        const updatedAttendance = await prisma.attendance.update({
-          where: { attendance_id: parseInt(id) },
-          data: {
-            jam_pulang:
-              jam_pulang ||
-              new Date().toLocaleTimeString("id-ID", {
-                hour: "2-digit",
-                minute: "2-digit",
-              }),
-            lokasi_pulang: lokasi_pulang || null,
-            akurasi_pulang: akurasi_pulang ? parseInt(akurasi_pulang) : null,
-          },
-          include: {
-            employee: true,
-          },
+        const result = await performCheckOut(prisma, {
+          attendance: existingAttendance,
+          role,
+          jamPulang: jam_pulang,
+          lokasi: lokasi_pulang,
+          akurasi: akurasi_pulang,
         });
 
-        console.log(`✅ Check-out successful by ${role} for ID ${id}`);
-        res.json(updatedAttendance);
+        if (result.statusCode >= 400) {
+          removeUploadedPhoto(req.file);
+        } else if (req.file) {
+          result.body.foto = await saveAttendancePhoto(
+            prisma,
+            existingAttendance.attendance_id,
+            "pulang",
+            req.file
+          );
+        }
+
+        res.status(result.statusCode).json(result.body);
       } catch (error) {
         console.error("Error updating attendance:", error);
+        removeUploadedPhoto(req.file);
         res.status(400).json({
           error: "Gagal mencatat check-out.",
           details: error.message,
@@ -908,10 +1361,27 @@ module.exports = function (prisma) {
             .json({ error: "Data absensi tidak ditemukan." });
         }
 
+        // Batalkan potongan payroll milik absensi ini sebelum dihapus
+        await syncAttendanceDeductions(
+          prisma,
+          existingAttendance.attendance_id,
+          {
+            reason: `absensi dihapus oleh ${req.user.role}`,
+            remove: true,
+          }
+        );
+
+        const photos = await prisma.attendancePhoto.findMany({
+          where: { attendance_id: existingAttendance.attendance_id },
+          select: { filename: true },
+        });
+
         await prisma.attendance.delete({
           where: { attendance_id: parseInt(id) },
         });
 
+        photos.forEach((photo) => removePhotoFile(photo.filename));
+
         console.log(`✅ Attendance deleted by ${req.user.role} - ID: ${id}`);
         res.json({ message: "Absensi berhasil dihapus." });
       } catch (error) {
@@ -924,16 +1394,136 @@ module.exports = function (prisma) {
     }
   );
 
+  // 📸 GET: Daftar foto selfie sebuah absensi - HANYA ADMIN & HR
+  router.get(
+    "/:id/photos",
+    authMiddleware.authenticateToken,
+    authMiddleware.authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const photos = await prisma.attendancePhoto.findMany({
+          where: { attendance_id: parseInt(req.params.id) },
+          orderBy: { created_at: "asc" },
+        });
+
+        res.json(
+          photos.map((photo) => ({
+            ...photo,
+            url: `/api/attendance/photos/${photo.photo_id}`,
+          }))
+        );
+      } catch (error) {
+        console.error("Error fetching attendance photos:", error);
+        res.status(500).json({
+          error: "Gagal mengambil foto absensi.",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // 📸 GET: File foto selfie - HANYA ADMIN & HR
+  router.get(
+    "/photos/:photo_id",
+    authMiddleware.authenticateToken,
+    authMiddleware.authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const photo = await prisma.attendancePhoto.findUnique({
+          where: { photo_id: parseInt(req.params.photo_id) },
+        });
+
+        const filePath = photo ? getPhotoPath(photo.filename) : null;
+
+        if (!photo || !fs.existsSync(filePath)) {
+          return res.status(404).json({ error: "Foto tidak ditemukan." });
+        }
+
+        res.setHeader("Content-Type", photo.mime_type);
+        res.setHeader(
+          "Content-Disposition",
+          `inline; filename="${photo.filename}"`
+        );
+        res.setHeader("Cache-Control", "private, no-store");
+        fs.createReadStream(filePath).pipe(res);
+      } catch (error) {
+        console.error("Error serving attendance photo:", error);
+        res.status(500).json({ error: "Gagal memuat foto." });
+      }
+    }
+  );
+
+  // ✅ GET: Riwayat approval sebuah absensi
+  router.get(
+    "/:id/approval-history",
+    authMiddleware.authenticateToken,
+    async (req, res) => {
+      const { id } = req.params;
+      const { role, employee_id } = req.user;
+
+      try {
+        const attendance = await prisma.attendance.findUnique({
+          where: { attendance_id: parseInt(id) },
+          select: {
+            attendance_id: true,
+            employee_id: true,
+            approval_status: true,
+          },
+        });
+
+        if (!attendance) {
+          return res
+            .status(404)
+            .json({ error: "Data absensi tidak ditemukan." });
+        }
+
+        if (
+          role === "Karyawan" &&
+          attendance.employee_id !== normalizeEmployeeId(employee_id)
+        ) {
+          return res.status(403).json({
+            error: "Anda tidak memiliki akses ke data absensi ini.",
+          });
+        }
+
+        const history = await prisma.attendanceApprovalHistory.findMany({
+          where: { attendance_id: attendance.attendance_id },
+          include: {
+            user: { select: { user_id: true, username: true, role: true } },
+          },
+          orderBy: { created_at: "asc" },
+        });
+
+        res.json({ ...attendance, history });
+      } catch (error) {
+        console.error("Error fetching approval history:", error);
+        res.status(500).json({
+          error: "Gagal mengambil riwayat approval.",
+          details: error.message,
+        });
+      }
+    }
+  );
+
   // ✅ PUT: Approval status absensi - HANYA ADMIN & HR
+  // Body: approval_status (pending | approved | rejected), notes
   router.put(
     "/approval/:id",
     authMiddleware.authenticateToken,
     authMiddleware.authorizeRole(["Admin", "HR"]),
     async (req, res) => {
       const { id } = req.params;
-      const { status_approval } = req.body;
+      // status_approval: nama field lama, tetap diterima
+      const target = req.body.approval_status || req.body.status_approval;
+      const { notes } = req.body;
 
       try {
+        if (!APPROVAL_STATUSES.includes(target)) {
+          return res.status(400).json({
+            error: "approval_status harus pending, approved atau rejected",
+          });
+        }
+
         const existingAttendance = await prisma.attendance.findUnique({
           where: { attendance_id: parseInt(id) },
         });
@@ -944,15 +1534,30 @@ module.exports = function (prisma) {
             .json({ error: "Data absensi tidak ditemukan." });
         }
 
-        const approvedAttendance = await prisma.attendance.update({
-          where: { attendance_id: parseInt(id) },
-          data: { status_approval },
-          include: {
-            employee: true,
-          },
-        });
+        if (!canTransition(existingAttendance.approval_status, target)) {
+          return res.status(400).json({
+            error: transitionError(existingAttendance.approval_status, target),
+          });
+        }
 
-        console.log(`✅ Attendance approved by ${req.user.role} - ID: ${id}`);
+        const action = Object.keys(APPROVAL_ACTIONS).find(
+          (key) => APPROVAL_ACTIONS[key] === target
+        );
+
+        const approvedAttendance = await prisma.$transaction((tx) =>
+          transitionApproval(tx, existingAttendance, {
+            to: target,
+            action,
+            notes,
+            userId: req.user.userId,
+            role: req.user.role,
+            include: { employee: true },
+          })
+        );
+
+        console.log(
+          `✅ Attendance approval ${existingAttendance.approval_status} → ${target} by ${req.user.role} - ID: ${id}`
+        );
         res.json(approvedAttendance);
       } catch (error) {
         console.error("Error approving attendance:", error);
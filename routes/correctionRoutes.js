@@ -0,0 +1,514 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { correctionUpload } = require("../middleware/upload");
+const {
+  isValidTime,
+  getScheduleForAttendance,
+  getScheduleForEmployee,
+  calculateLateMinutes,
+} = require("../services/scheduleService");
+const { getOvertimeMinutes } = require("../services/overtimeService");
+const {
+  syncAttendanceDeductions,
+} = require("../services/payrollDeductionService");
+const { recordLatePenalty } = require("../services/latePenaltyService");
+const { buildWorkMetrics } = require("../services/workHoursService");
+const {
+  getCompanyClock,
+  dateKeyToDate,
+  isValidDateKey,
+} = require("../services/timezoneService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  const VALID_STATUSES = ["hadir", "terlambat", "izin", "sakit"];
+  const UPLOAD_DIR = path.join(__dirname, "../uploads/corrections");
+
+  // Helper: hapus file upload jika request gagal
+  function removeUploadedFile(file) {
+    if (!file) return;
+    const filePath = path.join(UPLOAD_DIR, file.filename);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+
+  // Helper: terapkan koreksi yang disetujui ke tabel attendance.
+  // Dipanggil di dalam transaksi (db = tx); record untuk karyawan & tanggal
+  // tersebut dicari ulang agar check-in yang masuk setelah pengajuan
+  // diperbarui, bukan diduplikasi.
+  async function applyCorrection(db, correction, adminUsername) {
+    const existing =
+      (correction.attendance_id &&
+        (await db.attendance.findUnique({
+          where: { attendance_id: correction.attendance_id },
+        }))) ||
+      (await db.attendance.findFirst({
+        where: {
+          employee_id: correction.employee_id,
+          tanggal: correction.tanggal,
+        },
+        orderBy: { attendance_id: "asc" },
+      }));
+
+    const base = existing || {
+      employee_id: correction.employee_id,
+      tanggal: correction.tanggal,
+      schedule_id: null,
+      jam_masuk: null,
+      jam_pulang: null,
+      status: null,
+      checkout_flag: null,
+    };
+
+    const schedule = existing
+      ? await getScheduleForAttendance(db, existing)
+      : await getScheduleForEmployee(
+          db,
+          correction.employee_id,
+          correction.tanggal
+        );
+
+    const jamMasuk = correction.jam_masuk_usulan ?? base.jam_masuk;
+    const jamPulang = correction.jam_pulang_usulan ?? base.jam_pulang;
+
+    // Re-evaluasi status terlambat dari jam masuk yang baru
+    let status = correction.status_usulan || base.status || "hadir";
+    let lateMinutes = 0;
+
+    if (["hadir", "terlambat"].includes(status) && jamMasuk) {
+      lateMinutes = calculateLateMinutes(schedule, jamMasuk);
+      status = lateMinutes > 0 ? "terlambat" : "hadir";
+    }
+
+    const data = {
+      ...(await buildWorkMetrics(db, schedule, {
+        tanggal: base.tanggal,
+        jam_masuk: jamMasuk,
+        jam_pulang: jamPulang,
+        istirahat_menit: base.istirahat_menit,
+      })),
+      checkout_flag: jamPulang ? null : base.checkout_flag,
+      status: status,
+      terlambat_menit: lateMinutes,
+      schedule_id: schedule.schedule_id,
+      lembur_menit: (
+        await getOvertimeMinutes(
+          db,
+          schedule,
+          base.tanggal,
+          jamMasuk,
+          jamPulang
+        )
+      ).minutes,
+      keterangan: `Dikoreksi (#${correction.correction_id}) oleh ${adminUsername}: ${correction.alasan}`,
+    };
+
+    const attendance = existing
+      ? await db.attendance.update({
+          where: { attendance_id: existing.attendance_id },
+          data,
+        })
+      : await db.attendance.create({
+          data: {
+            ...data,
+            employee_id: correction.employee_id,
+            tanggal: correction.tanggal,
+            recorded_by_role: "Koreksi",
+          },
+        });
+
+    // Sesuaikan potongan di payroll: ledger attendance ini disamakan
+    // dengan tingkatan / status hasil koreksi
+    const wasLate = base.status === "terlambat";
+    const isLate = status === "terlambat";
+    const reason = `koreksi #${correction.correction_id}`;
+
+    if (isLate) {
+      await recordLatePenalty(db, attendance, schedule, { reason });
+    } else {
+      if (wasLate) {
+        await db.attendance.update({
+          where: { attendance_id: attendance.attendance_id },
+          data: { tier_terlambat: null, potongan_terlambat: 0 },
+        });
+      }
+      await syncAttendanceDeductions(db, attendance.attendance_id, {
+        reason,
+      });
+    }
+
+    return attendance;
+  }
+
+  // ========================================
+  // POST: Ajukan koreksi absensi (Karyawan)
+  // ========================================
+  router.post(
+    "/",
+    authenticateToken,
+    correctionUpload.single("attachment"),
+    async (req, res) => {
+      try {
+        const employeeId = req.user.employee_id;
+        const {
+          attendance_id,
+          tanggal,
+          jam_masuk,
+          jam_pulang,
+          status,
+          alasan,
+        } = req.body;
+
+        console.log("📤 Attendance correction from employee:", employeeId);
+
+        if (!employeeId) {
+          removeUploadedFile(req.file);
+          return res.status(400).json({
+            error: "Employee ID tidak ditemukan dalam token",
+          });
+        }
+
+        if (!alasan) {
+          removeUploadedFile(req.file);
+          return res.status(400).json({ error: "Alasan koreksi wajib diisi." });
+        }
+
+        if (!jam_masuk && !jam_pulang && !status) {
+          removeUploadedFile(req.file);
+          return res.status(400).json({
+            error: "Isi minimal salah satu: jam_masuk, jam_pulang atau status.",
+          });
+        }
+
+        for (const [field, value] of Object.entries({
+          jam_masuk,
+          jam_pulang,
+        })) {
+          if (value && !isValidTime(value)) {
+            removeUploadedFile(req.file);
+            return res
+              .status(400)
+              .json({ error: `${field} harus berformat HH:MM.` });
+          }
+        }
+
+        if (status && !VALID_STATUSES.includes(status)) {
+          removeUploadedFile(req.file);
+          return res.status(400).json({
+            error: `Status harus salah satu dari: ${VALID_STATUSES.join(", ")}`,
+          });
+        }
+
+        let attendance = null;
+
+        if (attendance_id) {
+          attendance = await prisma.attendance.findUnique({
+            where: { attendance_id: parseInt(attendance_id) },
+          });
+
+          if (!attendance) {
+            removeUploadedFile(req.file);
+            return res
+              .status(404)
+              .json({ error: "Data absensi tidak ditemukan." });
+          }
+
+          if (attendance.employee_id !== parseInt(employeeId)) {
+            removeUploadedFile(req.file);
+            return res.status(403).json({
+              error: "Anda hanya dapat mengoreksi absensi diri sendiri.",
+            });
+          }
+        } else {
+          if (!tanggal) {
+            removeUploadedFile(req.file);
+            return res.status(400).json({
+              error: "attendance_id atau tanggal wajib diisi.",
+            });
+          }
+
+          if (!isValidDateKey(tanggal)) {
+            removeUploadedFile(req.file);
+            return res.status(400).json({
+              error: "Format tanggal tidak valid (YYYY-MM-DD).",
+            });
+          }
+
+          const { dateKey: today } = await getCompanyClock(prisma);
+          if (tanggal > today) {
+            removeUploadedFile(req.file);
+            return res.status(400).json({
+              error: "Koreksi tidak bisa diajukan untuk tanggal mendatang.",
+            });
+          }
+
+          // Lupa check-in: hubungkan ke record yang sudah ada jika ada
+          attendance = await prisma.attendance.findFirst({
+            where: {
+              employee_id: parseInt(employeeId),
+              tanggal: dateKeyToDate(tanggal),
+            },
+          });
+        }
+
+        const targetAttendanceId = attendance?.attendance_id ?? null;
+
+        const pending = await prisma.attendanceCorrection.findFirst({
+          where: {
+            employee_id: parseInt(employeeId),
+            status: "pending",
+            ...(targetAttendanceId
+              ? { attendance_id: targetAttendanceId }
+              : { tanggal: dateKeyToDate(tanggal) }),
+          },
+        });
+
+        if (pending) {
+          removeUploadedFile(req.file);
+          return res.status(400).json({
+            error: "Masih ada pengajuan koreksi yang menunggu approval.",
+          });
+        }
+
+        const correctionData = {
+          attendance_id: targetAttendanceId,
+          employee_id: parseInt(employeeId),
+          tanggal: attendance ? attendance.tanggal : dateKeyToDate(tanggal),
+          jam_masuk_usulan: jam_masuk || null,
+          jam_pulang_usulan: jam_pulang || null,
+          status_usulan: status || null,
+          alasan: alasan,
+          status: "pending",
+        };
+
+        if (req.file) {
+          correctionData.attachment_path = `/uploads/corrections/${req.file.filename}`;
+          correctionData.attachment_filename = req.file.filename;
+        }
+
+        const correction = await prisma.attendanceCorrection.create({
+          data: correctionData,
+        });
+
+        console.log(
+          `✅ Correction request created: ${correction.correction_id}`
+        );
+        res.status(201).json({
+          message:
+            "✅ Pengajuan koreksi absensi berhasil dikirim. Menunggu approval HR.",
+          data: correction,
+        });
+      } catch (error) {
+        console.error("❌ Error creating correction request:", error);
+        removeUploadedFile(req.file);
+        res.status(400).json({
+          error: "Gagal mengajukan koreksi absensi.",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // GET: Pengajuan koreksi sendiri (Karyawan)
+  // ========================================
+  router.get("/my", authenticateToken, async (req, res) => {
+    try {
+      const employeeId = req.user.employee_id;
+
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      const corrections = await prisma.attendanceCorrection.findMany({
+        where: { employee_id: parseInt(employeeId) },
+        orderBy: { created_at: "desc" },
+        include: { attendance: true },
+      });
+
+      res.json(corrections);
+    } catch (error) {
+      console.error("❌ Error fetching my corrections:", error);
+      res
+        .status(500)
+        .json({ error: "Gagal mengambil pengajuan koreksi Anda." });
+    }
+  });
+
+  // ========================================
+  // GET: Antrian koreksi pending (Admin & HR)
+  // ========================================
+  router.get(
+    "/pending",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const corrections = await prisma.attendanceCorrection.findMany({
+          where: { status: "pending" },
+          orderBy: { created_at: "asc" },
+          include: {
+            attendance: true,
+            employee: {
+              select: {
+                employee_id: true,
+                nama_lengkap: true,
+                jabatan: true,
+              },
+            },
+          },
+        });
+
+        console.log(`✅ Found ${corrections.length} pending corrections`);
+        res.json(corrections);
+      } catch (error) {
+        console.error("❌ Error fetching pending corrections:", error);
+        res.status(500).json({
+          error: "Gagal mengambil data koreksi pending",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // GET: Lampiran koreksi
+  // ========================================
+  router.get("/attachment/:filename", authenticateToken, async (req, res) => {
+    try {
+      const filename = path.basename(req.params.filename);
+      const filePath = path.join(UPLOAD_DIR, filename);
+
+      const correction = await prisma.attendanceCorrection.findFirst({
+        where: { attachment_filename: filename },
+      });
+
+      if (!correction || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: "File tidak ditemukan." });
+      }
+
+      if (
+        req.user.role === "Karyawan" &&
+        correction.employee_id !== parseInt(req.user.employee_id)
+      ) {
+        return res.status(403).json({
+          error: "Anda tidak memiliki akses ke file ini.",
+        });
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+      fs.createReadStream(filePath).pipe(res);
+    } catch (error) {
+      console.error("❌ Error serving correction file:", error);
+      res.status(500).json({ error: "Gagal memuat file." });
+    }
+  });
+
+  // ========================================
+  // POST: Approve/Reject koreksi (Admin & HR)
+  // ========================================
+  router.post(
+    "/approve/:correction_id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { correction_id } = req.params;
+        const { action, notes } = req.body;
+
+        console.log(
+          `📤 Processing ${action} for correction ID: ${correction_id}`
+        );
+
+        if (!["approve", "reject"].includes(action)) {
+          return res.status(400).json({
+            error: "Action harus 'approve' atau 'reject'",
+          });
+        }
+
+        const correction = await prisma.attendanceCorrection.findUnique({
+          where: { correction_id: parseInt(correction_id) },
+          include: {
+            employee: { select: { nama_lengkap: true } },
+          },
+        });
+
+        if (!correction) {
+          return res.status(404).json({
+            error: "Pengajuan koreksi tidak ditemukan",
+          });
+        }
+
+        if (correction.status !== "pending") {
+          return res.status(400).json({
+            error: `Pengajuan ini sudah ${correction.status}`,
+          });
+        }
+
+        // Absensi & status koreksi diubah dalam satu transaksi; status
+        // dicek ulang agar approval ganda tidak menerapkan koreksi dua kali
+        const result = await prisma.$transaction(async (tx) => {
+          const current = await tx.attendanceCorrection.findUnique({
+            where: { correction_id: correction.correction_id },
+            select: { status: true },
+          });
+          if (current.status !== "pending") {
+            return { processedStatus: current.status };
+          }
+
+          const attendance =
+            action === "approve"
+              ? await applyCorrection(tx, correction, req.user.username)
+              : null;
+
+          const updated = await tx.attendanceCorrection.update({
+            where: { correction_id: correction.correction_id },
+            data: {
+              status: action === "approve" ? "approved" : "rejected",
+              attendance_id:
+                attendance?.attendance_id ?? correction.attendance_id,
+              approved_by: req.user.userId || null,
+              approval_notes: notes || null,
+              approval_date: new Date(),
+            },
+          });
+
+          return { attendance, updated };
+        });
+
+        if (result.processedStatus) {
+          return res.status(400).json({
+            error: `Pengajuan ini sudah ${result.processedStatus}`,
+          });
+        }
+
+        const { attendance, updated } = result;
+
+        const message =
+          action === "approve"
+            ? `✅ Koreksi absensi ${correction.employee.nama_lengkap} telah disetujui`
+            : `❌ Koreksi absensi ${correction.employee.nama_lengkap} ditolak`;
+
+        console.log(message);
+        res.json({
+          message: message,
+          data: updated,
+          attendance: attendance,
+        });
+      } catch (error) {
+        console.error("❌ Error approving correction:", error);
+        res.status(500).json({
+          error: "Gagal memproses koreksi absensi",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,203 @@
+const express = require("express");
+const fs = require("fs");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { deviceLogUpload } = require("../middleware/upload");
+const {
+  parsePunchLog,
+  pairPunches,
+  buildImportPlan,
+  commitImportPlan,
+  summarizePlan,
+} = require("../services/deviceLogService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // ========================================
+  // POST: Import log mesin absensi (Admin/HR)
+  // ========================================
+  // Default dry-run: hanya preview + konflik, tidak ada data yang disimpan.
+  // Kirim dry_run=false untuk commit, overwrite=true untuk menimpa konflik.
+  router.post(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    deviceLogUpload.single("file"),
+    async (req, res) => {
+      const dryRun = String(req.body.dry_run ?? "true") !== "false";
+      const overwrite = String(req.body.overwrite) === "true";
+
+      try {
+        if (!req.file) {
+          return res.status(400).json({
+            error: "File log mesin (CSV/TXT) wajib diupload",
+          });
+        }
+
+        const content = fs.readFileSync(req.file.path, "utf8");
+        const { punches, errors } = parsePunchLog(content);
+
+        if (punches.length === 0) {
+          fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            error: "Tidak ada punch valid di dalam file",
+            errors,
+          });
+        }
+
+        const days = await pairPunches(prisma, punches);
+        const plan = await buildImportPlan(prisma, days);
+        const summary = {
+          total_punch: punches.length,
+          total_hari: days.length,
+          baris_error: errors.length,
+          ...summarizePlan(plan),
+        };
+
+        console.log(
+          `📥 Device log import by ${req.user.username} (${
+            dryRun ? "dry-run" : "commit"
+          }):`,
+          summary
+        );
+
+        if (dryRun) {
+          fs.unlinkSync(req.file.path);
+          return res.json({
+            dry_run: true,
+            message:
+              "Preview import. Kirim ulang dengan dry_run=false untuk menyimpan.",
+            summary,
+            conflicts: plan.filter((item) => item.action === "conflict"),
+            items: plan,
+            errors,
+          });
+        }
+
+        const results = await commitImportPlan(prisma, plan, {
+          overwrite,
+          username: req.user.username,
+        });
+
+        const count = (result) =>
+          results.filter((r) => r.result === result).length;
+
+        res.json({
+          dry_run: false,
+          message: "✅ Import log mesin absensi selesai",
+          file: req.file.filename,
+          summary: {
+            ...summary,
+            created: count("created"),
+            updated: count("updated"),
+            unchanged: count("unchanged"),
+            skipped: count("skipped"),
+            failed: count("failed"),
+          },
+          results,
+          errors,
+        });
+      } catch (error) {
+        console.error("❌ Error importing device log:", error);
+        if (req.file && dryRun && fs.existsSync(req.file.path)) {
+          fs.unlinkSync(req.file.path);
+        }
+        res.status(500).json({
+          error: "Gagal mengimport log mesin absensi",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // GET: Daftar PIN mesin per karyawan (Admin/HR)
+  // ========================================
+  router.get(
+    "/pins",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const employees = await prisma.employee.findMany({
+          select: {
+            employee_id: true,
+            nama_lengkap: true,
+            jabatan: true,
+            device_pin: true,
+          },
+          orderBy: { nama_lengkap: "asc" },
+        });
+
+        res.json(employees);
+      } catch (error) {
+        console.error("❌ Error fetching device pins:", error);
+        res.status(500).json({
+          error: "Gagal mengambil daftar PIN mesin",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Set / hapus PIN mesin karyawan (Admin/HR)
+  // ========================================
+  router.put(
+    "/pins/:employee_id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const employeeId = parseInt(req.params.employee_id);
+        const devicePin = req.body.device_pin
+          ? String(req.body.device_pin).trim()
+          : null;
+
+        if (isNaN(employeeId)) {
+          return res.status(400).json({ error: "ID karyawan tidak valid" });
+        }
+
+        if (devicePin) {
+          const used = await prisma.employee.findFirst({
+            where: {
+              device_pin: devicePin,
+              employee_id: { not: employeeId },
+            },
+          });
+
+          if (used) {
+            return res.status(400).json({
+              error: `PIN ${devicePin} sudah dipakai oleh ${used.nama_lengkap}`,
+            });
+          }
+        }
+
+        const updated = await prisma.employee.update({
+          where: { employee_id: employeeId },
+          data: { device_pin: devicePin },
+          select: {
+            employee_id: true,
+            nama_lengkap: true,
+            device_pin: true,
+          },
+        });
+
+        res.json({
+          message: devicePin
+            ? `✅ PIN mesin ${devicePin} disimpan`
+            : "✅ PIN mesin dihapus",
+          data: updated,
+        });
+      } catch (error) {
+        console.error("❌ Error updating device pin:", error);
+        res.status(500).json({
+          error: "Gagal menyimpan PIN mesin",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
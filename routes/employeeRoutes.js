@@ -90,6 +90,7 @@ module.exports = function (prisma) {
         status_karyawan,
         gaji_pokok,
         user_id,
+        device_pin,
       } = req.body;
 
       // Validasi input yang wajib
@@ -123,6 +124,7 @@ module.exports = function (prisma) {
           tanggal_masuk: tanggal_masuk ? new Date(tanggal_masuk) : new Date(),
           status_karyawan: status_karyawan || "Tetap",
           gaji_pokok: gaji_pokok ? parseFloat(gaji_pokok) : 5000000.0,
+          device_pin: device_pin ? String(device_pin).trim() : null,
         };
 
         // Tambahkan user_id jika ada
@@ -186,6 +188,7 @@ module.exports = function (prisma) {
         tanggal_masuk,
         status_karyawan,
         gaji_pokok,
+        device_pin,
       } = req.body;
 
       // Validasi ID
@@ -217,6 +220,8 @@ module.exports = function (prisma) {
           updateData.status_karyawan = status_karyawan;
         if (gaji_pokok !== undefined)
           updateData.gaji_pokok = parseFloat(gaji_pokok);
+        if (device_pin !== undefined)
+          updateData.device_pin = device_pin ? String(device_pin).trim() : null;
 
         // ✅ FIXED: employee (singular)
         const updatedEmployee = await prisma.employee.update({
@@ -0,0 +1,145 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // Helper: validasi & normalisasi body hari libur
+  function buildHolidayData(body, partial = false) {
+    const data = {};
+
+    if (!partial && (!body.tanggal || !body.nama_libur)) {
+      throw new Error("tanggal dan nama_libur wajib diisi.");
+    }
+
+    if (body.tanggal !== undefined) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(body.tanggal))) {
+        throw new Error("Format tanggal harus YYYY-MM-DD.");
+      }
+      data.tanggal = new Date(body.tanggal);
+    }
+
+    if (body.nama_libur !== undefined) data.nama_libur = body.nama_libur;
+    if (body.is_cuti_bersama !== undefined) {
+      data.is_cuti_bersama = !!body.is_cuti_bersama;
+    }
+
+    return data;
+  }
+
+  // ========================================
+  // GET: Daftar hari libur (opsional ?year=2025)
+  // ========================================
+  router.get("/", authenticateToken, async (req, res) => {
+    try {
+      const whereClause = {};
+      const year = parseInt(req.query.year);
+
+      if (!isNaN(year)) {
+        whereClause.tanggal = {
+          gte: new Date(Date.UTC(year, 0, 1)),
+          lt: new Date(Date.UTC(year + 1, 0, 1)),
+        };
+      }
+
+      const holidays = await prisma.publicHoliday.findMany({
+        where: whereClause,
+        orderBy: { tanggal: "asc" },
+      });
+
+      res.json(holidays);
+    } catch (error) {
+      console.error("Error fetching holidays:", error);
+      res.status(500).json({ error: "Gagal mengambil data hari libur." });
+    }
+  });
+
+  // ========================================
+  // POST: Tambah hari libur
+  // ========================================
+  router.post(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const data = buildHolidayData(req.body);
+        const holiday = await prisma.publicHoliday.create({ data });
+
+        console.log("✅ Holiday created:", holiday.holiday_id);
+        res.status(201).json(holiday);
+      } catch (error) {
+        console.error("Error creating holiday:", error);
+
+        if (error.code === "P2002") {
+          return res.status(400).json({
+            error: "Tanggal tersebut sudah terdaftar sebagai hari libur.",
+          });
+        }
+
+        res.status(400).json({
+          error: "Gagal menambahkan hari libur",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Update hari libur
+  // ========================================
+  router.put(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const data = buildHolidayData(req.body, true);
+        const holiday = await prisma.publicHoliday.update({
+          where: { holiday_id: parseInt(id) },
+          data,
+        });
+
+        console.log("✅ Holiday updated:", id);
+        res.json(holiday);
+      } catch (error) {
+        console.error("Error updating holiday:", error);
+        res.status(400).json({
+          error: "Gagal memperbarui hari libur",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // DELETE: Hapus hari libur
+  // ========================================
+  router.delete(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        await prisma.publicHoliday.delete({
+          where: { holiday_id: parseInt(id) },
+        });
+
+        console.log("✅ Holiday deleted:", id);
+        res.json({ message: "Hari libur berhasil dihapus." });
+      } catch (error) {
+        console.error("Error deleting holiday:", error);
+        res.status(500).json({
+          error: "Gagal menghapus hari libur",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,361 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const {
+  generateKioskCredentials,
+  issueKioskToken,
+  verifyKioskToken,
+  findKioskByApiKey,
+} = require("../services/kioskService");
+const {
+  performCheckIn,
+  performCheckOut,
+} = require("../services/checkInService");
+const { findShiftAttendance } = require("../services/scheduleService");
+const { getCompanyClock } = require("../services/timezoneService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // Helper: data kiosk tanpa secret & hash API key
+  function publicKiosk(kiosk) {
+    const { secret, api_key_hash, ...rest } = kiosk;
+    return rest;
+  }
+
+  // ========================================
+  // GET: Token QR terbaru (dipanggil oleh tablet kiosk)
+  // ========================================
+  // Auth: header X-Kiosk-Key (didapat saat kiosk didaftarkan)
+  router.get("/token", async (req, res) => {
+    try {
+      const kiosk = await findKioskByApiKey(prisma, req.get("x-kiosk-key"));
+
+      if (!kiosk) {
+        return res.status(401).json({
+          error: "Kiosk key tidak valid atau kiosk nonaktif",
+        });
+      }
+
+      await prisma.kiosk.update({
+        where: { kiosk_id: kiosk.kiosk_id },
+        data: { last_seen_at: new Date() },
+      });
+
+      res.json({
+        kiosk_id: kiosk.kiosk_id,
+        nama_kiosk: kiosk.nama_kiosk,
+        ...issueKioskToken(kiosk),
+      });
+    } catch (error) {
+      console.error("❌ Error issuing kiosk token:", error);
+      res.status(500).json({
+        error: "Gagal membuat token kiosk",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // POST: Scan QR kiosk → check-in / check-out (Karyawan)
+  // ========================================
+  // Body: token, action ("checkin" | "checkout", opsional - otomatis)
+  router.post("/scan", authenticateToken, async (req, res) => {
+    const { role } = req.user;
+    const employeeId = parseInt(req.user.employee_id);
+    const { token, action } = req.body;
+
+    try {
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      if (action && !["checkin", "checkout"].includes(action)) {
+        return res.status(400).json({
+          error: "action harus checkin atau checkout",
+        });
+      }
+
+      const now = new Date();
+      const verification = await verifyKioskToken(prisma, token, now);
+
+      if (!verification.valid) {
+        return res.status(400).json({ error: verification.error });
+      }
+
+      const { kiosk, nonce } = verification;
+
+      // Absensi shift berjalan (termasuk shift malam kemarin) menentukan
+      // check-in atau check-out. Split shift: blok yang sudah check-out →
+      // scan berikutnya check-in blok selanjutnya
+      const clock = await getCompanyClock(prisma, now);
+      const todayAttendance = await findShiftAttendance(
+        prisma,
+        employeeId,
+        clock
+      );
+
+      const resolvedAction =
+        action ||
+        (todayAttendance && !todayAttendance.jam_pulang
+          ? "checkout"
+          : "checkin");
+
+      if (resolvedAction === "checkout" && !todayAttendance) {
+        return res.status(400).json({
+          error: "Belum check-in hari ini.",
+        });
+      }
+
+      // Tandai token sudah dipakai oleh karyawan ini (tolak replay)
+      let scan;
+      try {
+        scan = await prisma.kioskScan.create({
+          data: {
+            kiosk_id: kiosk.kiosk_id,
+            employee_id: employeeId,
+            token_nonce: nonce,
+            action: resolvedAction,
+          },
+        });
+      } catch (error) {
+        if (error.code === "P2002") {
+          return res.status(409).json({
+            error: "QR ini sudah Anda gunakan. Silakan scan QR terbaru.",
+          });
+        }
+        throw error;
+      }
+
+      // Kiosk terpasang di kantor → pakai koordinat kantor untuk geofence
+      const lokasi = kiosk.office_location
+        ? `${kiosk.office_location.latitude},${kiosk.office_location.longitude}`
+        : null;
+
+      const result =
+        resolvedAction === "checkin"
+          ? await performCheckIn(prisma, {
+              employeeId,
+              role,
+              now,
+              tipeKerja: "WFO",
+              lokasi,
+              extraData: {
+                kiosk_id: kiosk.kiosk_id,
+                recorded_by_role: "Kiosk",
+              },
+            })
+          : await performCheckOut(prisma, {
+              attendance: todayAttendance,
+              role,
+              now,
+              lokasi,
+              extraData: {
+                kiosk_id: todayAttendance.kiosk_id ?? kiosk.kiosk_id,
+              },
+            });
+
+      if (result.statusCode >= 400) {
+        // Gagal → token boleh dipakai lagi setelah masalahnya diperbaiki
+        await prisma.kioskScan.delete({ where: { scan_id: scan.scan_id } });
+      } else {
+        const attendanceId =
+          resolvedAction === "checkin"
+            ? result.body.data.attendance_id
+            : result.body.attendance_id;
+
+        await prisma.kioskScan.update({
+          where: { scan_id: scan.scan_id },
+          data: { attendance_id: attendanceId },
+        });
+
+        console.log(
+          `📱 Kiosk ${resolvedAction} by employee ${employeeId} at kiosk ${kiosk.kiosk_id}`
+        );
+      }
+
+      res.status(result.statusCode).json({
+        ...(resolvedAction === "checkout" && result.statusCode < 400
+          ? {
+              message: `✓ Absen Pulang berhasil pada ${result.body.jam_pulang}`,
+              data: result.body,
+            }
+          : result.body),
+        action: resolvedAction,
+        kiosk: { kiosk_id: kiosk.kiosk_id, nama_kiosk: kiosk.nama_kiosk },
+      });
+    } catch (error) {
+      console.error("❌ Error processing kiosk scan:", error);
+      res.status(500).json({
+        error: "Gagal memproses scan kiosk",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // GET: Daftar kiosk (Admin/HR)
+  // ========================================
+  router.get(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const kiosks = await prisma.kiosk.findMany({
+          include: { office_location: true },
+          orderBy: { nama_kiosk: "asc" },
+        });
+
+        res.json(kiosks.map(publicKiosk));
+      } catch (error) {
+        console.error("❌ Error fetching kiosks:", error);
+        res.status(500).json({
+          error: "Gagal mengambil data kiosk",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // POST: Daftarkan kiosk baru (Admin)
+  // ========================================
+  // API key hanya ditampilkan sekali di response ini
+  router.post(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      try {
+        const { nama_kiosk, office_location_id } = req.body;
+
+        if (!nama_kiosk) {
+          return res.status(400).json({ error: "nama_kiosk wajib diisi" });
+        }
+
+        const { apiKey, apiKeyHash, secret } = generateKioskCredentials();
+
+        const kiosk = await prisma.kiosk.create({
+          data: {
+            nama_kiosk,
+            office_location_id: office_location_id
+              ? parseInt(office_location_id)
+              : null,
+            api_key_hash: apiKeyHash,
+            secret,
+          },
+        });
+
+        console.log("✅ Kiosk registered:", kiosk.kiosk_id);
+        res.status(201).json({
+          message:
+            "✅ Kiosk berhasil didaftarkan. Simpan api_key, tidak akan ditampilkan lagi.",
+          api_key: apiKey,
+          data: publicKiosk(kiosk),
+        });
+      } catch (error) {
+        console.error("❌ Error registering kiosk:", error);
+        res.status(400).json({
+          error: "Gagal mendaftarkan kiosk",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // POST: Buat ulang API key kiosk (Admin)
+  // ========================================
+  router.post(
+    "/:id/regenerate-key",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      try {
+        const { apiKey, apiKeyHash, secret } = generateKioskCredentials();
+
+        const kiosk = await prisma.kiosk.update({
+          where: { kiosk_id: parseInt(req.params.id) },
+          data: { api_key_hash: apiKeyHash, secret },
+        });
+
+        console.log("🔑 Kiosk key regenerated:", kiosk.kiosk_id);
+        res.json({
+          message: "✅ API key kiosk berhasil dibuat ulang",
+          api_key: apiKey,
+          data: publicKiosk(kiosk),
+        });
+      } catch (error) {
+        console.error("❌ Error regenerating kiosk key:", error);
+        res.status(400).json({
+          error: "Gagal membuat ulang API key kiosk",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Update kiosk (Admin)
+  // ========================================
+  router.put(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      try {
+        const { nama_kiosk, office_location_id, is_active } = req.body;
+        const data = {};
+
+        if (nama_kiosk !== undefined) data.nama_kiosk = nama_kiosk;
+        if (office_location_id !== undefined) {
+          data.office_location_id = office_location_id
+            ? parseInt(office_location_id)
+            : null;
+        }
+        if (is_active !== undefined) data.is_active = !!is_active;
+
+        const kiosk = await prisma.kiosk.update({
+          where: { kiosk_id: parseInt(req.params.id) },
+          data,
+        });
+
+        res.json(publicKiosk(kiosk));
+      } catch (error) {
+        console.error("❌ Error updating kiosk:", error);
+        res.status(400).json({
+          error: "Gagal memperbarui kiosk",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // DELETE: Hapus kiosk (Admin)
+  // ========================================
+  router.delete(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      try {
+        await prisma.kiosk.delete({
+          where: { kiosk_id: parseInt(req.params.id) },
+        });
+
+        res.json({ message: "Kiosk berhasil dihapus." });
+      } catch (error) {
+        console.error("❌ Error deleting kiosk:", error);
+        res.status(500).json({
+          error: "Gagal menghapus kiosk",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -11,12 +11,21 @@ const {
   updateEmployeeLeaveQuota,
   restoreLeaveQuota,
 } = require("../services/leaveService");
+const { getCompanyTimezone } = require("../services/timezoneService");
+const {
+  isHalfDayLeave,
+  applyHalfDayLeave,
+} = require("../services/halfDayService");
 
 module.exports = function (prisma) {
   const router = express.Router();
 
-  // Serve static files for uploads
-  router.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+  // Serve static files for uploads (hanya surat sakit; folder lain seperti
+  // selfie & lampiran koreksi punya endpoint ber-auth sendiri)
+  router.use(
+    "/uploads/sick-letters",
+    express.static(path.join(__dirname, "../uploads/sick-letters"))
+  );
 
   // GET - All leave requests
   router.get("/", authenticateToken, async (req, res) => {
@@ -72,7 +81,7 @@ module.exports = function (prisma) {
 
       res.json({
         employee_name: employee.nama_lengkap,
-        month: getCurrentMonth(),
+        month: getCurrentMonth(await getCompanyTimezone(prisma)),
         total_quota: employee.monthly_leave_quota,
         used_days: employee.used_leave_days_this_month,
         remaining_days:
@@ -109,6 +118,13 @@ module.exports = function (prisma) {
         const endDate = new Date(tanggal_selesai);
         const totalDays = calculateLeaveDays(startDate, endDate);
 
+        // Izin setengah hari hanya untuk satu tanggal
+        if (isHalfDayLeave({ jenis_pengajuan }) && totalDays !== 1) {
+          return res.status(400).json({
+            error: "Izin setengah hari hanya untuk satu tanggal.",
+          });
+        }
+
         // Cek kuota untuk "Cuti"
         if (jenis_pengajuan === "Cuti") {
           const quotaCheck = await checkLeaveQuota(
@@ -237,7 +253,9 @@ module.exports = function (prisma) {
           const leaveMonth = new Date(leaveRequest.tanggal_mulai)
             .toISOString()
             .substring(0, 7);
-          if (leaveMonth === getCurrentMonth()) {
+          if (
+            leaveMonth === getCurrentMonth(await getCompanyTimezone(prisma))
+          ) {
             await updateEmployeeLeaveQuota(
               prisma,
               leaveRequest.employee_id,
@@ -260,6 +278,18 @@ module.exports = function (prisma) {
           },
         });
 
+        // Izin setengah hari → absensi yang sudah check-out ikut disesuaikan
+        if (
+          status === "approved" &&
+          previousStatus === "pending" &&
+          isHalfDayLeave(leaveRequest)
+        ) {
+          const halfDays = await applyHalfDayLeave(prisma, leaveRequest, {
+            reason: "izin setengah hari disetujui",
+          });
+          console.log(`🌓 Attendance marked half day: ${halfDays}`);
+        }
+
         res.json(updated);
       } catch (error) {
         console.error("❌ Error:", error);
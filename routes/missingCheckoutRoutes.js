@@ -0,0 +1,116 @@
+/**
+ * ========================================
+ * MISSING CHECKOUT ROUTES
+ * ========================================
+ * API endpoints untuk absensi tanpa check-out
+ *
+ * Endpoints:
+ * - POST /api/missing-checkout/check    - Manual trigger pengecekan
+ * - GET  /api/missing-checkout/report   - Laporan hari incomplete per karyawan
+ */
+
+const express = require("express");
+const {
+  getCompanyClock,
+  getMonthRange,
+} = require("../services/timezoneService");
+const authMiddleware = require("../middleware/auth");
+
+module.exports = function (prisma, missingCheckoutService) {
+  const router = express.Router();
+
+  /**
+   * ========================================
+   * POST /api/missing-checkout/check
+   * ========================================
+   * Manual trigger pengecekan absensi tanpa check-out
+   * Role: Admin, HR
+   */
+  router.post(
+    "/check",
+    authMiddleware.authenticateToken,
+    authMiddleware.authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        console.log(
+          "🔧 Manual missing checkout check triggered by:",
+          req.user.username
+        );
+
+        const result = await missingCheckoutService.checkMissingCheckouts();
+
+        res.json({
+          message: "Missing checkout check completed",
+          triggered_by: req.user.username,
+          ...result,
+        });
+      } catch (error) {
+        console.error("❌ Error in manual missing checkout check:", error);
+        res.status(500).json({
+          error: "Gagal melakukan pengecekan check-out",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  /**
+   * ========================================
+   * GET /api/missing-checkout/report
+   * ========================================
+   * Laporan hari tanpa check-out per karyawan
+   * Role: Admin, HR
+   *
+   * Query params:
+   * - start_date, end_date (YYYY-MM-DD) atau month & year
+   * - employee_id (opsional)
+   */
+  router.get(
+    "/report",
+    authMiddleware.authenticateToken,
+    authMiddleware.authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { start_date, end_date, month, year, employee_id } = req.query;
+
+        let startDate, endDate;
+
+        if (month && year) {
+          const range = getMonthRange(parseInt(year), parseInt(month));
+          startDate = range.start;
+          endDate = range.end;
+        } else if (start_date && end_date) {
+          startDate = new Date(start_date);
+          endDate = new Date(end_date);
+        } else {
+          // Default: current month
+          const clock = await getCompanyClock(prisma);
+          const range = getMonthRange(clock.year, clock.month);
+          startDate = range.start;
+          endDate = range.end;
+        }
+
+        const report = await missingCheckoutService.getIncompleteReport(
+          startDate,
+          endDate
+        );
+
+        if (employee_id) {
+          report.by_employee = report.by_employee.filter(
+            (e) => e.employee_id === parseInt(employee_id)
+          );
+        }
+
+        res.json(report);
+      } catch (error) {
+        console.error("❌ Error fetching incomplete report:", error);
+        res.status(500).json({
+          error: "Gagal mengambil laporan absensi tanpa check-out",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
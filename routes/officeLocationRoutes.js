@@ -0,0 +1,153 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // Helper: validasi & normalisasi body lokasi kantor
+  function buildLocationData(body, partial = false) {
+    const data = {};
+
+    if (
+      !partial &&
+      (!body.nama_lokasi ||
+        body.latitude === undefined ||
+        body.longitude === undefined)
+    ) {
+      throw new Error("nama_lokasi, latitude dan longitude wajib diisi.");
+    }
+
+    if (body.nama_lokasi !== undefined) data.nama_lokasi = body.nama_lokasi;
+    if (body.alamat !== undefined) data.alamat = body.alamat || null;
+
+    if (body.latitude !== undefined) {
+      const latitude = parseFloat(body.latitude);
+      if (isNaN(latitude) || Math.abs(latitude) > 90) {
+        throw new Error("latitude tidak valid.");
+      }
+      data.latitude = latitude;
+    }
+
+    if (body.longitude !== undefined) {
+      const longitude = parseFloat(body.longitude);
+      if (isNaN(longitude) || Math.abs(longitude) > 180) {
+        throw new Error("longitude tidak valid.");
+      }
+      data.longitude = longitude;
+    }
+
+    if (body.radius_meter !== undefined) {
+      const radius = parseInt(body.radius_meter);
+      if (isNaN(radius) || radius <= 0) {
+        throw new Error("radius_meter harus lebih dari 0.");
+      }
+      data.radius_meter = radius;
+    }
+
+    if (body.is_active !== undefined) data.is_active = !!body.is_active;
+
+    return data;
+  }
+
+  // ========================================
+  // GET: Semua lokasi kantor
+  // ========================================
+  router.get("/", authenticateToken, async (req, res) => {
+    try {
+      const whereClause = {};
+      if (req.query.active === "true") whereClause.is_active = true;
+
+      const locations = await prisma.officeLocation.findMany({
+        where: whereClause,
+        orderBy: { nama_lokasi: "asc" },
+      });
+
+      res.json(locations);
+    } catch (error) {
+      console.error("Error fetching office locations:", error);
+      res.status(500).json({ error: "Gagal mengambil data lokasi kantor." });
+    }
+  });
+
+  // ========================================
+  // POST: Daftarkan lokasi kantor
+  // ========================================
+  router.post(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      try {
+        const data = buildLocationData(req.body);
+        const location = await prisma.officeLocation.create({ data });
+
+        console.log("✅ Office location created:", location.location_id);
+        res.status(201).json(location);
+      } catch (error) {
+        console.error("Error creating office location:", error);
+        res.status(400).json({
+          error: "Gagal menambahkan lokasi kantor",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Update lokasi kantor
+  // ========================================
+  router.put(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const data = buildLocationData(req.body, true);
+        const location = await prisma.officeLocation.update({
+          where: { location_id: parseInt(id) },
+          data,
+        });
+
+        console.log("✅ Office location updated:", id);
+        res.json(location);
+      } catch (error) {
+        console.error("Error updating office location:", error);
+        res.status(400).json({
+          error: "Gagal memperbarui lokasi kantor",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // DELETE: Hapus lokasi kantor
+  // ========================================
+  router.delete(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        await prisma.officeLocation.delete({
+          where: { location_id: parseInt(id) },
+        });
+
+        console.log("✅ Office location deleted:", id);
+        res.json({ message: "Lokasi kantor berhasil dihapus." });
+      } catch (error) {
+        console.error("Error deleting office location:", error);
+        res.status(500).json({
+          error: "Gagal menghapus lokasi kantor",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,276 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  generateDeviceSecret,
+  syncOfflineEvents,
+} = require("../services/offlineSyncService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // Helper: data perangkat tanpa secret
+  function publicDevice(device) {
+    const { secret, ...rest } = device;
+    return rest;
+  }
+
+  // Helper: perangkat milik user ini (atau Admin/HR)
+  async function findOwnedDevice(req, res) {
+    const device = await prisma.syncDevice.findUnique({
+      where: { sync_device_id: parseInt(req.params.id) },
+    });
+
+    if (!device) {
+      res.status(404).json({ error: "Perangkat tidak ditemukan." });
+      return null;
+    }
+
+    if (
+      req.user.role === "Karyawan" &&
+      device.employee_id !== parseInt(req.user.employee_id)
+    ) {
+      res.status(403).json({
+        error: "Anda tidak memiliki akses ke perangkat ini.",
+      });
+      return null;
+    }
+
+    return device;
+  }
+
+  // ========================================
+  // POST: Sinkron event check-in/check-out offline
+  // ========================================
+  // Body: device_id, sent_at (jam perangkat saat kirim, ISO 8601),
+  //       events: [{ event_id, action, client_time, lokasi, akurasi,
+  //                  tipe_kerja, signature }]
+  router.post("/", authenticateToken, async (req, res) => {
+    const { role } = req.user;
+    const employeeId = parseInt(req.user.employee_id);
+    const { device_id, sent_at, events } = req.body;
+
+    try {
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      if (!device_id) {
+        return res.status(400).json({ error: "device_id wajib diisi." });
+      }
+
+      const device = await prisma.syncDevice.findUnique({
+        where: { device_id: String(device_id) },
+      });
+
+      if (!device || !device.is_active) {
+        return res.status(401).json({
+          error: "Perangkat tidak terdaftar atau nonaktif.",
+        });
+      }
+
+      if (device.employee_id !== employeeId) {
+        return res.status(403).json({
+          error: "Perangkat ini terdaftar untuk karyawan lain.",
+        });
+      }
+
+      const result = await syncOfflineEvents(prisma, {
+        device,
+        role,
+        sentAt: sent_at,
+        events,
+      });
+
+      res.status(result.statusCode).json(result.body);
+    } catch (error) {
+      console.error("❌ Error syncing offline attendance:", error);
+      res.status(500).json({
+        error: "Gagal sinkronisasi absensi offline",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // GET: Daftar perangkat sync
+  // ========================================
+  // Karyawan: milik sendiri. Admin/HR: semua (?employee_id)
+  router.get("/devices", authenticateToken, async (req, res) => {
+    try {
+      const { role, employee_id } = req.user;
+      const whereClause = {};
+
+      if (role === "Karyawan") {
+        whereClause.employee_id = parseInt(employee_id);
+      } else if (req.query.employee_id) {
+        whereClause.employee_id = parseInt(req.query.employee_id);
+      }
+
+      const devices = await prisma.syncDevice.findMany({
+        where: whereClause,
+        include: {
+          employee: { select: { nama_lengkap: true, jabatan: true } },
+        },
+        orderBy: { created_at: "desc" },
+      });
+
+      res.json(devices.map(publicDevice));
+    } catch (error) {
+      console.error("Error fetching sync devices:", error);
+      res.status(500).json({ error: "Gagal mengambil data perangkat." });
+    }
+  });
+
+  // ========================================
+  // POST: Daftarkan perangkat sync (Karyawan)
+  // ========================================
+  // Body: device_id, nama_perangkat. Secret hanya ditampilkan sekali.
+  router.post("/devices", authenticateToken, async (req, res) => {
+    try {
+      const employeeId = parseInt(req.user.employee_id);
+      const { device_id, nama_perangkat } = req.body;
+
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      if (!device_id || String(device_id).length > 100) {
+        return res.status(400).json({
+          error: "device_id wajib diisi (maksimal 100 karakter).",
+        });
+      }
+
+      const existing = await prisma.syncDevice.findUnique({
+        where: { device_id: String(device_id) },
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          error:
+            "Perangkat sudah terdaftar. Gunakan regenerate-secret untuk membuat secret baru.",
+        });
+      }
+
+      const device = await prisma.syncDevice.create({
+        data: {
+          device_id: String(device_id),
+          employee_id: employeeId,
+          nama_perangkat: nama_perangkat || null,
+          secret: generateDeviceSecret(),
+        },
+      });
+
+      console.log(
+        `✅ Sync device registered: ${device.device_id} (employee ${employeeId})`
+      );
+      res.status(201).json({
+        message:
+          "✅ Perangkat berhasil didaftarkan. Simpan secret, tidak akan ditampilkan lagi.",
+        secret: device.secret,
+        data: publicDevice(device),
+      });
+    } catch (error) {
+      console.error("❌ Error registering sync device:", error);
+      res.status(400).json({
+        error: "Gagal mendaftarkan perangkat",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // POST: Buat ulang secret perangkat (pemilik / Admin)
+  // ========================================
+  router.post(
+    "/devices/:id/regenerate-secret",
+    authenticateToken,
+    async (req, res) => {
+      try {
+        if (req.user.role === "HR") {
+          return res.status(403).json({
+            error:
+              "Hanya pemilik perangkat atau Admin yang dapat membuat secret.",
+          });
+        }
+
+        const device = await findOwnedDevice(req, res);
+        if (!device) return;
+
+        const updated = await prisma.syncDevice.update({
+          where: { sync_device_id: device.sync_device_id },
+          data: { secret: generateDeviceSecret() },
+        });
+
+        console.log("🔑 Sync device secret regenerated:", updated.device_id);
+        res.json({
+          message: "✅ Secret perangkat berhasil dibuat ulang",
+          secret: updated.secret,
+          data: publicDevice(updated),
+        });
+      } catch (error) {
+        console.error("❌ Error regenerating sync device secret:", error);
+        res.status(400).json({
+          error: "Gagal membuat ulang secret perangkat",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Aktif / nonaktifkan perangkat (pemilik / Admin / HR)
+  // ========================================
+  // Body: is_active, nama_perangkat
+  router.put("/devices/:id", authenticateToken, async (req, res) => {
+    try {
+      const device = await findOwnedDevice(req, res);
+      if (!device) return;
+
+      const { is_active, nama_perangkat } = req.body;
+      const data = {};
+
+      if (is_active !== undefined) data.is_active = !!is_active;
+      if (nama_perangkat !== undefined) data.nama_perangkat = nama_perangkat;
+
+      const updated = await prisma.syncDevice.update({
+        where: { sync_device_id: device.sync_device_id },
+        data,
+      });
+
+      res.json(publicDevice(updated));
+    } catch (error) {
+      console.error("❌ Error updating sync device:", error);
+      res.status(400).json({
+        error: "Gagal memperbarui perangkat",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // GET: Riwayat event sinkron sebuah perangkat
+  // ========================================
+  router.get("/devices/:id/events", authenticateToken, async (req, res) => {
+    try {
+      const device = await findOwnedDevice(req, res);
+      if (!device) return;
+
+      const events = await prisma.offlineSyncEvent.findMany({
+        where: { sync_device_id: device.sync_device_id },
+        orderBy: { client_time: "desc" },
+        take: 200,
+      });
+
+      res.json(events);
+    } catch (error) {
+      console.error("Error fetching sync events:", error);
+      res.status(500).json({ error: "Gagal mengambil riwayat sinkron." });
+    }
+  });
+
+  return router;
+};
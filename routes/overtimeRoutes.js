@@ -0,0 +1,331 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const {
+  getCompanyClock,
+  dateKeyToDate,
+  isValidDateKey,
+} = require("../services/timezoneService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  const MAX_JAM_LEMBUR = 4; // Batas lembur per hari (PP 35/2021)
+
+  // ========================================
+  // POST: Ajukan lembur (Karyawan)
+  // ========================================
+  router.post("/request", authenticateToken, async (req, res) => {
+    try {
+      const employeeId = req.user.employee_id;
+      const { tanggal, jam_rencana, alasan } = req.body;
+
+      console.log("📤 Overtime request from employee:", employeeId);
+
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      if (!tanggal || !jam_rencana || !alasan) {
+        return res.status(400).json({
+          error: "tanggal, jam_rencana dan alasan wajib diisi",
+        });
+      }
+
+      if (!isValidDateKey(tanggal)) {
+        return res.status(400).json({
+          error: "Format tanggal tidak valid (YYYY-MM-DD)",
+        });
+      }
+
+      // Lembur diajukan sebelum dikerjakan, tidak untuk tanggal lampau
+      const { dateKey: today } = await getCompanyClock(prisma);
+      if (tanggal < today) {
+        return res.status(400).json({
+          error: "Pengajuan lembur tidak bisa untuk tanggal yang sudah lewat",
+        });
+      }
+
+      const plannedHours = parseFloat(jam_rencana);
+      if (isNaN(plannedHours) || plannedHours <= 0) {
+        return res.status(400).json({
+          error: "jam_rencana harus lebih dari 0",
+        });
+      }
+
+      if (plannedHours > MAX_JAM_LEMBUR) {
+        return res.status(400).json({
+          error: `Lembur maksimal ${MAX_JAM_LEMBUR} jam per hari`,
+        });
+      }
+
+      const existing = await prisma.overtimeRequest.findFirst({
+        where: {
+          employee_id: parseInt(employeeId),
+          tanggal: dateKeyToDate(tanggal),
+          status: { in: ["pending", "approved"] },
+        },
+      });
+
+      if (existing) {
+        return res.status(400).json({
+          error: `Anda sudah memiliki pengajuan lembur (${existing.status}) untuk tanggal ini`,
+        });
+      }
+
+      const newRequest = await prisma.overtimeRequest.create({
+        data: {
+          employee_id: parseInt(employeeId),
+          tanggal: dateKeyToDate(tanggal),
+          jam_rencana: plannedHours,
+          alasan: alasan,
+          status: "pending",
+        },
+      });
+
+      console.log(`✅ Overtime request created for employee ${employeeId}`);
+      res.status(201).json({
+        message:
+          "✅ Pengajuan lembur berhasil dikirim. Menunggu approval dari admin.",
+        data: newRequest,
+      });
+    } catch (error) {
+      console.error("❌ Error creating overtime request:", error);
+      res.status(500).json({
+        error: "Gagal membuat pengajuan lembur",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // GET: Pengajuan lembur sendiri (Karyawan)
+  // ========================================
+  router.get("/my", authenticateToken, async (req, res) => {
+    try {
+      const employeeId = req.user.employee_id;
+
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      const whereClause = { employee_id: parseInt(employeeId) };
+      if (req.query.status) whereClause.status = req.query.status;
+
+      const requests = await prisma.overtimeRequest.findMany({
+        where: whereClause,
+        orderBy: { tanggal: "desc" },
+      });
+
+      res.json(requests);
+    } catch (error) {
+      console.error("❌ Error fetching my overtime requests:", error);
+      res.status(500).json({ error: "Gagal mengambil pengajuan lembur Anda." });
+    }
+  });
+
+  // ========================================
+  // GET: Antrian approval lembur (Admin & HR)
+  // ========================================
+  router.get(
+    "/pending",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        console.log("📡 Fetching pending overtime requests...");
+
+        const pendingRequests = await prisma.overtimeRequest.findMany({
+          where: { status: "pending" },
+          orderBy: [{ tanggal: "asc" }, { created_at: "asc" }],
+          include: {
+            employee: {
+              select: {
+                employee_id: true,
+                nama_lengkap: true,
+                jabatan: true,
+              },
+            },
+          },
+        });
+
+        console.log(
+          `✅ Found ${pendingRequests.length} pending overtime requests`
+        );
+        res.json(pendingRequests);
+      } catch (error) {
+        console.error("❌ Error fetching pending overtime:", error);
+        res.status(500).json({
+          error: "Gagal mengambil data pending lembur",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // GET: Semua pengajuan lembur (Admin & HR)
+  // ========================================
+  router.get(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { status, employee_id } = req.query;
+
+        const whereClause = {};
+        if (status) whereClause.status = status;
+        if (employee_id) whereClause.employee_id = parseInt(employee_id);
+
+        const requests = await prisma.overtimeRequest.findMany({
+          where: whereClause,
+          orderBy: { tanggal: "desc" },
+          include: {
+            employee: {
+              select: {
+                employee_id: true,
+                nama_lengkap: true,
+                jabatan: true,
+              },
+            },
+            approver: {
+              select: { username: true },
+            },
+          },
+        });
+
+        res.json(requests);
+      } catch (error) {
+        console.error("❌ Error fetching overtime requests:", error);
+        res.status(500).json({ error: "Gagal mengambil data lembur." });
+      }
+    }
+  );
+
+  // ========================================
+  // POST: Approve/Reject lembur (Admin & HR)
+  // ========================================
+  router.post(
+    "/approve/:overtime_id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { overtime_id } = req.params;
+        const { action, notes } = req.body;
+
+        console.log(`📤 Processing ${action} for overtime ID: ${overtime_id}`);
+
+        if (!["approve", "reject"].includes(action)) {
+          return res.status(400).json({
+            error: "Action harus 'approve' atau 'reject'",
+          });
+        }
+
+        const overtime = await prisma.overtimeRequest.findUnique({
+          where: { overtime_id: parseInt(overtime_id) },
+          include: {
+            employee: {
+              select: {
+                nama_lengkap: true,
+              },
+            },
+          },
+        });
+
+        if (!overtime) {
+          return res.status(404).json({
+            error: "Pengajuan lembur tidak ditemukan",
+          });
+        }
+
+        if (overtime.status !== "pending") {
+          return res.status(400).json({
+            error: `Pengajuan ini sudah ${overtime.status}`,
+          });
+        }
+
+        const updated = await prisma.overtimeRequest.update({
+          where: { overtime_id: parseInt(overtime_id) },
+          data: {
+            status: action === "approve" ? "approved" : "rejected",
+            approved_by: req.user.userId || null,
+            approval_notes: notes || null,
+            approval_date: new Date(),
+          },
+        });
+
+        const message =
+          action === "approve"
+            ? `✅ Lembur ${overtime.employee.nama_lengkap} telah disetujui`
+            : `❌ Lembur ${overtime.employee.nama_lengkap} ditolak`;
+
+        console.log(message);
+        res.json({
+          message: message,
+          data: updated,
+        });
+      } catch (error) {
+        console.error("❌ Error approving overtime:", error);
+        res.status(500).json({
+          error: "Gagal memproses approval lembur",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // DELETE: Batalkan pengajuan lembur (masih pending)
+  // ========================================
+  router.delete("/:id", authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    const { role, employee_id } = req.user;
+
+    try {
+      const overtime = await prisma.overtimeRequest.findUnique({
+        where: { overtime_id: parseInt(id) },
+      });
+
+      if (!overtime) {
+        return res
+          .status(404)
+          .json({ error: "Pengajuan lembur tidak ditemukan." });
+      }
+
+      if (
+        role === "Karyawan" &&
+        overtime.employee_id !== parseInt(employee_id)
+      ) {
+        return res.status(403).json({
+          error: "Anda hanya dapat membatalkan pengajuan Anda sendiri.",
+        });
+      }
+
+      if (overtime.status !== "pending") {
+        return res.status(400).json({
+          error: `Pengajuan ini sudah ${overtime.status}`,
+        });
+      }
+
+      await prisma.overtimeRequest.delete({
+        where: { overtime_id: parseInt(id) },
+      });
+
+      console.log(`✅ Overtime request cancelled - ID: ${id}`);
+      res.json({ message: "Pengajuan lembur berhasil dibatalkan." });
+    } catch (error) {
+      console.error("❌ Error cancelling overtime:", error);
+      res.status(500).json({
+        error: "Gagal membatalkan pengajuan lembur",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+};
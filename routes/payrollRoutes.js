@@ -1,5 +1,37 @@
 const express = require("express");
 const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const {
+  createScheduleResolver,
+  parseWorkDays,
+} = require("../services/scheduleService");
+const { getHolidayMap } = require("../services/holidayService");
+const {
+  isRestDay,
+  isOfficialHoliday,
+  calculateOvertimePay,
+  getApprovedOvertimeMinutes,
+} = require("../services/overtimeService");
+const {
+  getMonthRange,
+  countDaysInclusive,
+  toDateOnlyKey,
+  dateKeyToDate,
+  addDays,
+} = require("../services/timezoneService");
+const {
+  POTONGAN_TERLAMBAT,
+  POTONGAN_ALPA,
+  JENIS_TERLAMBAT,
+  JENIS_ALPA,
+  JENIS_PULANG_CEPAT,
+  JENIS_SETENGAH_HARI,
+} = require("../services/payrollDeductionService");
+const {
+  STATUS_SETENGAH_HARI,
+  isHalfDayLeave,
+  getHalfDayPolicy,
+  calculateHalfDayDeduction,
+} = require("../services/halfDayService");
 
 module.exports = function (prisma) {
   const router = express.Router();
@@ -7,8 +39,6 @@ module.exports = function (prisma) {
   // ========================================
   // TARIF POTONGAN
   // ========================================
-  const POTONGAN_ALPA = 100000; // Rp 100.000 per hari
-  const POTONGAN_TERLAMBAT = 25000; // Rp 25.000 per kejadian
   const POTONGAN_IZIN = 50000; // Rp 50.000 per hari
   const POTONGAN_SAKIT = 0; // Rp 0 (tidak ada potongan)
 
@@ -54,9 +84,12 @@ module.exports = function (prisma) {
 
         console.log(`Total employees: ${employees.length}`);
 
-        // Define date range for the period
-        const startDate = new Date(periodYear, periodMonth - 1, 1);
-        const endDate = new Date(periodYear, periodMonth, 0, 23, 59, 59);
+        // Define date range for the period (tanggal saja, tidak
+        // bergantung zona waktu server)
+        const { start: startDate, end: endDate } = getMonthRange(
+          periodYear,
+          periodMonth
+        );
 
         console.log("Date range:", {
           start: startDate.toISOString(),
@@ -112,6 +145,33 @@ module.exports = function (prisma) {
 
         console.log(`Total approved leaves in period: ${leaves.length}`);
 
+        // Lembur yang sudah disetujui (hanya ini yang dibayar)
+        const approvedOvertimes = await prisma.overtimeRequest.findMany({
+          where: {
+            status: "approved",
+            tanggal: {
+              gte: startDate,
+              lte: endDate,
+            },
+          },
+        });
+
+        // Ledger potongan otomatis periode ini. Potongan terlambat, pulang
+        // cepat, setengah hari & alpa diambil dari sini (nilai saat
+        // kejadian), bukan dihitung ulang dari pengaturan sekarang
+        const ledgerEntries = await prisma.payrollDeduction.findMany({
+          where: { periode },
+        });
+
+        // Jadwal kerja per karyawan (lembur & izin setengah hari)
+        const resolveSchedule = await createScheduleResolver(prisma);
+
+        // Hari libur resmi periode ini (pengali lembur hari libur)
+        const holidayMap = await getHolidayMap(prisma, startDate, endDate);
+
+        // Kebijakan potongan izin setengah hari (persen upah harian)
+        const halfDayPolicy = await getHalfDayPolicy(prisma);
+
         // Calculate payroll for each employee
         const payrollData = [];
 
@@ -127,13 +187,41 @@ module.exports = function (prisma) {
 
           console.log(`  Attendances: ${empAttendances.length}`);
 
+          // Saldo ledger per jenis, total & per attendance
+          const empLedger = ledgerEntries.filter(
+            (e) => e.employee_id === employee.employee_id
+          );
+          const ledgerTotal = (jenis, attendanceId) => {
+            const total = empLedger
+              .filter(
+                (e) =>
+                  e.jenis === jenis &&
+                  (attendanceId === undefined ||
+                    e.attendance_id === attendanceId)
+              )
+              .reduce((sum, e) => sum + parseFloat(e.jumlah), 0);
+            return Math.round(total * 100) / 100;
+          };
+
+          // Attendance dari sebelum ada ledger (belum di-backfill, lihat
+          // scripts/backfillPayrollDeductions.js) dihitung dengan tarif lama
+          const hasLedgerEntry = (jenis, attendanceId) =>
+            empLedger.some(
+              (e) => e.jenis === jenis && e.attendance_id === attendanceId
+            );
+
           // ========================================
           // COUNT ALPA (ALPHA)
           // ========================================
-          const alpaCount = empAttendances.filter(
+          const alpaRecords = empAttendances.filter(
             (a) => a.status?.toLowerCase() === "alpa"
+          );
+          const alpaCount = alpaRecords.length;
+          const alpaTanpaLedger = alpaRecords.filter(
+            (a) => !hasLedgerEntry(JENIS_ALPA, a.attendance_id)
           ).length;
-          const potonganAlpa = alpaCount * POTONGAN_ALPA;
+          const potonganAlpa =
+            ledgerTotal(JENIS_ALPA) + alpaTanpaLedger * POTONGAN_ALPA;
           console.log(
             `  ❌ Alpa: ${alpaCount} days = Rp ${potonganAlpa.toLocaleString()}`
           );
@@ -141,23 +229,87 @@ module.exports = function (prisma) {
           // ========================================
           // COUNT TERLAMBAT (LATE)
           // ========================================
-          const lateRecords = empAttendances.filter((a) => {
-            // Check if status is explicitly "terlambat"
-            if (a.status?.toLowerCase() === "terlambat") return true;
-
-            // Or check if jam_masuk is after 08:00
-            if (!a.jam_masuk) return false;
-            const timeParts = a.jam_masuk.split(":");
-            const hour = parseInt(timeParts[0]);
-            const minute = parseInt(timeParts[1] || 0);
-            return hour > 8 || (hour === 8 && minute > 0);
-          });
+          // Hari setengah hari tidak berstatus terlambat lagi
+          const lateRecords = empAttendances.filter(
+            (a) => a.status?.toLowerCase() === "terlambat"
+          );
           const lateCount = lateRecords.length;
-          const potonganTerlambat = lateCount * POTONGAN_TERLAMBAT;
+
+          // Potongan per kejadian sesuai tingkatan yang tercatat saat
+          // check-in (tier_terlambat), nominal dari ledger. Data lama tanpa
+          // entri ledger: potongan_terlambat, atau tarif flat jika belum
+          // pernah dievaluasi (tier_terlambat kosong)
+          let potonganTerlambat = ledgerTotal(JENIS_TERLAMBAT);
+          const lateTiers = {};
+
+          lateRecords.forEach((a) => {
+            let amount = ledgerTotal(JENIS_TERLAMBAT, a.attendance_id);
+            let tierKey = a.tier_terlambat || "Tanpa tingkatan";
+
+            if (!hasLedgerEntry(JENIS_TERLAMBAT, a.attendance_id)) {
+              amount = a.tier_terlambat
+                ? parseFloat(a.potongan_terlambat || 0)
+                : POTONGAN_TERLAMBAT;
+              tierKey = a.tier_terlambat || "Terlambat";
+              potonganTerlambat += amount;
+            }
+
+            if (!lateTiers[tierKey]) {
+              lateTiers[tierKey] = { tier: tierKey, count: 0, amount: 0 };
+            }
+            lateTiers[tierKey].count++;
+            lateTiers[tierKey].amount += amount;
+          });
+
           console.log(
             `  ⏰ Terlambat: ${lateCount} times = Rp ${potonganTerlambat.toLocaleString()}`
           );
 
+          // ========================================
+          // COUNT PULANG CEPAT (EARLY LEAVE)
+          // ========================================
+          // pulang_cepat_menit sudah di luar toleransi (dihitung saat check-out)
+          const earlyLeaveRecords = empAttendances.filter(
+            (a) =>
+              a.pulang_cepat_menit > 0 &&
+              !["alpa", STATUS_SETENGAH_HARI].includes(a.status?.toLowerCase())
+          );
+          const earlyLeaveCount = earlyLeaveRecords.length;
+          const earlyLeaveMinutes = earlyLeaveRecords.reduce(
+            (sum, a) => sum + a.pulang_cepat_menit,
+            0
+          );
+          const potonganPulangCepat = ledgerTotal(JENIS_PULANG_CEPAT);
+
+          console.log(
+            `  🏃 Pulang cepat: ${earlyLeaveCount} times (${earlyLeaveMinutes} menit) = Rp ${potonganPulangCepat.toLocaleString()}`
+          );
+
+          // ========================================
+          // COUNT SETENGAH HARI (HALF DAY)
+          // ========================================
+          // Absensi setengah hari dari ledger; izin setengah hari tanpa
+          // absensi dihitung persen upah harian (tanggal yang sama dihitung
+          // sekali)
+          const halfDayAttendances = empAttendances.filter(
+            (a) => a.status?.toLowerCase() === STATUS_SETENGAH_HARI
+          );
+          let halfDayCount = halfDayAttendances.length;
+          let potonganSetengahHari = ledgerTotal(JENIS_SETENGAH_HARI);
+          const halfDayDates = new Set(
+            halfDayAttendances.map((a) => toDateOnlyKey(a.tanggal))
+          );
+
+          const addHalfDayLeave = (tanggal) => {
+            const schedule = resolveSchedule(employee, tanggal);
+            halfDayCount++;
+            potonganSetengahHari += calculateHalfDayDeduction(
+              employee.gaji_pokok,
+              parseWorkDays(schedule.hari_kerja).length,
+              halfDayPolicy.persenPotongan
+            );
+          };
+
           // ========================================
           // COUNT IZIN & SAKIT from attendance
           // ========================================
@@ -188,18 +340,32 @@ module.exports = function (prisma) {
               selesai: leave.tanggal_selesai.toISOString().split("T")[0],
             });
 
-            const start = new Date(leave.tanggal_mulai);
-            const end = new Date(leave.tanggal_selesai);
+            // Hanya hari cuti yang jatuh di periode ini yang dihitung
+            const start =
+              leave.tanggal_mulai > startDate ? leave.tanggal_mulai : startDate;
+            const end =
+              leave.tanggal_selesai < endDate ? leave.tanggal_selesai : endDate;
 
             // Calculate days
-            const diffTime = Math.abs(end.getTime() - start.getTime());
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
+            const diffDays = countDaysInclusive(start, end);
 
             console.log(`    Duration: ${diffDays} days`);
 
             const jenisLower = (leave.jenis_pengajuan || "").toLowerCase();
 
-            if (jenisLower.includes("sakit")) {
+            if (isHalfDayLeave(leave)) {
+              const endKey = toDateOnlyKey(end);
+              for (
+                let key = toDateOnlyKey(start);
+                key <= endKey;
+                key = addDays(key, 1)
+              ) {
+                if (halfDayDates.has(key)) continue;
+                halfDayDates.add(key);
+                addHalfDayLeave(dateKeyToDate(key));
+              }
+              console.log(`    → Added to setengah hari count`);
+            } else if (jenisLower.includes("sakit")) {
               sakitCount += diffDays;
               console.log(`    → Added to sakit count`);
             } else {
@@ -211,6 +377,47 @@ module.exports = function (prisma) {
 
           console.log(`  TOTAL Izin/Cuti: ${izinCount} days`);
           console.log(`  TOTAL Sakit: ${sakitCount} days`);
+          console.log(
+            `  🌓 Setengah hari: ${halfDayCount} days = Rp ${potonganSetengahHari.toLocaleString()}`
+          );
+
+          // ========================================
+          // LEMBUR (OVERTIME) - EARNING
+          // ========================================
+          let lemburMinutes = 0;
+          let lemburTanpaApproval = 0;
+          let upahLembur = 0;
+
+          empAttendances
+            .filter((a) => a.lembur_menit > 0)
+            .forEach((a) => {
+              const paidMinutes = getApprovedOvertimeMinutes(
+                a,
+                approvedOvertimes
+              );
+              lemburTanpaApproval += a.lembur_menit - paidMinutes;
+              if (paidMinutes <= 0) return;
+
+              const schedule = resolveSchedule(
+                employee,
+                a.tanggal,
+                a.schedule_id
+              );
+              const pay = calculateOvertimePay(
+                employee.gaji_pokok,
+                paidMinutes,
+                isRestDay(schedule, a.tanggal) ||
+                  isOfficialHoliday(holidayMap[toDateOnlyKey(a.tanggal)]),
+                parseWorkDays(schedule.hari_kerja).length
+              );
+
+              lemburMinutes += paidMinutes;
+              upahLembur += pay.amount;
+            });
+
+          console.log(
+            `  ⏱️ Lembur approved: ${lemburMinutes} menit = Rp ${upahLembur.toLocaleString()} (tanpa approval: ${lemburTanpaApproval} menit)`
+          );
 
           // ========================================
           // CALCULATE TOTAL DEDUCTIONS
@@ -219,7 +426,12 @@ module.exports = function (prisma) {
           const potonganSakit = sakitCount * POTONGAN_SAKIT;
 
           const totalPotongan =
-            potonganAlpa + potonganTerlambat + potonganIzin + potonganSakit;
+            potonganAlpa +
+            potonganTerlambat +
+            potonganPulangCepat +
+            potonganSetengahHari +
+            potonganIzin +
+            potonganSakit;
 
           console.log(
             `  💰 TOTAL POTONGAN: Rp ${totalPotongan.toLocaleString()}`
@@ -231,9 +443,20 @@ module.exports = function (prisma) {
           const breakdown = [];
           const reasons = [];
 
+          if (upahLembur > 0) {
+            breakdown.push({
+              type: "Lembur",
+              kind: "earning",
+              count: Math.round((lemburMinutes / 60) * 100) / 100,
+              amount: upahLembur,
+              icon: "⏱️",
+            });
+          }
+
           if (alpaCount > 0) {
             breakdown.push({
               type: "Alpa",
+              kind: "deduction",
               count: alpaCount,
               amount: potonganAlpa,
               icon: "❌",
@@ -246,12 +469,45 @@ module.exports = function (prisma) {
           if (lateCount > 0) {
             breakdown.push({
               type: "Terlambat",
+              kind: "deduction",
               count: lateCount,
               amount: potonganTerlambat,
               icon: "⏰",
+              tiers: Object.values(lateTiers),
             });
             reasons.push(
-              `${lateCount}x Terlambat = Rp ${potonganTerlambat.toLocaleString(
+              `${lateCount}x Terlambat (${Object.values(lateTiers)
+                .map((t) => `${t.count}x ${t.tier}`)
+                .join(", ")}) = Rp ${potonganTerlambat.toLocaleString("id-ID")}`
+            );
+          }
+
+          if (earlyLeaveCount > 0) {
+            breakdown.push({
+              type: "Pulang Cepat",
+              kind: "deduction",
+              count: earlyLeaveCount,
+              amount: potonganPulangCepat,
+              icon: "🏃",
+              menit: earlyLeaveMinutes,
+            });
+            reasons.push(
+              `${earlyLeaveCount}x Pulang Cepat (${earlyLeaveMinutes} menit) = Rp ${potonganPulangCepat.toLocaleString(
+                "id-ID"
+              )}`
+            );
+          }
+
+          if (halfDayCount > 0) {
+            breakdown.push({
+              type: "Setengah Hari",
+              kind: "deduction",
+              count: halfDayCount,
+              amount: potonganSetengahHari,
+              icon: "🌓",
+            });
+            reasons.push(
+              `${halfDayCount}x Setengah Hari = Rp ${potonganSetengahHari.toLocaleString(
                 "id-ID"
               )}`
             );
@@ -260,6 +516,7 @@ module.exports = function (prisma) {
           if (izinCount > 0) {
             breakdown.push({
               type: "Izin/Cuti",
+              kind: "deduction",
               count: izinCount,
               amount: potonganIzin,
               icon: "📝",
@@ -274,6 +531,7 @@ module.exports = function (prisma) {
           if (sakitCount > 0) {
             breakdown.push({
               type: "Sakit",
+              kind: "deduction",
               count: sakitCount,
               amount: potonganSakit,
               icon: "🏥",
@@ -288,7 +546,7 @@ module.exports = function (prisma) {
           // CALCULATE NET SALARY
           // ========================================
           const basicSalary = parseFloat(employee.gaji_pokok) || 5000000;
-          const netSalary = basicSalary - totalPotongan;
+          const netSalary = basicSalary + upahLembur - totalPotongan;
 
           payrollData.push({
             employee_id: employee.employee_id,
@@ -299,6 +557,7 @@ module.exports = function (prisma) {
             status_karyawan: employee.status_karyawan,
             gaji_pokok: basicSalary,
             tunjangan: 0,
+            lembur: upahLembur,
             potongan: totalPotongan,
             alasan_potongan: alasanPotongan,
             total_gaji: netSalary,
@@ -307,8 +566,13 @@ module.exports = function (prisma) {
             details: {
               alpa: alpaCount,
               terlambat: lateCount,
+              pulang_cepat: earlyLeaveCount,
+              pulang_cepat_menit: earlyLeaveMinutes,
+              setengah_hari: halfDayCount,
               izin: izinCount,
               sakit: sakitCount,
+              lembur_menit: lemburMinutes,
+              lembur_tanpa_approval_menit: lemburTanpaApproval,
             },
           });
         }
@@ -321,10 +585,10 @@ module.exports = function (prisma) {
             month: periodMonth,
             year: periodYear,
             periode: periode,
-            monthName: new Date(periodYear, periodMonth - 1).toLocaleString(
-              "id-ID",
-              { month: "long" }
-            ),
+            monthName: startDate.toLocaleString("id-ID", {
+              month: "long",
+              timeZone: "UTC",
+            }),
           },
           payroll: payrollData,
           summary: {
@@ -333,6 +597,7 @@ module.exports = function (prisma) {
               (sum, p) => sum + p.gaji_pokok,
               0
             ),
+            total_overtime: payrollData.reduce((sum, p) => sum + p.lembur, 0),
             total_deductions: payrollData.reduce(
               (sum, p) => sum + p.potongan,
               0
@@ -353,6 +618,49 @@ module.exports = function (prisma) {
     }
   );
 
+  // ========================================
+  // GET: Ledger potongan otomatis
+  // ========================================
+  // Karyawan: milik sendiri. Admin/HR: semua (?employee_id)
+  // Query: periode (YYYY-MM),
+  //        jenis (terlambat | pulang_cepat | setengah_hari | alpa),
+  //        attendance_id
+  router.get("/deductions", authenticateToken, async (req, res) => {
+    try {
+      const { role, employee_id } = req.user;
+      const { periode, jenis, attendance_id } = req.query;
+
+      const whereClause = {};
+      if (role === "Karyawan") {
+        whereClause.employee_id = parseInt(employee_id);
+      } else if (req.query.employee_id) {
+        whereClause.employee_id = parseInt(req.query.employee_id);
+      }
+      if (periode) whereClause.periode = periode;
+      if (jenis) whereClause.jenis = jenis;
+      if (attendance_id) whereClause.attendance_id = parseInt(attendance_id);
+
+      const entries = await prisma.payrollDeduction.findMany({
+        where: whereClause,
+        include: {
+          employee: { select: { nama_lengkap: true, jabatan: true } },
+        },
+        orderBy: [{ tanggal: "asc" }, { created_at: "asc" }],
+      });
+
+      res.json({
+        total: entries.reduce((sum, e) => sum + parseFloat(e.jumlah), 0),
+        data: entries,
+      });
+    } catch (error) {
+      console.error("Error fetching payroll deductions:", error);
+      res.status(500).json({
+        error: "Gagal mengambil ledger potongan.",
+        details: error.message,
+      });
+    }
+  });
+
   // ========================================
   // GET: Slip gaji sendiri (Karyawan)
   // ========================================
@@ -0,0 +1,482 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const {
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  isOvernightSchedule,
+  parseWorkDays,
+  getCheckInWindow,
+  getScheduleForEmployee,
+  SCHEDULE_INCLUDE,
+} = require("../services/scheduleService");
+const { getCompanyClock } = require("../services/timezoneService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // Helper: validasi & normalisasi body jadwal
+  function buildScheduleData(body, partial = false) {
+    const data = {};
+    const timeFields = [
+      "jam_mulai",
+      "jam_selesai",
+      "checkin_mulai",
+      "checkin_selesai",
+    ];
+
+    if (
+      !partial &&
+      (!body.nama_jadwal || !body.jam_mulai || !body.jam_selesai)
+    ) {
+      throw new Error("nama_jadwal, jam_mulai dan jam_selesai wajib diisi.");
+    }
+
+    if (body.nama_jadwal !== undefined) data.nama_jadwal = body.nama_jadwal;
+
+    for (const field of timeFields) {
+      if (body[field] === undefined) continue;
+      if (!isValidTime(body[field])) {
+        throw new Error(`${field} harus berformat HH:MM.`);
+      }
+      data[field] = body[field];
+    }
+
+    if (
+      data.jam_mulai &&
+      data.jam_selesai &&
+      data.jam_mulai === data.jam_selesai
+    ) {
+      throw new Error("jam_mulai dan jam_selesai tidak boleh sama.");
+    }
+
+    // Shift malam (mis. 22:00 - 06:00) tanpa jendela check-in → default
+    // 2 jam sebelum mulai s/d 1 jam setelah selesai (keesokan harinya)
+    if (!partial && isOvernightSchedule(data)) {
+      if (!data.checkin_mulai) {
+        data.checkin_mulai = minutesToTime(timeToMinutes(data.jam_mulai) - 120);
+      }
+      if (!data.checkin_selesai) {
+        data.checkin_selesai = minutesToTime(
+          timeToMinutes(data.jam_selesai) + 60
+        );
+      }
+    }
+
+    if (body.toleransi_menit !== undefined) {
+      const toleransi = parseInt(body.toleransi_menit);
+      if (isNaN(toleransi) || toleransi < 0) {
+        throw new Error("toleransi_menit harus angka >= 0.");
+      }
+      data.toleransi_menit = toleransi;
+    }
+
+    if (body.hari_kerja !== undefined) {
+      const days = parseWorkDays(body.hari_kerja);
+      if (days.length === 0) {
+        throw new Error("hari_kerja tidak valid. Contoh: 1,2,3,4,5");
+      }
+      data.hari_kerja = days.join(",");
+    }
+
+    if (body.is_default !== undefined) data.is_default = !!body.is_default;
+
+    return data;
+  }
+
+  // Helper: validasi blok split shift (blok_tambahan) terhadap blok 1.
+  // Blok tidak boleh melewati tengah malam, harus berurutan dan jendela
+  // check-in-nya tidak boleh tumpang tindih.
+  // @returns {Object[]} Data blok (blok_ke 2, 3, ...)
+  function buildScheduleBlocks(blocksInput, firstBlock) {
+    if (!Array.isArray(blocksInput)) {
+      throw new Error("blok_tambahan harus berupa array.");
+    }
+    if (blocksInput.length === 0) return [];
+
+    const blocks = blocksInput.map((block, index) => {
+      const blokKe = index + 2;
+      const data = {
+        blok_ke: blokKe,
+        jam_mulai: block?.jam_mulai,
+        jam_selesai: block?.jam_selesai,
+        checkin_mulai:
+          block?.checkin_mulai ??
+          (isValidTime(block?.jam_mulai)
+            ? minutesToTime(timeToMinutes(block.jam_mulai) - 60)
+            : undefined),
+        checkin_selesai: block?.checkin_selesai ?? block?.jam_selesai,
+        toleransi_menit: parseInt(block?.toleransi_menit ?? 0),
+      };
+
+      for (const field of [
+        "jam_mulai",
+        "jam_selesai",
+        "checkin_mulai",
+        "checkin_selesai",
+      ]) {
+        if (!isValidTime(data[field])) {
+          throw new Error(`Blok ${blokKe}: ${field} harus berformat HH:MM.`);
+        }
+      }
+      if (isNaN(data.toleransi_menit) || data.toleransi_menit < 0) {
+        throw new Error(`Blok ${blokKe}: toleransi_menit harus angka >= 0.`);
+      }
+
+      return data;
+    });
+
+    const all = [{ ...firstBlock, blok_ke: 1 }, ...blocks];
+
+    all.forEach((block, index) => {
+      if (isOvernightSchedule(block)) {
+        throw new Error(
+          `Blok ${block.blok_ke}: split shift tidak boleh melewati tengah malam.`
+        );
+      }
+
+      const window = getCheckInWindow(block);
+      if (window.end > 1440) {
+        throw new Error(
+          `Blok ${block.blok_ke}: jendela check-in tidak boleh melewati tengah malam.`
+        );
+      }
+
+      const previous = all[index - 1];
+      if (!previous) return;
+
+      if (
+        timeToMinutes(block.jam_mulai) < timeToMinutes(previous.jam_selesai)
+      ) {
+        throw new Error(
+          `Blok ${block.blok_ke} harus dimulai setelah blok ${previous.blok_ke} selesai (${previous.jam_selesai}).`
+        );
+      }
+      if (window.start < getCheckInWindow(previous).end) {
+        throw new Error(
+          `Jendela check-in blok ${block.blok_ke} tumpang tindih dengan blok ${previous.blok_ke} (check-in blok ${previous.blok_ke} ditutup ${previous.checkin_selesai}).`
+        );
+      }
+    });
+
+    return blocks;
+  }
+
+  // ========================================
+  // GET: Semua jadwal kerja
+  // ========================================
+  router.get("/", authenticateToken, async (req, res) => {
+    try {
+      const schedules = await prisma.workSchedule.findMany({
+        orderBy: { jam_mulai: "asc" },
+        include: {
+          ...SCHEDULE_INCLUDE,
+          _count: { select: { assignments: true } },
+        },
+      });
+
+      res.json(schedules);
+    } catch (error) {
+      console.error("Error fetching schedules:", error);
+      res.status(500).json({ error: "Gagal mengambil data jadwal kerja." });
+    }
+  });
+
+  // ========================================
+  // GET: Jadwal kerja sendiri (Karyawan)
+  // ========================================
+  router.get("/my", authenticateToken, async (req, res) => {
+    try {
+      const employeeId = req.user.employee_id;
+
+      if (!employeeId) {
+        return res.status(400).json({
+          error: "Employee ID tidak ditemukan dalam token",
+        });
+      }
+
+      const date = req.query.tanggal
+        ? new Date(req.query.tanggal)
+        : (await getCompanyClock(prisma)).date;
+      const schedule = await getScheduleForEmployee(prisma, employeeId, date);
+
+      res.json(schedule);
+    } catch (error) {
+      console.error("Error fetching my schedule:", error);
+      res.status(500).json({
+        error: "Gagal mengambil jadwal kerja Anda.",
+        details: error.message,
+      });
+    }
+  });
+
+  // ========================================
+  // GET: Semua penugasan jadwal (Admin & HR)
+  // ========================================
+  router.get(
+    "/assignments",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { schedule_id, employee_id, jabatan } = req.query;
+
+        const whereClause = {};
+        if (schedule_id) whereClause.schedule_id = parseInt(schedule_id);
+        if (employee_id) whereClause.employee_id = parseInt(employee_id);
+        if (jabatan) whereClause.jabatan = jabatan;
+
+        const assignments = await prisma.scheduleAssignment.findMany({
+          where: whereClause,
+          orderBy: { created_at: "desc" },
+          include: {
+            schedule: { include: SCHEDULE_INCLUDE },
+            employee: {
+              select: {
+                employee_id: true,
+                nama_lengkap: true,
+                jabatan: true,
+              },
+            },
+          },
+        });
+
+        res.json(assignments);
+      } catch (error) {
+        console.error("Error fetching schedule assignments:", error);
+        res.status(500).json({ error: "Gagal mengambil penugasan jadwal." });
+      }
+    }
+  );
+
+  // ========================================
+  // POST: Tugaskan jadwal ke karyawan / jabatan
+  // ========================================
+  router.post(
+    "/assignments",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      const {
+        schedule_id,
+        employee_id,
+        jabatan,
+        berlaku_mulai,
+        berlaku_sampai,
+      } = req.body;
+
+      try {
+        if (!schedule_id) {
+          return res.status(400).json({ error: "schedule_id wajib diisi." });
+        }
+
+        if (!employee_id && !jabatan) {
+          return res.status(400).json({
+            error: "Isi employee_id atau jabatan untuk penugasan jadwal.",
+          });
+        }
+
+        const schedule = await prisma.workSchedule.findUnique({
+          where: { schedule_id: parseInt(schedule_id) },
+        });
+
+        if (!schedule) {
+          return res.status(404).json({ error: "Jadwal tidak ditemukan." });
+        }
+
+        if (employee_id) {
+          const employee = await prisma.employee.findUnique({
+            where: { employee_id: parseInt(employee_id) },
+          });
+
+          if (!employee) {
+            return res.status(400).json({ error: "Employee tidak ditemukan." });
+          }
+        }
+
+        const assignment = await prisma.scheduleAssignment.create({
+          data: {
+            schedule_id: parseInt(schedule_id),
+            employee_id: employee_id ? parseInt(employee_id) : null,
+            jabatan: employee_id ? null : jabatan,
+            berlaku_mulai: berlaku_mulai ? new Date(berlaku_mulai) : null,
+            berlaku_sampai: berlaku_sampai ? new Date(berlaku_sampai) : null,
+          },
+          include: { schedule: true },
+        });
+
+        console.log(
+          `✅ Schedule ${schedule.nama_jadwal} assigned to ${
+            employee_id ? `employee ${employee_id}` : `jabatan ${jabatan}`
+          }`
+        );
+        res.status(201).json(assignment);
+      } catch (error) {
+        console.error("Error creating schedule assignment:", error);
+        res.status(400).json({
+          error: "Gagal menugaskan jadwal.",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // DELETE: Hapus penugasan jadwal
+  // ========================================
+  router.delete(
+    "/assignments/:id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        await prisma.scheduleAssignment.delete({
+          where: { assignment_id: parseInt(id) },
+        });
+
+        console.log("✅ Schedule assignment deleted:", id);
+        res.json({ message: "Penugasan jadwal berhasil dihapus." });
+      } catch (error) {
+        console.error("Error deleting schedule assignment:", error);
+        res.status(500).json({
+          error: "Gagal menghapus penugasan jadwal",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // POST: Buat jadwal kerja
+  // ========================================
+  router.post(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const data = buildScheduleData(req.body);
+        const blocks = buildScheduleBlocks(req.body.blok_tambahan ?? [], {
+          checkin_mulai: "06:00",
+          checkin_selesai: "18:00",
+          ...data,
+        });
+
+        // Hanya boleh ada satu jadwal default
+        if (data.is_default) {
+          await prisma.workSchedule.updateMany({
+            where: { is_default: true },
+            data: { is_default: false },
+          });
+        }
+
+        const schedule = await prisma.workSchedule.create({
+          data: {
+            ...data,
+            ...(blocks.length > 0 ? { blok_tambahan: { create: blocks } } : {}),
+          },
+          include: SCHEDULE_INCLUDE,
+        });
+
+        console.log("✅ Work schedule created:", schedule.schedule_id);
+        res.status(201).json(schedule);
+      } catch (error) {
+        console.error("Error creating schedule:", error);
+        res.status(400).json({
+          error: "Gagal membuat jadwal kerja",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Update jadwal kerja
+  // ========================================
+  router.put(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        const data = buildScheduleData(req.body, true);
+
+        const existing = await prisma.workSchedule.findUnique({
+          where: { schedule_id: parseInt(id) },
+          include: SCHEDULE_INCLUDE,
+        });
+        if (!existing) {
+          return res.status(404).json({ error: "Jadwal tidak ditemukan." });
+        }
+
+        // Blok split shift diganti seluruhnya jika blok_tambahan dikirim;
+        // jika tidak, blok lama tetap divalidasi terhadap jam blok 1 baru
+        const replaceBlocks = req.body.blok_tambahan !== undefined;
+        const blocks = buildScheduleBlocks(
+          replaceBlocks ? req.body.blok_tambahan : existing.blok_tambahan,
+          { ...existing, ...data }
+        );
+
+        if (data.is_default) {
+          await prisma.workSchedule.updateMany({
+            where: { is_default: true, schedule_id: { not: parseInt(id) } },
+            data: { is_default: false },
+          });
+        }
+
+        const schedule = await prisma.workSchedule.update({
+          where: { schedule_id: parseInt(id) },
+          data: {
+            ...data,
+            ...(replaceBlocks
+              ? { blok_tambahan: { deleteMany: {}, create: blocks } }
+              : {}),
+          },
+          include: SCHEDULE_INCLUDE,
+        });
+
+        console.log("✅ Work schedule updated:", id);
+        res.json(schedule);
+      } catch (error) {
+        console.error("Error updating schedule:", error);
+        res.status(400).json({
+          error: "Gagal memperbarui jadwal kerja",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // DELETE: Hapus jadwal kerja
+  // ========================================
+  router.delete(
+    "/:id",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      const { id } = req.params;
+
+      try {
+        await prisma.workSchedule.delete({
+          where: { schedule_id: parseInt(id) },
+        });
+
+        console.log("✅ Work schedule deleted:", id);
+        res.json({ message: "Jadwal kerja berhasil dihapus." });
+      } catch (error) {
+        console.error("Error deleting schedule:", error);
+        res.status(500).json({
+          error: "Gagal menghapus jadwal kerja",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
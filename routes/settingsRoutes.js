@@ -0,0 +1,77 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const {
+  DEFAULT_SETTINGS,
+  getAllSettings,
+  setSetting,
+  validateSetting,
+} = require("../services/settingsService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  // ========================================
+  // GET: Semua pengaturan kebijakan absensi
+  // ========================================
+  router.get(
+    "/",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const settings = await getAllSettings(prisma);
+
+        res.json({
+          settings,
+          defaults: DEFAULT_SETTINGS,
+        });
+      } catch (error) {
+        console.error("Error fetching settings:", error);
+        res.status(500).json({
+          error: "Gagal mengambil pengaturan",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // PUT: Update satu pengaturan (Admin)
+  // ========================================
+  router.put(
+    "/:key",
+    authenticateToken,
+    authorizeRole(["Admin"]),
+    async (req, res) => {
+      const { key } = req.params;
+      const { value } = req.body;
+
+      try {
+        if (value === undefined) {
+          return res.status(400).json({ error: "value wajib diisi." });
+        }
+
+        const validationError = validateSetting(key, value);
+        if (validationError) {
+          return res.status(400).json({
+            error: "Gagal memperbarui pengaturan",
+            details: validationError,
+          });
+        }
+
+        const saved = await setSetting(prisma, key, value);
+
+        console.log(`✅ Setting ${key} updated by ${req.user.username}`);
+        res.json({ key, value: saved });
+      } catch (error) {
+        console.error("Error updating setting:", error);
+        res.status(500).json({
+          error: "Gagal memperbarui pengaturan",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
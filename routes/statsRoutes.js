@@ -1,5 +1,6 @@
 const express = require("express");
 const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { getCompanyClock, getDayRange } = require("../services/timezoneService");
 
 module.exports = function (prisma) {
   const router = express.Router();
@@ -11,22 +12,14 @@ module.exports = function (prisma) {
     authorizeRole(["Admin", "HR"]),
     async (req, res) => {
       try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-
-        const currentPeriod = new Date().toISOString().slice(0, 7);
+        const clock = await getCompanyClock(prisma);
+        const currentPeriod = clock.dateKey.slice(0, 7);
 
         const totalEmployees = await prisma.employee.count();
 
         const attendanceToday = await prisma.attendance.findMany({
           where: {
-            tanggal: {
-              gte: today,
-              lt: tomorrow,
-            },
+            tanggal: getDayRange(clock.dateKey),
           },
         });
 
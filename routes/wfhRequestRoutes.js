@@ -0,0 +1,202 @@
+const express = require("express");
+const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { processWfhRequest } = require("../services/wfhRequestService");
+const {
+  checkWfhQuota,
+  getWfhQuotaReport,
+} = require("../services/wfhQuotaService");
+const { getCompanyClock } = require("../services/timezoneService");
+
+module.exports = function (prisma) {
+  const router = express.Router();
+
+  const EMPLOYEE_SELECT = {
+    employee_id: true,
+    nama_lengkap: true,
+    jabatan: true,
+  };
+
+  // ========================================
+  // GET: Daftar pengajuan WFH/Hybrid rentang & berulang
+  // ========================================
+  // Karyawan: milik sendiri. Admin/HR: semua (?status, ?employee_id)
+  router.get("/", authenticateToken, async (req, res) => {
+    try {
+      const { role, employee_id } = req.user;
+      const whereClause = {};
+
+      if (role === "Karyawan") {
+        whereClause.employee_id = parseInt(employee_id);
+      } else if (req.query.employee_id) {
+        whereClause.employee_id = parseInt(req.query.employee_id);
+      }
+
+      if (req.query.status) whereClause.status = req.query.status;
+
+      const requests = await prisma.wfhRequest.findMany({
+        where: whereClause,
+        include: {
+          employee: { select: EMPLOYEE_SELECT },
+          days: {
+            select: {
+              attendance_id: true,
+              tanggal: true,
+              status: true,
+              approval_status: true,
+            },
+            orderBy: { tanggal: "asc" },
+          },
+        },
+        orderBy: { created_at: "desc" },
+      });
+
+      res.json(requests);
+    } catch (error) {
+      console.error("Error fetching WFH requests:", error);
+      res.status(500).json({ error: "Gagal mengambil data pengajuan WFH." });
+    }
+  });
+
+  // ========================================
+  // GET: Sisa kuota WFH sendiri bulan ini (Karyawan)
+  // ========================================
+  router.get("/quota", authenticateToken, async (req, res) => {
+    try {
+      const employee = await prisma.employee.findUnique({
+        where: { employee_id: parseInt(req.user.employee_id) },
+        select: { employee_id: true, jabatan: true, status_karyawan: true },
+      });
+
+      if (!employee) {
+        return res.status(404).json({ error: "Karyawan tidak ditemukan." });
+      }
+
+      const clock = await getCompanyClock(prisma);
+      const quotaCheck = await checkWfhQuota(prisma, employee, [clock.dateKey]);
+      const { diajukan, cukup, ...balance } = quotaCheck.balances[0];
+
+      res.json({
+        ...balance,
+        sisa:
+          balance.kuota === null
+            ? null
+            : Math.max(0, balance.kuota - balance.terpakai),
+      });
+    } catch (error) {
+      console.error("Error fetching WFH quota:", error);
+      res.status(500).json({ error: "Gagal mengambil kuota WFH." });
+    }
+  });
+
+  // ========================================
+  // GET: Laporan pemakaian WFH vs kuota per karyawan (Admin/HR)
+  // ========================================
+  // Query: month (1-12), year (default bulan ini), jabatan, status_karyawan
+  router.get(
+    "/quota-report",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const clock = await getCompanyClock(prisma);
+        const year = parseInt(req.query.year) || clock.year;
+        const month = parseInt(req.query.month) || clock.month;
+
+        if (month < 1 || month > 12) {
+          return res.status(400).json({ error: "month harus 1-12" });
+        }
+
+        const employeeWhere = {};
+        if (req.query.jabatan) employeeWhere.jabatan = req.query.jabatan;
+        if (req.query.status_karyawan) {
+          employeeWhere.status_karyawan = req.query.status_karyawan;
+        }
+
+        const report = await getWfhQuotaReport(
+          prisma,
+          year,
+          month,
+          employeeWhere
+        );
+
+        res.json(report);
+      } catch (error) {
+        console.error("❌ Error generating WFH quota report:", error);
+        res.status(500).json({
+          error: "Gagal membuat laporan kuota WFH",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  // ========================================
+  // GET: Detail pengajuan beserta hari-harinya
+  // ========================================
+  router.get("/:id", authenticateToken, async (req, res) => {
+    try {
+      const { role, employee_id } = req.user;
+
+      const request = await prisma.wfhRequest.findUnique({
+        where: { wfh_request_id: parseInt(req.params.id) },
+        include: {
+          employee: { select: EMPLOYEE_SELECT },
+          days: { orderBy: { tanggal: "asc" } },
+        },
+      });
+
+      if (!request) {
+        return res
+          .status(404)
+          .json({ error: "Pengajuan WFH tidak ditemukan." });
+      }
+
+      if (
+        role === "Karyawan" &&
+        request.employee_id !== parseInt(employee_id)
+      ) {
+        return res.status(403).json({
+          error: "Anda tidak memiliki akses ke pengajuan ini.",
+        });
+      }
+
+      res.json(request);
+    } catch (error) {
+      console.error("Error fetching WFH request:", error);
+      res.status(500).json({ error: "Gagal mengambil data pengajuan WFH." });
+    }
+  });
+
+  // ========================================
+  // POST: Approve / reject seluruh hari dalam pengajuan (Admin/HR)
+  // ========================================
+  // Body: action ("approve" | "reject"), notes
+  router.post(
+    "/:id/approve",
+    authenticateToken,
+    authorizeRole(["Admin", "HR"]),
+    async (req, res) => {
+      try {
+        const { action, notes } = req.body;
+
+        const result = await processWfhRequest(prisma, {
+          wfhRequestId: parseInt(req.params.id),
+          action,
+          notes,
+          approverId: req.user.userId,
+          role: req.user.role,
+        });
+
+        res.status(result.statusCode).json(result.body);
+      } catch (error) {
+        console.error("❌ Error processing WFH request:", error);
+        res.status(500).json({
+          error: "Gagal memproses approval pengajuan WFH",
+          details: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,166 @@
+/**
+ * Backfill ledger payroll_deductions untuk potongan alpa & terlambat lama
+ *
+ * Payroll /calculate mengambil potongan alpa & terlambat dari ledger.
+ * Attendance dari sebelum ada ledger belum punya entri, sehingga script
+ * ini membuat entri untuk:
+ *   - attendance alpa tanpa entri alpa → POTONGAN_ALPA (Rp 100.000)
+ *   - attendance terlambat tanpa entri terlambat → potongan_terlambat, atau
+ *     untuk data lama yang belum pernah dievaluasi (tier_terlambat kosong &
+ *     potongan_terlambat 0) tarif flat POTONGAN_TERLAMBAT (Rp 25.000).
+ *     Tarif flat ikut disimpan ke attendance agar syncAttendanceDeductions
+ *     tidak membatalkannya.
+ *
+ * Payroll yang sudah tersimpan TIDAK diubah (dihitung ulang lewat
+ * /calculate). Jalankan setelah scripts/seedApprovalHistory.js.
+ *
+ *   node scripts/backfillPayrollDeductions.js --dry-run
+ *   node scripts/backfillPayrollDeductions.js
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const {
+  POTONGAN_TERLAMBAT,
+  POTONGAN_ALPA,
+  JENIS_TERLAMBAT,
+  JENIS_ALPA,
+} = require("../services/payrollDeductionService");
+
+const prisma = new PrismaClient();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/**
+ * Potongan & data attendance yang perlu disimpan untuk satu record lama
+ * @returns {Object|null} { jenis, jumlah, attendanceData }
+ */
+function resolveBackfill(a) {
+  const status = (a.status || "").toLowerCase();
+
+  if (status === "alpa") {
+    return { jenis: JENIS_ALPA, jumlah: POTONGAN_ALPA, attendanceData: null };
+  }
+
+  const potongan = parseFloat(a.potongan_terlambat || 0);
+  if (potongan > 0) {
+    return { jenis: JENIS_TERLAMBAT, jumlah: potongan, attendanceData: null };
+  }
+  if (!a.tier_terlambat) {
+    return {
+      jenis: JENIS_TERLAMBAT,
+      jumlah: POTONGAN_TERLAMBAT,
+      attendanceData: {
+        tier_terlambat: "Terlambat",
+        potongan_terlambat: POTONGAN_TERLAMBAT,
+      },
+    };
+  }
+
+  // Sudah dievaluasi tanpa potongan (toleransi / di luar tingkatan)
+  return null;
+}
+
+async function backfillPayrollDeductions() {
+  try {
+    console.log(
+      `🔄 Backfilling alpa & late deduction ledger${
+        DRY_RUN ? " (DRY RUN)" : ""
+      }...\n`
+    );
+
+    const attendances = await prisma.attendance.findMany({
+      where: {
+        OR: [
+          {
+            status: "alpa",
+            payroll_deductions: { none: { jenis: JENIS_ALPA } },
+          },
+          {
+            status: "terlambat",
+            payroll_deductions: { none: { jenis: JENIS_TERLAMBAT } },
+          },
+        ],
+      },
+      select: {
+        attendance_id: true,
+        employee_id: true,
+        tanggal: true,
+        jam_masuk: true,
+        status: true,
+        tier_terlambat: true,
+        potongan_terlambat: true,
+      },
+      orderBy: { tanggal: "asc" },
+    });
+
+    console.log(
+      `📋 Found ${attendances.length} alpa / late records without ledger\n`
+    );
+
+    const summary = {
+      [JENIS_ALPA]: { count: 0, total: 0 },
+      [JENIS_TERLAMBAT]: { count: 0, total: 0 },
+    };
+
+    for (const a of attendances) {
+      const backfill = resolveBackfill(a);
+      if (!backfill) continue;
+
+      const { jenis, jumlah, attendanceData } = backfill;
+      const dateStr = a.tanggal.toISOString().slice(0, 10);
+
+      console.log(
+        `👤 Employee ${
+          a.employee_id
+        } - ${dateStr} (${jenis}): Rp ${jumlah.toLocaleString()}${
+          attendanceData ? " (tarif flat)" : ""
+        }`
+      );
+      summary[jenis].count++;
+      summary[jenis].total += jumlah;
+
+      if (DRY_RUN) continue;
+
+      if (attendanceData) {
+        await prisma.attendance.update({
+          where: { attendance_id: a.attendance_id },
+          data: attendanceData,
+        });
+      }
+
+      await prisma.payrollDeduction.create({
+        data: {
+          employee_id: a.employee_id,
+          attendance_id: a.attendance_id,
+          jenis,
+          periode: dateStr.slice(0, 7),
+          tanggal: a.tanggal,
+          jumlah,
+          keterangan: `Potongan ${jenis} ${dateStr}${
+            jenis === JENIS_TERLAMBAT && a.jam_masuk
+              ? ` jam ${a.jam_masuk}`
+              : ""
+          } (backfill)`,
+        },
+      });
+    }
+
+    console.log("\n📊 Summary:");
+    Object.entries(summary).forEach(([jenis, { count, total }]) => {
+      console.log(
+        `   - ${jenis}: ${count} entri, Rp ${total.toLocaleString()}`
+      );
+    });
+    console.log(
+      DRY_RUN
+        ? "\n✅ Dry run selesai, tidak ada data yang diubah."
+        : "\n✅ Backfill completed successfully!"
+    );
+  } catch (error) {
+    console.error("❌ Error:", error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillPayrollDeductions();
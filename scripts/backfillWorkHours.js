@@ -0,0 +1,113 @@
+/**
+ * Backfill jam kerja untuk absensi lama
+ *
+ * Menormalkan jam_masuk / jam_pulang lama (mis. "08.30" dari check-out
+ * berformat locale id-ID) menjadi "HH:MM", lalu mengisi waktu_masuk,
+ * waktu_pulang, kerja_menit dan pulang_cepat_menit. Record yang jamnya
+ * tidak bisa dibaca hanya dilaporkan, tidak diubah.
+ *
+ * potongan_pulang_cepat tidak diisi agar absensi lama tidak tiba-tiba
+ * terkena potongan.
+ *
+ *   node scripts/backfillWorkHours.js --dry-run
+ *   node scripts/backfillWorkHours.js
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const { createScheduleResolver } = require("../services/scheduleService");
+const {
+  normalizeJam,
+  getWorkPolicy,
+  calculateWorkMetrics,
+} = require("../services/workHoursService");
+const prisma = new PrismaClient();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function backfillWorkHours() {
+  try {
+    console.log(`🔄 Backfilling work hours${DRY_RUN ? " (DRY RUN)" : ""}...\n`);
+
+    const policy = await getWorkPolicy(prisma);
+    const resolveSchedule = await createScheduleResolver(prisma);
+
+    const attendances = await prisma.attendance.findMany({
+      where: { jam_masuk: { not: null } },
+      select: {
+        attendance_id: true,
+        tanggal: true,
+        jam_masuk: true,
+        jam_pulang: true,
+        istirahat_menit: true,
+        schedule_id: true,
+        blok_ke: true,
+        employee: { select: { employee_id: true, jabatan: true } },
+      },
+      orderBy: { tanggal: "asc" },
+    });
+
+    console.log(`📋 Found ${attendances.length} records with jam_masuk\n`);
+
+    let updated = 0;
+    let invalid = 0;
+
+    for (const a of attendances) {
+      const dateStr = a.tanggal.toISOString().slice(0, 10);
+      const badValue = [a.jam_masuk, a.jam_pulang].find(
+        (value) => value && !normalizeJam(value)
+      );
+
+      if (badValue) {
+        console.log(
+          `⚠️ Attendance ${a.attendance_id} (${dateStr}): jam '${badValue}' tidak valid, dilewati`
+        );
+        invalid++;
+        continue;
+      }
+
+      const schedule = resolveSchedule(
+        a.employee,
+        a.tanggal,
+        a.schedule_id,
+        a.blok_ke
+      );
+      const { potongan_pulang_cepat, ...metrics } = calculateWorkMetrics(
+        schedule,
+        a,
+        policy
+      );
+
+      if (
+        metrics.jam_masuk !== a.jam_masuk ||
+        metrics.jam_pulang !== a.jam_pulang
+      ) {
+        console.log(
+          `🕒 Attendance ${a.attendance_id} (${dateStr}): ${a.jam_masuk} - ${
+            a.jam_pulang || "-"
+          } → ${metrics.jam_masuk} - ${metrics.jam_pulang || "-"}`
+        );
+      }
+
+      updated++;
+      if (DRY_RUN) continue;
+
+      await prisma.attendance.update({
+        where: { attendance_id: a.attendance_id },
+        data: metrics,
+      });
+    }
+
+    console.log(`\n📊 Updated: ${updated}, invalid: ${invalid}`);
+    console.log(
+      DRY_RUN
+        ? "\n✅ Dry run selesai, tidak ada data yang diubah."
+        : "\n✅ Backfill completed successfully!"
+    );
+  } catch (error) {
+    console.error("❌ Error:", error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillWorkHours();
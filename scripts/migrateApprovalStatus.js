@@ -0,0 +1,104 @@
+/**
+ * Migrasi status approval attendance ke satu sumber: approval_status
+ * (langkah 1 dari 2)
+ *
+ * Sebelumnya approval tersebar di tiga tempat: approval_status,
+ * status_approval (kolom lama, diisi PUT /approval/:id) dan status
+ * (di-overwrite jadi "approved"/"rejected" saat approve WFH). Script ini
+ * menyalin status_approval ke approval_status memakai SQL mentah, karena
+ * `npx prisma db push` menghapus kolom status_approval. Nilai
+ * status_approval selain default "approved" (rejected / pending) adalah
+ * keputusan eksplisit sehingga diutamakan.
+ *
+ * Urutan menjalankan:
+ *   1. node scripts/migrateApprovalStatus.js --dry-run
+ *      node scripts/migrateApprovalStatus.js
+ *   2. npx prisma db push
+ *   3. node scripts/seedApprovalHistory.js (lihat script tersebut)
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Nilai lama status_approval → approval_status
+function normalizeApproval(value) {
+  const v = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (["approved", "disetujui"].includes(v)) return "approved";
+  if (["rejected", "ditolak"].includes(v)) return "rejected";
+  if (v === "pending") return "pending";
+  return null;
+}
+
+/**
+ * approval_status hasil gabungan kolom lama
+ */
+function resolveApproval(row) {
+  const legacy = normalizeApproval(row.status_approval);
+  if (legacy && legacy !== "approved") return legacy;
+  if (row.approval_status) return row.approval_status;
+  if (legacy) return legacy;
+
+  const statusLower = String(row.status || "").toLowerCase();
+  if (["approved", "rejected"].includes(statusLower)) return statusLower;
+  return "approved";
+}
+
+async function migrateApprovalStatus() {
+  try {
+    console.log(
+      `🔄 Migrating attendance approval status${
+        DRY_RUN ? " (DRY RUN)" : ""
+      }...\n`
+    );
+
+    let rows;
+    try {
+      // Hanya SQL mentah: Prisma Client sudah mengikuti skema baru
+      rows = await prisma.$queryRawUnsafe(
+        "SELECT attendance_id, status, approval_status, status_approval FROM attendance"
+      );
+    } catch (error) {
+      console.log(
+        "⚠️ Kolom status_approval tidak ditemukan. Jika `prisma db push` sudah dijalankan, nilai lama tidak bisa dipulihkan dari database; lanjutkan ke scripts/seedApprovalHistory.js."
+      );
+      return;
+    }
+
+    console.log(`📋 Processing ${rows.length} attendance records...\n`);
+
+    let updated = 0;
+
+    for (const row of rows) {
+      const approvalStatus = resolveApproval(row);
+      if (approvalStatus === row.approval_status) continue;
+
+      console.log(
+        `👤 Attendance ${row.attendance_id}: approval ${
+          row.approval_status || "(kosong)"
+        } → ${approvalStatus} (status_approval: ${row.status_approval || "-"})`
+      );
+      updated++;
+
+      if (DRY_RUN) continue;
+
+      await prisma.$executeRaw`UPDATE attendance SET approval_status = ${approvalStatus} WHERE attendance_id = ${row.attendance_id}`;
+    }
+
+    console.log(`\n📊 approval_status diisi: ${updated}`);
+    console.log(
+      DRY_RUN
+        ? "\n✅ Dry run selesai, tidak ada data yang diubah."
+        : "\n✅ Migration completed! Lanjutkan dengan `npx prisma db push`, lalu node scripts/seedApprovalHistory.js"
+    );
+  } catch (error) {
+    console.error("❌ Error:", error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateApprovalStatus();
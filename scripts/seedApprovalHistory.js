@@ -0,0 +1,149 @@
+/**
+ * Migrasi status approval attendance (langkah 2 dari 2)
+ *
+ * Jalankan SETELAH `npx prisma db push` (butuh terlambat_menit dan tabel
+ * attendance_approval_history), dan setelah
+ * scripts/migrateApprovalStatus.js mengisi approval_status dari kolom
+ * lama. Script ini:
+ *   1. Mengembalikan status yang ter-overwrite ("approved"/"rejected")
+ *      ke status kehadiran
+ *   2. Membuat baris awal attendance_approval_history (action "migrate")
+ *
+ *   node scripts/seedApprovalHistory.js --dry-run
+ *   node scripts/seedApprovalHistory.js
+ */
+
+const { PrismaClient } = require("@prisma/client");
+const {
+  getScheduleForAttendance,
+  calculateLateMinutes,
+} = require("../services/scheduleService");
+const prisma = new PrismaClient();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Status kehadiran untuk record yang status-nya ter-overwrite approval.
+// terlambat_menit belum terisi pada data lama, jadi dihitung ulang dari
+// jam_masuk terhadap jadwal attendance tersebut.
+async function restoreStatus(attendance) {
+  if (!attendance.jam_masuk) {
+    return { status: "pending_approval", terlambat_menit: 0 };
+  }
+
+  const schedule = await getScheduleForAttendance(prisma, attendance);
+  const lateMinutes = calculateLateMinutes(schedule, attendance.jam_masuk);
+
+  return {
+    status: lateMinutes > 0 ? "terlambat" : "hadir",
+    terlambat_menit: lateMinutes,
+  };
+}
+
+async function seedApprovalHistory() {
+  try {
+    console.log(
+      `🔄 Seeding attendance approval history${
+        DRY_RUN ? " (DRY RUN)" : ""
+      }...\n`
+    );
+
+    const attendances = await prisma.attendance.findMany({
+      select: {
+        attendance_id: true,
+        employee_id: true,
+        tanggal: true,
+        schedule_id: true,
+        blok_ke: true,
+        status: true,
+        approval_status: true,
+        approved_by: true,
+        approval_notes: true,
+        jam_masuk: true,
+        _count: { select: { approval_history: true } },
+      },
+    });
+
+    console.log(`📋 Processing ${attendances.length} attendance records...\n`);
+
+    const summary = {
+      approval_status_diisi: 0,
+      status_dipulihkan: 0,
+      riwayat_dibuat: 0,
+    };
+
+    for (const a of attendances) {
+      const statusLower = String(a.status || "").toLowerCase();
+      const statusAsApproval = ["approved", "rejected"].includes(statusLower)
+        ? statusLower
+        : null;
+
+      const approvalStatus =
+        a.approval_status || statusAsApproval || "approved";
+
+      const data = {};
+      if (approvalStatus !== a.approval_status) {
+        data.approval_status = approvalStatus;
+        summary.approval_status_diisi++;
+      }
+      if (statusAsApproval) {
+        Object.assign(data, await restoreStatus(a));
+        summary.status_dipulihkan++;
+      }
+
+      const needsHistory =
+        a._count.approval_history === 0 &&
+        (Object.keys(data).length > 0 || approvalStatus !== "approved");
+
+      if (Object.keys(data).length > 0 || needsHistory) {
+        console.log(
+          `👤 Attendance ${a.attendance_id}: status ${a.status} → ${
+            data.status || a.status
+          }, approval ${a.approval_status || "(kosong)"} → ${approvalStatus}`
+        );
+      }
+
+      if (DRY_RUN) {
+        if (needsHistory) summary.riwayat_dibuat++;
+        continue;
+      }
+
+      if (Object.keys(data).length > 0) {
+        await prisma.attendance.update({
+          where: { attendance_id: a.attendance_id },
+          data,
+        });
+      }
+
+      if (needsHistory) {
+        await prisma.attendanceApprovalHistory.create({
+          data: {
+            attendance_id: a.attendance_id,
+            dari_status: null,
+            ke_status: approvalStatus,
+            action: "migrate",
+            notes: a.approval_notes || "Migrasi status approval",
+            changed_by: approvalStatus === "pending" ? null : a.approved_by,
+            changed_by_role: "System",
+          },
+        });
+        summary.riwayat_dibuat++;
+      }
+    }
+
+    console.log("\n📊 Summary:");
+    console.log(`   - approval_status diisi: ${summary.approval_status_diisi}`);
+    console.log(`   - status dipulihkan: ${summary.status_dipulihkan}`);
+    console.log(`   - riwayat dibuat: ${summary.riwayat_dibuat}`);
+    console.log(
+      DRY_RUN
+        ? "\n✅ Dry run selesai, tidak ada data yang diubah."
+        : "\n✅ Migration completed successfully!"
+    );
+  } catch (error) {
+    console.error("❌ Error:", error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+seedApprovalHistory();
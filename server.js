@@ -11,6 +11,12 @@ const passport = passportConfig(prisma);
 const AlphaCheckService = require("./services/alphaCheckService");
 const alphaCheckService = new AlphaCheckService(prisma);
 alphaCheckService.setupCronJob();
+const MissingCheckoutService = require("./services/missingCheckoutService");
+const missingCheckoutService = new MissingCheckoutService(prisma);
+missingCheckoutService.setupCronJob();
+const SelfieRetentionService = require("./services/selfieRetentionService");
+const selfieRetentionService = new SelfieRetentionService(prisma);
+selfieRetentionService.setupCronJob();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -119,6 +125,18 @@ const statsRoutes = require("./routes/statsRoutes");
 const passwordResetRoutes = require("./routes/passwordResetRoutes");
 const alphaRoutes = require("./routes/alphaRoutes");
 const googleAuthRoutes = require("./routes/googleAuthRoutes");
+const scheduleRoutes = require("./routes/scheduleRoutes");
+const officeLocationRoutes = require("./routes/officeLocationRoutes");
+const settingsRoutes = require("./routes/settingsRoutes");
+const overtimeRoutes = require("./routes/overtimeRoutes");
+const correctionRoutes = require("./routes/correctionRoutes");
+const missingCheckoutRoutes = require("./routes/missingCheckoutRoutes");
+const deviceImportRoutes = require("./routes/deviceImportRoutes");
+const attendanceExportRoutes = require("./routes/attendanceExportRoutes");
+const holidayRoutes = require("./routes/holidayRoutes");
+const kioskRoutes = require("./routes/kioskRoutes");
+const wfhRequestRoutes = require("./routes/wfhRequestRoutes");
+const offlineSyncRoutes = require("./routes/offlineSyncRoutes");
 
 // ✅ Use Routes
 app.use("/api/employees", employeeRoutes(prisma));
@@ -131,6 +149,21 @@ app.use("/api/stats", statsRoutes(prisma));
 app.use("/api/auth", passwordResetRoutes);
 app.use("/api/alpha", alphaRoutes(prisma, alphaCheckService));
 app.use("/api/auth", googleAuthRoutes(prisma, passport));
+app.use("/api/schedules", scheduleRoutes(prisma));
+app.use("/api/office-locations", officeLocationRoutes(prisma));
+app.use("/api/settings", settingsRoutes(prisma));
+app.use("/api/overtime", overtimeRoutes(prisma));
+app.use("/api/attendance-corrections", correctionRoutes(prisma));
+app.use(
+  "/api/missing-checkout",
+  missingCheckoutRoutes(prisma, missingCheckoutService)
+);
+app.use("/api/device-import", deviceImportRoutes(prisma));
+app.use("/api/attendance-export", attendanceExportRoutes(prisma));
+app.use("/api/holidays", holidayRoutes(prisma));
+app.use("/api/kiosks", kioskRoutes(prisma));
+app.use("/api/wfh-requests", wfhRequestRoutes(prisma));
+app.use("/api/offline-sync", offlineSyncRoutes(prisma));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -5,13 +5,40 @@
  * Service untuk mengecek karyawan yang tidak absen
  * dan mencatat status ALPHA secara otomatis
  *
- * Potongan: Rp 100.000 per hari alpha
+ * Potongan: Rp 100.000 per hari alpha, dicatat sebagai entri ledger
+ * payroll_deductions (lihat payrollDeductionService)
+ *
+ * Karyawan yang jendela check-in shift-nya belum tutup (mis. shift malam
+ * 22:00 - 06:00 yang masih bisa check-in lewat tengah malam) dilewati.
+ * Cron harian ikut mengecek ulang ALPHA_RECHECK_DAYS hari sebelum kemarin,
+ * sehingga karyawan tersebut tercatat alpha setelah jendelanya tutup.
  *
  * @author HRIS Development Team
  * @version 2.0.0
  */
 
 const cron = require("node-cron");
+const { getHoliday } = require("./holidayService");
+const { syncAttendanceDeductions } = require("./payrollDeductionService");
+const { isRestDay } = require("./overtimeService");
+const {
+  createScheduleResolver,
+  getCheckInWindow,
+  getScheduleBlock,
+} = require("./scheduleService");
+const {
+  DEFAULT_TIMEZONE,
+  getCompanyTimezone,
+  getCompanyClock,
+  toDateOnlyKey,
+  dateKeyToDate,
+  addDays,
+  getDayRange,
+  zonedTimeToDate,
+} = require("./timezoneService");
+
+// Jumlah hari sebelum kemarin yang dicek ulang oleh cron harian
+const ALPHA_RECHECK_DAYS = 2;
 
 class AlphaCheckService {
   constructor(prisma) {
@@ -21,16 +48,34 @@ class AlphaCheckService {
 
   /**
    * Check alpha untuk tanggal tertentu
-   * @param {Date} checkDate - Tanggal yang akan dicek
+   * @param {Date|string} date - Tanggal yang akan dicek ("YYYY-MM-DD")
+   * @param {Date} now - Waktu acuan untuk jendela check-in (default: sekarang)
    * @returns {Object} Result dengan detail alpha yang ditemukan
    */
-  async checkAlphaForDate(checkDate) {
+  async checkAlphaForDate(date, now = new Date()) {
+    const dateKey = toDateOnlyKey(date);
+    const checkDate = dateKeyToDate(dateKey);
+
     console.log("\n" + "=".repeat(60));
     console.log("🔍 ALPHA CHECK SERVICE");
     console.log("=".repeat(60));
-    console.log("📅 Checking date:", checkDate.toISOString().split("T")[0]);
+    console.log("📅 Checking date:", dateKey);
 
     try {
+      // 0. Skip hari libur nasional / cuti bersama
+      const holiday = await getHoliday(this.prisma, checkDate);
+      if (holiday) {
+        console.log(`🎉 Public holiday (${holiday.nama_libur}) - skipping`);
+        return {
+          success: true,
+          date: dateKey,
+          skipped: true,
+          reason: `Hari libur: ${holiday.nama_libur}`,
+          total_alpha: 0,
+          alpha_records: [],
+        };
+      }
+
       // 1. Get all active employees (tidak resign)
       const activeEmployees = await this.prisma.employee.findMany({
         where: {
@@ -50,43 +95,42 @@ class AlphaCheckService {
       console.log(`👥 Active employees: ${activeEmployees.length}`);
 
       // 2. Get all attendance records untuk tanggal yang dicek
-      const startOfDay = new Date(checkDate);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(checkDate);
-      endOfDay.setHours(23, 59, 59, 999);
-
       const attendanceRecords = await this.prisma.attendance.findMany({
         where: {
-          tanggal: {
-            gte: startOfDay,
-            lte: endOfDay,
-          },
+          tanggal: getDayRange(dateKey),
         },
       });
 
       console.log(`📋 Attendance records found: ${attendanceRecords.length}`);
 
-      // 3. Find employees without attendance
+      // 3. Jendela check-in per karyawan (shift malam bisa lewat tengah malam)
+      const timezone = await getCompanyTimezone(this.prisma);
+      const resolveSchedule = await createScheduleResolver(this.prisma);
+
+      // 4. Find employees without attendance (karyawan yang baru
+      // didaftarkan setelah tanggal tsb tidak dihitung, penting saat cek ulang)
       const attendedEmployeeIds = new Set(
         attendanceRecords.map((a) => a.employee_id)
       );
+      const dayEnd = zonedTimeToDate(addDays(dateKey, 1), 0, timezone);
 
       const absentEmployees = activeEmployees.filter(
-        (emp) => !attendedEmployeeIds.has(emp.employee_id)
+        (emp) =>
+          !attendedEmployeeIds.has(emp.employee_id) &&
+          !(emp.created_at && emp.created_at >= dayEnd)
       );
 
       console.log(`❌ Employees without attendance: ${absentEmployees.length}`);
 
-      // 4. Check for approved leaves
+      // 5. Check for approved leaves
       const approvedLeaves = await this.prisma.leaveRequest.findMany({
         where: {
           status: "approved",
           tanggal_mulai: {
-            lte: endOfDay,
+            lte: checkDate,
           },
           tanggal_selesai: {
-            gte: startOfDay,
+            gte: checkDate,
           },
         },
       });
@@ -97,8 +141,9 @@ class AlphaCheckService {
 
       console.log(`🏖️ Employees on approved leave: ${employeesOnLeave.size}`);
 
-      // 5. Create ALPHA records untuk employees tanpa attendance dan tidak cuti
+      // 6. Create ALPHA records untuk employees tanpa attendance dan tidak cuti
       const alphaRecords = [];
+      const deferred = [];
 
       for (const employee of absentEmployees) {
         // Skip jika employee sedang cuti approved
@@ -109,6 +154,38 @@ class AlphaCheckService {
           continue;
         }
 
+        // Skip jika hari libur jadwal karyawan (termasuk hari libur
+        // penugasan khusus yang menimpa jadwal jabatan / default)
+        const schedule = resolveSchedule(employee, checkDate);
+        if (isRestDay(schedule, checkDate)) {
+          console.log(
+            `  ✓ Skipping employee ${employee.employee_id} (${employee.nama_lengkap}) - Rest day (${schedule.nama_jadwal})`
+          );
+          continue;
+        }
+
+        // Skip jika jendela check-in shift-nya belum tutup (split shift:
+        // jendela blok terakhir)
+        const lastBlock = getScheduleBlock(schedule, schedule.jumlah_blok);
+        const checkInClose = zonedTimeToDate(
+          dateKey,
+          getCheckInWindow(lastBlock).end,
+          timezone
+        );
+        if (now < checkInClose) {
+          console.log(
+            `  ⏳ Deferring employee ${employee.employee_id} (${
+              employee.nama_lengkap
+            }) - check-in open until ${checkInClose.toISOString()}`
+          );
+          deferred.push({
+            employee_id: employee.employee_id,
+            nama_lengkap: employee.nama_lengkap,
+            checkin_ditutup: checkInClose.toISOString(),
+          });
+          continue;
+        }
+
         try {
           // Create alpha record
           const alphaRecord = await this.prisma.attendance.create({
@@ -128,6 +205,11 @@ class AlphaCheckService {
             },
           });
 
+          await syncAttendanceDeductions(
+            this.prisma,
+            alphaRecord.attendance_id
+          );
+
           alphaRecords.push({
             employee_id: employee.employee_id,
             nama_lengkap: employee.nama_lengkap,
@@ -152,12 +234,14 @@ class AlphaCheckService {
 
       return {
         success: true,
-        date: checkDate.toISOString().split("T")[0],
+        date: dateKey,
         total_employees: activeEmployees.length,
         total_attended: attendanceRecords.length,
         total_on_leave: employeesOnLeave.size,
         total_alpha: alphaRecords.length,
         alpha_records: alphaRecords,
+        total_deferred: deferred.length,
+        deferred,
       };
     } catch (error) {
       console.error("❌ Error in alpha check:", error);
@@ -169,29 +253,52 @@ class AlphaCheckService {
   }
 
   /**
-   * Check alpha untuk kemarin
-   * @returns {Object} Result dari alpha check
+   * Check alpha untuk kemarin, plus cek ulang ALPHA_RECHECK_DAYS hari
+   * sebelumnya untuk karyawan yang dulu dilewati karena jendela check-in
+   * belum tutup. Karyawan yang sudah punya record (termasuk alpha) tidak
+   * dibuat ulang.
+   * @returns {Object} Result alpha check kemarin + rechecked
    */
   async checkYesterdayAlpha() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
+    // "Kemarin" menurut zona waktu perusahaan, bukan zona waktu server
+    const clock = await getCompanyClock(this.prisma);
+    const yesterday = addDays(clock.dateKey, -1);
+
+    const rechecked = [];
+    for (let i = ALPHA_RECHECK_DAYS; i >= 1; i--) {
+      const dateKey = addDays(yesterday, -i);
+      console.log("🔁 Re-checking deferred alpha:", dateKey);
+
+      const result = await this.checkAlphaForDate(dateKey);
+      rechecked.push({
+        date: dateKey,
+        success: result.success,
+        total_alpha: result.total_alpha || 0,
+        total_deferred: result.total_deferred || 0,
+      });
+    }
 
-    console.log(
-      "📅 Checking yesterday's alpha:",
-      yesterday.toISOString().split("T")[0]
-    );
+    console.log("📅 Checking yesterday's alpha:", yesterday);
 
-    return await this.checkAlphaForDate(yesterday);
+    const result = await this.checkAlphaForDate(yesterday);
+    return { ...result, rechecked };
   }
 
   /**
    * Setup cron job untuk check alpha setiap hari
-   * Berjalan setiap hari jam 00:30 WIB (30 menit setelah tengah malam)
+   * Berjalan setiap hari jam 18:00 (zona waktu perusahaan)
+   * Zona waktu cron = company_timezone saat server start
    */
-  setupCronJob() {
+  async setupCronJob() {
+    let timezone = DEFAULT_TIMEZONE;
+    try {
+      timezone = await getCompanyTimezone(this.prisma);
+    } catch (error) {
+      console.error("⚠️ Gagal membaca company_timezone:", error.message);
+    }
+
     console.log("⏰ Setting up Alpha Check Cron Job...");
-    console.log("   Schedule: Every day at 18:00 WIB"); // ← UBAH INI
+    console.log(`   Schedule: Every day at 18:00 (${timezone})`); // ← UBAH INI
 
     // Cron pattern: "0 18 * * *"
     cron.schedule(
@@ -210,12 +317,13 @@ class AlphaCheckService {
       },
       {
         scheduled: true,
-        timezone: "Asia/Jakarta",
+        timezone,
       }
     );
 
     console.log("✅ Cron job setup completed");
-    console.log("   Next run: Tomorrow at 18:00 WIB"); // ← UBAH INI
+    console.log("   Timezone:", timezone);
+    console.log(`   Next run: 18:00 ${timezone}`); // ← UBAH INI
   }
 
   /**
@@ -224,15 +332,10 @@ class AlphaCheckService {
    * @returns {Object} Result dari alpha check
    */
   async manualCheckAlpha(daysAgo = 1) {
-    const checkDate = new Date();
-    checkDate.setDate(checkDate.getDate() - daysAgo);
-    checkDate.setHours(0, 0, 0, 0);
-
-    console.log(
-      `\n🔧 Manual alpha check triggered for: ${
-        checkDate.toISOString().split("T")[0]
-      }`
-    );
+    const clock = await getCompanyClock(this.prisma);
+    const checkDate = addDays(clock.dateKey, -daysAgo);
+
+    console.log(`\n🔧 Manual alpha check triggered for: ${checkDate}`);
     console.log(`   (${daysAgo} day(s) ago)`);
 
     return await this.checkAlphaForDate(checkDate);
@@ -377,6 +480,11 @@ class AlphaCheckService {
         throw new Error("This is not an alpha record");
       }
 
+      await syncAttendanceDeductions(this.prisma, attendanceId, {
+        reason: "alpha dihapus",
+        remove: true,
+      });
+
       await this.prisma.attendance.delete({
         where: { attendance_id: attendanceId },
       });
@@ -423,6 +531,10 @@ class AlphaCheckService {
         },
       });
 
+      await syncAttendanceDeductions(this.prisma, attendanceId, {
+        reason: `alpha diubah menjadi ${newStatus}`,
+      });
+
       console.log(`✅ Alpha converted to ${newStatus}: ID ${attendanceId}`);
       return updated;
     } catch (error) {
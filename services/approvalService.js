@@ -0,0 +1,128 @@
+/**
+ * ⭐ APPROVAL SERVICE - State machine approval attendance
+ *
+ * Satu-satunya sumber status approval adalah attendance.approval_status
+ * (pending / approved / rejected). Kolom attendance.status tidak pernah
+ * diubah oleh approval. Setiap perubahan dicatat di
+ * attendance_approval_history.
+ *
+ * Transisi yang diizinkan:
+ *   (baru)   → pending | approved
+ *   pending  → approved | rejected
+ *   approved → pending   (ditandai ulang, mis. geofence saat check-out)
+ *   approved → rejected  (approval dibatalkan HR)
+ *   rejected → pending   (dibuka kembali untuk direview)
+ */
+
+const APPROVAL_STATUSES = ["pending", "approved", "rejected"];
+
+const APPROVAL_TRANSITIONS = {
+  null: ["pending", "approved"],
+  pending: ["approved", "rejected"],
+  approved: ["pending", "rejected"],
+  rejected: ["pending"],
+};
+
+// Action API → status tujuan
+const APPROVAL_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  reopen: "pending",
+};
+
+// Status placeholder pengajuan WFH/Hybrid yang belum check-in
+const STATUS_PENGAJUAN = "pending_approval";
+
+/**
+ * Cek apakah transisi approval diizinkan
+ */
+function canTransition(from, to) {
+  const allowed = APPROVAL_TRANSITIONS[from ?? null] || [];
+  return allowed.includes(to);
+}
+
+/**
+ * Pesan error untuk transisi yang tidak diizinkan
+ */
+function transitionError(from, to) {
+  if (from === to) return `Request ini sudah ${from}`;
+  return `Status approval tidak bisa diubah dari ${
+    from || "(kosong)"
+  } ke ${to}`;
+}
+
+/**
+ * Catat satu baris riwayat approval
+ * @param {Object} db - prisma client atau transaction client
+ */
+function recordApprovalHistory(
+  db,
+  { attendanceId, from, to, action, notes, userId, role }
+) {
+  return db.attendanceApprovalHistory.create({
+    data: {
+      attendance_id: attendanceId,
+      dari_status: from ?? null,
+      ke_status: to,
+      action,
+      notes: notes || null,
+      changed_by: userId || null,
+      changed_by_role: role || null,
+    },
+  });
+}
+
+/**
+ * Ubah status approval sebuah attendance + catat riwayat
+ * @param {Object} db - prisma client atau transaction client
+ * @param {Object} attendance - Record attendance (minimal attendance_id, approval_status)
+ * @param {Object} change - { to, action, notes, userId, role }
+ * @returns {Object} Record attendance terbaru
+ */
+async function transitionApproval(
+  db,
+  attendance,
+  { to, action, notes, userId, role, include }
+) {
+  const from = attendance.approval_status ?? null;
+
+  if (!canTransition(from, to)) {
+    throw new Error(transitionError(from, to));
+  }
+
+  const decided = to !== "pending";
+
+  const updated = await db.attendance.update({
+    where: { attendance_id: attendance.attendance_id },
+    data: {
+      approval_status: to,
+      approved_by: decided ? userId || null : null,
+      approval_notes: notes ?? attendance.approval_notes ?? null,
+      approval_date: decided ? new Date() : null,
+    },
+    ...(include ? { include } : {}),
+  });
+
+  await recordApprovalHistory(db, {
+    attendanceId: attendance.attendance_id,
+    from,
+    to,
+    action,
+    notes,
+    userId,
+    role,
+  });
+
+  return updated;
+}
+
+module.exports = {
+  APPROVAL_STATUSES,
+  APPROVAL_TRANSITIONS,
+  APPROVAL_ACTIONS,
+  STATUS_PENGAJUAN,
+  canTransition,
+  transitionError,
+  recordApprovalHistory,
+  transitionApproval,
+};
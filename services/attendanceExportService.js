@@ -0,0 +1,207 @@
+/**
+ * ⭐ ATTENDANCE EXPORT SERVICE - Rekap & detail absensi bulanan (CSV/XLSX)
+ */
+
+const ExcelJS = require("exceljs");
+const { ISTIRAHAT_FLAG_MELEBIHI } = require("./breakService");
+
+// Status absensi yang dihitung per kolom di rekap
+const STATUS_COUNTED = [
+  "hadir",
+  "terlambat",
+  "setengah_hari",
+  "alpa",
+  "izin",
+  "sakit",
+];
+
+const RECAP_COLUMNS = [
+  { header: "Employee ID", key: "employee_id", width: 12 },
+  { header: "Nama Lengkap", key: "nama_lengkap", width: 28 },
+  { header: "Jabatan", key: "jabatan", width: 20 },
+  { header: "Hadir", key: "hadir", width: 8 },
+  { header: "Terlambat", key: "terlambat", width: 10 },
+  { header: "Pulang Cepat", key: "pulang_cepat", width: 12 },
+  {
+    header: "Pulang Cepat (menit)",
+    key: "total_pulang_cepat_menit",
+    width: 18,
+  },
+  { header: "Setengah Hari", key: "setengah_hari", width: 14 },
+  { header: "Alpa", key: "alpa", width: 8 },
+  { header: "Izin", key: "izin", width: 8 },
+  { header: "Sakit", key: "sakit", width: 8 },
+  { header: "WFH", key: "wfh", width: 8 },
+  { header: "Total Hari", key: "total_hari", width: 10 },
+  { header: "Total Jam", key: "total_jam", width: 10 },
+  { header: "Total Istirahat (jam)", key: "total_istirahat_jam", width: 18 },
+  { header: "Istirahat > Batas", key: "istirahat_melebihi", width: 16 },
+];
+
+const DETAIL_COLUMNS = [
+  { header: "Tanggal", key: "tanggal", width: 12 },
+  { header: "Employee ID", key: "employee_id", width: 12 },
+  { header: "Nama Lengkap", key: "nama_lengkap", width: 28 },
+  { header: "Jabatan", key: "jabatan", width: 20 },
+  { header: "Jam Masuk", key: "jam_masuk", width: 10 },
+  { header: "Jam Pulang", key: "jam_pulang", width: 10 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Tipe Kerja", key: "tipe_kerja", width: 20 },
+  { header: "Terlambat (menit)", key: "terlambat_menit", width: 16 },
+  { header: "Pulang Cepat (menit)", key: "pulang_cepat_menit", width: 18 },
+  { header: "Lembur (menit)", key: "lembur_menit", width: 14 },
+  { header: "Istirahat (menit)", key: "istirahat_menit", width: 16 },
+  { header: "Istirahat > Batas", key: "istirahat_melebihi", width: 16 },
+  { header: "Jam Kerja", key: "jam_kerja", width: 10 },
+  { header: "Approval", key: "approval_status", width: 12 },
+  { header: "Keterangan", key: "keterangan", width: 40 },
+];
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Ambil data rekap & detail absensi untuk periode dan filter tertentu
+ * @returns {Object} { recap, detail }
+ */
+async function getExportData(
+  prisma,
+  { startDate, endDate, employeeId, jabatan, tipeKerja }
+) {
+  const employeeWhere = {};
+  if (employeeId) employeeWhere.employee_id = parseInt(employeeId);
+  if (jabatan) employeeWhere.jabatan = jabatan;
+
+  const employees = await prisma.employee.findMany({
+    where: employeeWhere,
+    select: { employee_id: true, nama_lengkap: true, jabatan: true },
+    orderBy: { nama_lengkap: "asc" },
+  });
+
+  const attendances = await prisma.attendance.findMany({
+    where: {
+      employee_id: { in: employees.map((e) => e.employee_id) },
+      tanggal: { gte: startDate, lte: endDate },
+      ...(tipeKerja ? { tipe_kerja: { contains: tipeKerja } } : {}),
+    },
+    orderBy: [{ tanggal: "asc" }, { employee_id: "asc" }],
+  });
+
+  const recapByEmployee = {};
+  employees.forEach((e) => {
+    recapByEmployee[e.employee_id] = {
+      employee_id: e.employee_id,
+      nama_lengkap: e.nama_lengkap,
+      jabatan: e.jabatan || "-",
+      hadir: 0,
+      terlambat: 0,
+      pulang_cepat: 0,
+      total_pulang_cepat_menit: 0,
+      setengah_hari: 0,
+      alpa: 0,
+      izin: 0,
+      sakit: 0,
+      wfh: 0,
+      total_hari: 0,
+      total_menit: 0,
+      total_istirahat_menit: 0,
+      istirahat_melebihi: 0,
+    };
+  });
+
+  const detail = attendances.map((a) => {
+    const recap = recapByEmployee[a.employee_id];
+    const status = (a.status || "").toLowerCase();
+    const minutes = a.kerja_menit || 0;
+    const breakOverLimit = a.istirahat_flag === ISTIRAHAT_FLAG_MELEBIHI;
+
+    if (STATUS_COUNTED.includes(status)) recap[status]++;
+    if ((a.tipe_kerja || "").toUpperCase().startsWith("WFH")) recap.wfh++;
+    recap.total_hari++;
+    recap.total_menit += minutes;
+    recap.total_istirahat_menit += a.istirahat_menit || 0;
+    if (breakOverLimit) recap.istirahat_melebihi++;
+    if (a.pulang_cepat_menit > 0) {
+      recap.pulang_cepat++;
+      recap.total_pulang_cepat_menit += a.pulang_cepat_menit;
+    }
+
+    return {
+      tanggal: a.tanggal.toISOString().split("T")[0],
+      employee_id: a.employee_id,
+      nama_lengkap: recap.nama_lengkap,
+      jabatan: recap.jabatan,
+      jam_masuk: a.jam_masuk || "-",
+      jam_pulang: a.jam_pulang || "-",
+      status: a.status,
+      tipe_kerja: a.tipe_kerja,
+      terlambat_menit: a.terlambat_menit || 0,
+      pulang_cepat_menit: a.pulang_cepat_menit || 0,
+      lembur_menit: a.lembur_menit || 0,
+      istirahat_menit: a.istirahat_menit || 0,
+      istirahat_melebihi: breakOverLimit ? "Ya" : "-",
+      jam_kerja: toHours(minutes),
+      approval_status: a.approval_status || "-",
+      keterangan: a.keterangan || "",
+    };
+  });
+
+  const recap = Object.values(recapByEmployee).map(
+    ({ total_menit, total_istirahat_menit, ...row }) => ({
+      ...row,
+      total_jam: toHours(total_menit),
+      total_istirahat_jam: toHours(total_istirahat_menit),
+    })
+  );
+
+  return { recap, detail };
+}
+
+/**
+ * Escape satu nilai CSV
+ */
+function csvValue(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Buat isi CSV dari baris & definisi kolom
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map((c) => csvValue(c.header)).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => csvValue(row[c.key])).join(","));
+  });
+  return lines.join("\r\n");
+}
+
+/**
+ * Buat workbook XLSX dengan sheet Rekap & Detail
+ * @returns {Promise<Buffer>}
+ */
+async function buildWorkbook({ recap, detail }, periodLabel) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const addSheet = (name, columns, rows) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+    return sheet;
+  };
+
+  addSheet(`Rekap ${periodLabel}`, RECAP_COLUMNS, recap);
+  addSheet(`Detail ${periodLabel}`, DETAIL_COLUMNS, detail);
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  RECAP_COLUMNS,
+  DETAIL_COLUMNS,
+  getExportData,
+  toCsv,
+  buildWorkbook,
+};
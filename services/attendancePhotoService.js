@@ -0,0 +1,85 @@
+/**
+ * ⭐ ATTENDANCE PHOTO SERVICE - Foto selfie check-in / check-out
+ *
+ * File disimpan di uploads/selfies (lihat selfieUpload di
+ * middleware/upload.js), metadata di attendance_photos. Satu foto per
+ * jenis ("masuk" / "pulang") per attendance; upload ulang menggantikan
+ * foto lama. Foto dihapus otomatis setelah selfie_retensi_hari
+ * (lihat SelfieRetentionService).
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const SELFIE_DIR = path.join(__dirname, "../uploads/selfies");
+const JENIS_FOTO = ["masuk", "pulang"];
+
+/**
+ * Path lengkap file selfie (nama file disanitasi)
+ */
+function getPhotoPath(filename) {
+  return path.join(SELFIE_DIR, path.basename(filename));
+}
+
+/**
+ * Hapus file selfie dari disk (abaikan jika sudah tidak ada)
+ */
+function removePhotoFile(filename) {
+  if (!filename) return;
+  const filePath = getPhotoPath(filename);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+/**
+ * Hapus file upload jika request gagal
+ */
+function removeUploadedPhoto(file) {
+  if (file) removePhotoFile(file.filename);
+}
+
+/**
+ * Simpan metadata foto untuk sebuah attendance
+ * @param {string} jenis - "masuk" | "pulang"
+ * @param {Object} file - req.file dari multer
+ * @returns {Object} Record attendance_photos
+ */
+async function saveAttendancePhoto(prisma, attendanceId, jenis, file) {
+  const existing = await prisma.attendancePhoto.findUnique({
+    where: {
+      attendance_id_jenis: { attendance_id: attendanceId, jenis },
+    },
+  });
+
+  const data = {
+    filename: file.filename,
+    mime_type: file.mimetype,
+    ukuran_byte: file.size,
+  };
+
+  const photo = existing
+    ? await prisma.attendancePhoto.update({
+        where: { photo_id: existing.photo_id },
+        data: { ...data, created_at: new Date() },
+      })
+    : await prisma.attendancePhoto.create({
+        data: { ...data, attendance_id: attendanceId, jenis },
+      });
+
+  if (existing && existing.filename !== file.filename) {
+    removePhotoFile(existing.filename);
+  }
+
+  console.log(
+    `📸 Selfie ${jenis} saved for attendance ${attendanceId} (${file.size} bytes)`
+  );
+  return photo;
+}
+
+module.exports = {
+  SELFIE_DIR,
+  JENIS_FOTO,
+  getPhotoPath,
+  removePhotoFile,
+  removeUploadedPhoto,
+  saveAttendancePhoto,
+};
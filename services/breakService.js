@@ -0,0 +1,180 @@
+/**
+ * ⭐ BREAK SERVICE - Istirahat di tengah hari kerja
+ *
+ * Istirahat dicatat pada record attendance hari ini (sudah check-in,
+ * belum check-out). Total istirahat disimpan di attendance.istirahat_menit
+ * dan dikurangkan dari jam kerja; jika melebihi max_istirahat_menit,
+ * attendance.istirahat_flag = "melebihi_batas".
+ */
+
+const { getSetting } = require("./settingsService");
+const { findShiftAttendance } = require("./scheduleService");
+const { getCompanyClock } = require("./timezoneService");
+
+const ISTIRAHAT_FLAG_MELEBIHI = "melebihi_batas";
+
+// Helper: hasil gagal dengan status code
+const fail = (statusCode, body) => ({ statusCode, body });
+
+const minutesBetween = (start, end) =>
+  Math.max(0, Math.round((new Date(end) - new Date(start)) / 60000));
+
+/**
+ * Record attendance shift berjalan (zona waktu perusahaan, termasuk shift
+ * malam kemarin) beserta istirahatnya
+ */
+async function findTodayAttendance(prisma, employeeId, now) {
+  const clock = await getCompanyClock(prisma, now);
+
+  return findShiftAttendance(prisma, employeeId, clock, {
+    breaks: { orderBy: { mulai: "asc" } },
+  });
+}
+
+/**
+ * Hitung ulang total istirahat & flag untuk sebuah attendance
+ * @returns {Object} { total_menit, max_menit, melebihi_batas }
+ */
+async function recalculateBreakTotals(prisma, attendanceId) {
+  const [breaks, maxMenit] = await Promise.all([
+    prisma.attendanceBreak.findMany({
+      where: { attendance_id: attendanceId, selesai: { not: null } },
+      select: { durasi_menit: true },
+    }),
+    getSetting(prisma, "max_istirahat_menit"),
+  ]);
+
+  const totalMenit = breaks.reduce((sum, b) => sum + b.durasi_menit, 0);
+  const melebihi = maxMenit > 0 && totalMenit > maxMenit;
+
+  await prisma.attendance.update({
+    where: { attendance_id: attendanceId },
+    data: {
+      istirahat_menit: totalMenit,
+      istirahat_flag: melebihi ? ISTIRAHAT_FLAG_MELEBIHI : null,
+    },
+  });
+
+  return {
+    total_menit: totalMenit,
+    max_menit: maxMenit,
+    melebihi_batas: melebihi,
+  };
+}
+
+/**
+ * Tutup istirahat yang masih berjalan (dipakai juga saat check-out)
+ * @returns {Object|null} Totals setelah ditutup, null jika tidak ada
+ */
+async function closeOpenBreak(prisma, attendanceId, now = new Date()) {
+  const openBreak = await prisma.attendanceBreak.findFirst({
+    where: { attendance_id: attendanceId, selesai: null },
+  });
+
+  if (!openBreak) return null;
+
+  const closed = await prisma.attendanceBreak.update({
+    where: { break_id: openBreak.break_id },
+    data: {
+      selesai: now,
+      durasi_menit: minutesBetween(openBreak.mulai, now),
+    },
+  });
+
+  const totals = await recalculateBreakTotals(prisma, attendanceId);
+  return { break: closed, ...totals };
+}
+
+/**
+ * Mulai istirahat
+ * @returns {Object} { statusCode, body }
+ */
+async function startBreak(prisma, { employeeId, now = new Date() }) {
+  const attendance = await findTodayAttendance(prisma, employeeId, now);
+
+  if (!attendance) {
+    return fail(400, { error: "Belum check-in hari ini." });
+  }
+
+  if (attendance.jam_pulang) {
+    return fail(400, { error: "Sudah check-out, tidak bisa istirahat." });
+  }
+
+  const openBreak = attendance.breaks.find((b) => !b.selesai);
+  if (openBreak) {
+    return fail(400, {
+      error: "Istirahat sebelumnya belum diakhiri.",
+      break: openBreak,
+    });
+  }
+
+  const newBreak = await prisma.attendanceBreak.create({
+    data: {
+      attendance_id: attendance.attendance_id,
+      mulai: now,
+    },
+  });
+
+  const maxMenit = await getSetting(prisma, "max_istirahat_menit");
+  const sisaMenit = Math.max(0, maxMenit - attendance.istirahat_menit);
+
+  console.log(
+    `☕ Break started by employee ${employeeId} (attendance ${attendance.attendance_id})`
+  );
+
+  return {
+    statusCode: 201,
+    body: {
+      message: `✓ Istirahat dimulai. Sisa waktu istirahat hari ini: ${sisaMenit} menit`,
+      data: newBreak,
+      total_istirahat_menit: attendance.istirahat_menit,
+      max_istirahat_menit: maxMenit,
+      sisa_istirahat_menit: sisaMenit,
+    },
+  };
+}
+
+/**
+ * Akhiri istirahat yang sedang berjalan
+ * @returns {Object} { statusCode, body }
+ */
+async function endBreak(prisma, { employeeId, now = new Date() }) {
+  const attendance = await findTodayAttendance(prisma, employeeId, now);
+
+  if (!attendance) {
+    return fail(400, { error: "Belum check-in hari ini." });
+  }
+
+  const result = await closeOpenBreak(prisma, attendance.attendance_id, now);
+
+  if (!result) {
+    return fail(400, { error: "Tidak ada istirahat yang sedang berjalan." });
+  }
+
+  let message = `✓ Istirahat selesai (${result.break.durasi_menit} menit)`;
+  if (result.melebihi_batas) {
+    message += `\n⚠️ Total istirahat hari ini ${result.total_menit} menit melebihi batas ${result.max_menit} menit.`;
+    console.log(
+      `⚠️ Break over limit for attendance ${attendance.attendance_id}: ${result.total_menit} menit`
+    );
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      message,
+      data: result.break,
+      total_istirahat_menit: result.total_menit,
+      max_istirahat_menit: result.max_menit,
+      melebihi_batas: result.melebihi_batas,
+    },
+  };
+}
+
+module.exports = {
+  ISTIRAHAT_FLAG_MELEBIHI,
+  recalculateBreakTotals,
+  closeOpenBreak,
+  startBreak,
+  endBreak,
+};
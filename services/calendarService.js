@@ -0,0 +1,235 @@
+/**
+ * ⭐ CALENDAR SERVICE - Kalender absensi bulanan per karyawan
+ *
+ * Setiap hari di-resolve menjadi satu state dengan prioritas:
+ * attendance → cuti/izin/sakit/setengah hari (approved) → libur nasional →
+ * akhir pekan → hari ini / belum berlangsung / tidak ada data
+ */
+
+const { createScheduleResolver } = require("./scheduleService");
+const { isRestDay } = require("./overtimeService");
+const { getHolidayMap } = require("./holidayService");
+const { getCompanyClock } = require("./timezoneService");
+const { isHalfDayLeave } = require("./halfDayService");
+
+const CALENDAR_STATES = [
+  "hadir",
+  "terlambat",
+  "setengah_hari",
+  "izin",
+  "sakit",
+  "cuti",
+  "alpa",
+  "wfh_pending",
+  "wfh_disetujui",
+  "wfh_ditolak",
+  "libur_nasional",
+  "akhir_pekan",
+  "belum_absen",
+  "belum_berlangsung",
+  "tidak_ada_data",
+];
+
+/**
+ * State kalender dari jenis pengajuan cuti
+ */
+function leaveState(leave) {
+  const jenis = (leave.jenis_pengajuan || "").toLowerCase();
+  if (isHalfDayLeave(leave)) return "setengah_hari";
+  if (jenis.includes("sakit")) return "sakit";
+  if (jenis.includes("izin")) return "izin";
+  return "cuti";
+}
+
+/**
+ * State kalender dari record attendance
+ */
+function attendanceState(attendance) {
+  const status = (attendance.status || "").toLowerCase();
+
+  // Pengajuan WFH/Hybrid yang belum check-in: state dari approval_status
+  if (status === "pending_approval") {
+    if (attendance.approval_status === "approved") return "wfh_disetujui";
+    if (attendance.approval_status === "rejected") return "wfh_ditolak";
+    return "wfh_pending";
+  }
+  if (attendance.approval_status === "rejected") return "wfh_ditolak";
+  if (CALENDAR_STATES.includes(status)) return status;
+  return "hadir";
+}
+
+/**
+ * Bangun kalender satu bulan untuk seorang karyawan
+ * @param {number} month - 1-12
+ */
+async function buildMonthlyCalendar(prisma, employeeId, year, month) {
+  const employee = await prisma.employee.findUnique({
+    where: { employee_id: parseInt(employeeId) },
+    select: {
+      employee_id: true,
+      nama_lengkap: true,
+      jabatan: true,
+      tanggal_masuk: true,
+    },
+  });
+
+  if (!employee) {
+    throw new Error("Karyawan tidak ditemukan.");
+  }
+
+  const startDate = new Date(Date.UTC(year, month - 1, 1));
+  const endDate = new Date(Date.UTC(year, month, 0));
+  const daysInMonth = endDate.getUTCDate();
+
+  const [attendances, leaves, holidays, resolveSchedule] = await Promise.all([
+    prisma.attendance.findMany({
+      where: {
+        employee_id: employee.employee_id,
+        tanggal: { gte: startDate, lte: endDate },
+      },
+      orderBy: { created_at: "asc" },
+    }),
+    prisma.leaveRequest.findMany({
+      where: {
+        employee_id: employee.employee_id,
+        status: "approved",
+        tanggal_mulai: { lte: endDate },
+        tanggal_selesai: { gte: startDate },
+      },
+    }),
+    getHolidayMap(prisma, startDate, endDate),
+    createScheduleResolver(prisma),
+  ]);
+
+  // Split shift: satu hari bisa punya beberapa blok, yang ditampilkan
+  // blok pertama
+  const attendanceByDate = {};
+  attendances.forEach((a) => {
+    const dateKey = a.tanggal.toISOString().slice(0, 10);
+    const current = attendanceByDate[dateKey];
+    if (!current || (a.blok_ke || 1) <= (current.blok_ke || 1)) {
+      attendanceByDate[dateKey] = a;
+    }
+  });
+
+  const { dateKey: todayKey } = await getCompanyClock(prisma);
+  const totals = {};
+  CALENDAR_STATES.forEach((state) => {
+    totals[state] = 0;
+  });
+  let workingDays = 0;
+
+  const days = [];
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const dateKey = date.toISOString().slice(0, 10);
+
+    const attendance = attendanceByDate[dateKey] || null;
+    const leave =
+      leaves.find(
+        (l) =>
+          l.tanggal_mulai.toISOString().slice(0, 10) <= dateKey &&
+          l.tanggal_selesai.toISOString().slice(0, 10) >= dateKey
+      ) || null;
+    const holiday = holidays[dateKey] || null;
+    const schedule = resolveSchedule(
+      employee,
+      date,
+      attendance?.schedule_id || null
+    );
+    const weekend = isRestDay(schedule, date);
+
+    if (!weekend && !holiday) workingDays++;
+
+    let state;
+    let source;
+
+    if (attendance && !(attendance.status === "alpa" && leave)) {
+      // Alpha otomatis kalah dengan cuti yang sudah di-approve
+      state = attendanceState(attendance);
+      source = "attendance";
+    } else if (leave) {
+      state = leaveState(leave);
+      source = "leave";
+    } else if (holiday) {
+      state = "libur_nasional";
+      source = "holiday";
+    } else if (weekend) {
+      state = "akhir_pekan";
+      source = "schedule";
+    } else if (dateKey === todayKey) {
+      state = "belum_absen";
+      source = null;
+    } else if (dateKey > todayKey) {
+      state = "belum_berlangsung";
+      source = null;
+    } else {
+      state = "tidak_ada_data";
+      source = null;
+    }
+
+    totals[state]++;
+
+    days.push({
+      tanggal: dateKey,
+      hari: date.getUTCDay(),
+      state,
+      source,
+      is_weekend: weekend,
+      holiday: holiday
+        ? {
+            nama_libur: holiday.nama_libur,
+            is_cuti_bersama: holiday.is_cuti_bersama,
+          }
+        : null,
+      attendance: attendance
+        ? {
+            attendance_id: attendance.attendance_id,
+            jam_masuk: attendance.jam_masuk,
+            jam_pulang: attendance.jam_pulang,
+            status: attendance.status,
+            tipe_kerja: attendance.tipe_kerja,
+            approval_status: attendance.approval_status,
+            terlambat_menit: attendance.terlambat_menit,
+            istirahat_menit: attendance.istirahat_menit,
+            istirahat_flag: attendance.istirahat_flag,
+          }
+        : null,
+      leave: leave
+        ? {
+            leave_id: leave.leave_id,
+            jenis_pengajuan: leave.jenis_pengajuan,
+          }
+        : null,
+      jadwal: weekend
+        ? null
+        : {
+            nama_jadwal: schedule.nama_jadwal,
+            jam_mulai: schedule.jam_mulai,
+            jam_selesai: schedule.jam_selesai,
+          },
+    });
+  }
+
+  return {
+    employee,
+    period: {
+      year,
+      month,
+      start: startDate.toISOString().slice(0, 10),
+      end: endDate.toISOString().slice(0, 10),
+    },
+    totals: {
+      ...totals,
+      hari_kalender: daysInMonth,
+      hari_kerja: workingDays,
+    },
+    days,
+  };
+}
+
+module.exports = {
+  CALENDAR_STATES,
+  buildMonthlyCalendar,
+};
@@ -0,0 +1,585 @@
+/**
+ * ⭐ CHECK-IN SERVICE - Logika check-in & check-out absensi
+ *
+ * Dipakai oleh /api/attendance/checkin, /checkout/:id dan kiosk QR agar
+ * semua jalur absensi melewati aturan yang sama (jadwal, geofence,
+ * potongan terlambat, lembur). Hasil berupa { statusCode, body } yang
+ * langsung dikirim sebagai response.
+ */
+
+const {
+  getScheduleForAttendance,
+  evaluateCheckIn,
+  resolveCheckInShift,
+} = require("./scheduleService");
+const { getOvertimeMinutes } = require("./overtimeService");
+const { recordLatePenalty } = require("./latePenaltyService");
+const { validateLocation } = require("./geofenceService");
+const { closeOpenBreak } = require("./breakService");
+const { recordApprovalHistory } = require("./approvalService");
+const { syncAttendanceDeductions } = require("./payrollDeductionService");
+const {
+  normalizeJam,
+  getWorkPolicy,
+  calculateWorkMetrics,
+} = require("./workHoursService");
+const { evaluateHalfDay } = require("./halfDayService");
+const {
+  getCompanyClock,
+  getDayRange,
+  toTimeString,
+} = require("./timezoneService");
+
+// Helper: hasil gagal dengan status code
+const fail = (statusCode, body) => ({ statusCode, body });
+
+/**
+ * Check-in untuk seorang karyawan
+ * @param {Object} options
+ * @param {number} options.employeeId - Karyawan yang check-in
+ * @param {string} options.role - Role yang mencatat (recorded_by_role)
+ * @param {Date} options.now - Waktu check-in (default: sekarang)
+ * @param {string} options.jamMasuk - Override jam masuk "HH:MM"
+ * @param {string} options.tipeKerja - WFO / WFH / Hybrid
+ * @param {string} options.lokasi - Koordinat "lat,lng"
+ * @param {number} options.akurasi - Akurasi GPS (meter)
+ * @param {Object} options.extraData - Field tambahan untuk record attendance
+ * @returns {Object} { statusCode, body }
+ */
+async function performCheckIn(
+  prisma,
+  {
+    employeeId,
+    role,
+    now = new Date(),
+    jamMasuk,
+    tipeKerja,
+    lokasi,
+    akurasi,
+    extraData = {},
+  }
+) {
+  if (jamMasuk && !normalizeJam(jamMasuk)) {
+    return fail(400, {
+      error: `Format jam masuk '${jamMasuk}' tidak valid, gunakan HH:MM.`,
+    });
+  }
+
+  // Tanggal & jam menurut zona waktu perusahaan. Check-in setelah tengah
+  // malam untuk shift malam dicatat pada tanggal mulai shift.
+  const clock = await getCompanyClock(prisma, now);
+  const currentTime = clock.time;
+  const shift = await resolveCheckInShift(prisma, employeeId, clock);
+  const schedule = shift.schedule;
+  const todayRange = getDayRange(shift.dateKey);
+
+  // ⭐ CHECK 1: Di luar jendela check-in jadwal? → TIDAK BISA ABSEN
+  const evaluation = evaluateCheckIn(schedule, currentTime, {
+    previousDay: shift.previousDay,
+  });
+
+  if (!evaluation.allowed) {
+    return fail(400, {
+      error: evaluation.error,
+      currentTime: currentTime,
+      jadwal: schedule.nama_jadwal,
+    });
+  }
+
+  // ⭐ CHECK 2: Cek apakah sudah check-in hari ini (split shift: per blok)
+  const splitShift = schedule.jumlah_blok > 1;
+  const existingAttendance = await prisma.attendance.findFirst({
+    where: {
+      employee_id: employeeId,
+      tanggal: todayRange,
+      blok_ke: schedule.blok_ke,
+      jam_masuk: {
+        not: null,
+      },
+    },
+  });
+
+  if (existingAttendance) {
+    return fail(400, {
+      error: splitShift
+        ? `Sudah melakukan check-in untuk blok ${schedule.blok_ke} hari ini.`
+        : "Sudah melakukan check-in hari ini.",
+      attendance: existingAttendance,
+    });
+  }
+
+  // ⭐ CHECK 3: Tentukan status berdasarkan jadwal
+  const status = evaluation.status;
+  const lateMinutes = evaluation.late_minutes;
+  let keterangan = null;
+
+  if (status === "terlambat") {
+    keterangan = `Terlambat check-in pada ${currentTime}`;
+    console.log(
+      `⚠️ Late check-in detected: ${currentTime} (jadwal ${schedule.jam_mulai})`
+    );
+  } else {
+    console.log(`✅ On-time check-in: ${currentTime}`);
+  }
+
+  // ⭐ CHECK 4: Cek apakah ada approved request (WFH/Hybrid)
+  const approvedRequest = await prisma.attendance.findFirst({
+    where: {
+      employee_id: employeeId,
+      tanggal: todayRange,
+      approval_status: "approved",
+      jam_masuk: null,
+    },
+  });
+
+  // Split shift: blok berikutnya mengikuti tipe kerja blok sebelumnya
+  const previousBlock =
+    !approvedRequest && schedule.blok_ke > 1
+      ? await prisma.attendance.findFirst({
+          where: {
+            employee_id: employeeId,
+            tanggal: todayRange,
+            blok_ke: { lt: schedule.blok_ke },
+            jam_masuk: { not: null },
+          },
+          orderBy: { blok_ke: "desc" },
+        })
+      : null;
+
+  // ⭐ CHECK 5: Validasi geofence untuk WFO
+  const effectiveTipeKerja =
+    approvedRequest?.tipe_kerja ||
+    tipeKerja ||
+    previousBlock?.tipe_kerja ||
+    "WFO";
+  let geofence = { checked: false, valid: true, flag: null };
+
+  if (effectiveTipeKerja === "WFO") {
+    geofence = await validateLocation(prisma, lokasi, akurasi);
+
+    if (!geofence.valid && geofence.mode === "reject") {
+      return fail(400, {
+        error: `Check-in WFO ditolak. ${geofence.reason}`,
+        geofence_flag: geofence.flag,
+        jarak_meter: geofence.distance,
+        kantor_terdekat: geofence.office?.nama_lokasi || null,
+      });
+    }
+
+    if (!geofence.valid) {
+      console.log(`⚠️ Geofence flagged: ${geofence.reason}`);
+      keterangan = [keterangan, geofence.reason].filter(Boolean).join(" | ");
+    }
+  }
+
+  const geofenceData = {
+    office_location_id: geofence.office?.location_id ?? null,
+    jarak_masuk: geofence.distance ?? null,
+    geofence_flag: geofence.flag,
+  };
+
+  // Di luar geofence (mode flag) → menunggu approval HR
+  if (!geofence.valid) {
+    geofenceData.approval_status = "pending";
+    geofenceData.approval_notes = geofence.reason;
+  }
+
+  // Jam masuk dinormalisasi + timestamp absolut
+  const workMetrics = calculateWorkMetrics(
+    schedule,
+    { tanggal: shift.date, jam_masuk: jamMasuk || currentTime },
+    { timezone: clock.timezone }
+  );
+
+  // ⭐ CREATE/UPDATE ATTENDANCE
+  let attendanceRecord;
+
+  if (approvedRequest) {
+    // Update existing approved request
+    attendanceRecord = await prisma.attendance.update({
+      where: { attendance_id: approvedRequest.attendance_id },
+      data: {
+        lokasi_masuk: lokasi || null,
+        akurasi_masuk: akurasi ? parseInt(akurasi) : null,
+        status: status,
+        keterangan: keterangan,
+        recorded_by_role: role,
+        ...extraData,
+        schedule_id: schedule.schedule_id,
+        blok_ke: schedule.blok_ke,
+        terlambat_menit: lateMinutes,
+        ...workMetrics,
+        ...geofenceData,
+      },
+      include: {
+        employee: true,
+      },
+    });
+
+    console.log(
+      `✅ Check-in successful (updated approved request) by ${role} for employee ${employeeId}`
+    );
+  } else {
+    // Create new attendance record
+    attendanceRecord = await prisma.attendance.create({
+      data: {
+        employee_id: employeeId,
+        tanggal: shift.date,
+        tipe_kerja: effectiveTipeKerja,
+        lokasi_masuk: lokasi || null,
+        akurasi_masuk: akurasi ? parseInt(akurasi) : null,
+        status: status,
+        keterangan: keterangan,
+        recorded_by_role: role,
+        ...extraData,
+        schedule_id: schedule.schedule_id,
+        blok_ke: schedule.blok_ke,
+        terlambat_menit: lateMinutes,
+        ...workMetrics,
+        ...geofenceData,
+      },
+      include: {
+        employee: true,
+      },
+    });
+
+    console.log(
+      `✅ Check-in successful (new record) by ${role} for employee ${employeeId}`
+    );
+  }
+
+  console.log("✅ Attendance record created:", attendanceRecord.attendance_id);
+
+  // Catat riwayat approval saat absensi ditandai geofence
+  if (!geofence.valid) {
+    await recordApprovalHistory(prisma, {
+      attendanceId: attendanceRecord.attendance_id,
+      from: approvedRequest?.approval_status ?? null,
+      to: "pending",
+      action: "flag",
+      notes: geofence.reason,
+      role: "System",
+    });
+  }
+
+  // ⭐⭐⭐ AUTO POTONGAN TERLAMBAT (BERTINGKAT) ⭐⭐⭐
+  let penalty = null;
+  if (status === "terlambat") {
+    penalty = await recordLatePenalty(prisma, attendanceRecord, schedule);
+    attendanceRecord.tier_terlambat = penalty.tier;
+    attendanceRecord.potongan_terlambat = penalty.amount;
+  } else if (approvedRequest) {
+    // Record yang dipakai bisa berupa alpha otomatis (mis. check-in offline
+    // yang baru tersinkron) → potongan alpa-nya dibatalkan
+    await syncAttendanceDeductions(prisma, attendanceRecord.attendance_id, {
+      reason: "check-in tercatat",
+    });
+  }
+
+  // ⭐ RESPONSE MESSAGE
+  let message = `✓ Absen Masuk berhasil pada ${currentTime}`;
+
+  if (status === "terlambat") {
+    const lateHours = Math.floor(lateMinutes / 60);
+    const lateRemainder = lateMinutes % 60;
+
+    let potonganInfo = `Potongan gaji: Rp ${penalty.amount.toLocaleString()} (${
+      penalty.tier || "tanpa tingkatan"
+    })`;
+    if (penalty.tolerated) {
+      potonganInfo = `Tingkat ${penalty.tier} - masih dalam toleransi bulanan, tidak ada potongan`;
+    } else if (penalty.tipe === "peringatan") {
+      potonganInfo = "Peringatan - tidak ada potongan gaji";
+    }
+
+    message =
+      `⚠️ Check-in berhasil (TERLAMBAT) pada ${currentTime}\n` +
+      `Anda terlambat ${lateHours} jam ${lateRemainder} menit.\n` +
+      `${potonganInfo}\n` +
+      `Harap datang tepat waktu besok (sebelum ${schedule.jam_mulai}).`;
+  }
+
+  if (!geofence.valid) {
+    message += `\n⚠️ ${geofence.reason} Absensi menunggu approval HR.`;
+  }
+
+  return {
+    statusCode: approvedRequest ? 200 : 201,
+    body: {
+      message: message,
+      status: status,
+      terlambat_menit: lateMinutes,
+      potongan: penalty ? penalty.amount : 0,
+      tier_terlambat: penalty
+        ? {
+            tier: penalty.tier,
+            tipe: penalty.tipe,
+            toleransi: penalty.tolerated,
+          }
+        : null,
+      jadwal: {
+        schedule_id: schedule.schedule_id,
+        nama_jadwal: schedule.nama_jadwal,
+        jam_mulai: schedule.jam_mulai,
+        jam_selesai: schedule.jam_selesai,
+        toleransi_menit: schedule.toleransi_menit,
+        blok_ke: schedule.blok_ke,
+        jumlah_blok: schedule.jumlah_blok,
+      },
+      geofence: geofence.checked
+        ? {
+            valid: geofence.valid,
+            flag: geofence.flag,
+            kantor: geofence.office?.nama_lokasi || null,
+            jarak_meter: geofence.distance,
+          }
+        : null,
+      data: attendanceRecord,
+    },
+  };
+}
+
+/**
+ * Langkah check-out yang sama untuk check-out biasa dan auto-close
+ * (MissingCheckoutService): lembur, tutup istirahat yang masih berjalan,
+ * jam kerja, pulang cepat, setengah hari, simpan record lalu sinkron
+ * ledger potongan. checkout_flag dikosongkan kecuali di-set lewat data.
+ * @param {Object} options
+ * @param {Object} options.attendance - Record attendance yang di-check-out
+ * @param {Object} options.schedule - Jadwal attendance
+ * @param {string} options.jamPulang - Jam pulang "HH:MM"
+ * @param {Date} options.closedAt - Waktu penutupan istirahat yang terbuka
+ * @param {Object} options.workPolicy - Hasil getWorkPolicy
+ * @param {Object} options.data - Field tambahan untuk record attendance
+ * @param {string[]} options.notes - Catatan tambahan untuk keterangan
+ * @param {string} options.reason - Alasan di keterangan ledger
+ * @returns {Object} { attendance, workMetrics, halfDay }
+ */
+async function completeCheckOut(
+  prisma,
+  {
+    attendance,
+    schedule,
+    jamPulang,
+    closedAt = new Date(),
+    workPolicy,
+    data = {},
+    notes: extraNotes = [],
+    reason = "check-out",
+  }
+) {
+  // Hitung lembur dari jam masuk/pulang terhadap jadwal
+  const overtime = await getOvertimeMinutes(
+    prisma,
+    schedule,
+    attendance.tanggal,
+    attendance.jam_masuk,
+    jamPulang
+  );
+
+  if (overtime.minutes > 0) {
+    console.log(
+      `⏱️ Overtime detected: ${overtime.minutes} menit${
+        overtime.rest_day ? " (hari libur)" : ""
+      }`
+    );
+  }
+
+  // Istirahat yang lupa diakhiri ditutup pada jam check-out
+  const closedBreak = await closeOpenBreak(
+    prisma,
+    attendance.attendance_id,
+    closedAt
+  );
+  if (closedBreak) {
+    console.log(
+      `☕ Open break closed on checkout (${closedBreak.break.durasi_menit} menit)`
+    );
+  }
+
+  // Jam kerja & pulang cepat (istirahat sudah final)
+  const workMetrics = calculateWorkMetrics(
+    schedule,
+    {
+      tanggal: attendance.tanggal,
+      jam_masuk: attendance.jam_masuk,
+      jam_pulang: jamPulang,
+      istirahat_menit: closedBreak
+        ? closedBreak.total_menit
+        : attendance.istirahat_menit,
+    },
+    workPolicy
+  );
+
+  const notes = [...extraNotes];
+  const halfDayData = {};
+
+  // Pulang sebelum jam selesai shift (di luar toleransi)
+  if (workMetrics.pulang_cepat_menit > 0) {
+    const info = `Pulang cepat ${workMetrics.pulang_cepat_menit} menit (jadwal selesai ${schedule.jam_selesai})`;
+    console.log(`⚠️ Early leave detected: ${info}`);
+    notes.push(info);
+  }
+
+  // Jam kerja kurang dari minimum / izin setengah hari
+  const halfDay = await evaluateHalfDay(
+    prisma,
+    attendance,
+    schedule,
+    workMetrics.kerja_menit
+  );
+  if (halfDay) {
+    const info = `Setengah hari (${halfDay.alasan})`;
+    console.log(`🌓 Half day detected: ${info}`);
+    halfDayData.status = halfDay.status;
+    halfDayData.potongan_setengah_hari = halfDay.potongan_setengah_hari;
+    notes.push(info);
+  }
+
+  if (notes.length > 0) {
+    halfDayData.keterangan = [attendance.keterangan, ...notes]
+      .filter(Boolean)
+      .join(" | ");
+  }
+
+  const updatedAttendance = await prisma.attendance.update({
+    where: { attendance_id: attendance.attendance_id },
+    data: {
+      checkout_flag: null,
+      ...workMetrics,
+      ...halfDayData,
+      schedule_id: schedule.schedule_id,
+      lembur_menit: overtime.minutes,
+      ...data,
+    },
+    include: {
+      employee: true,
+      schedule: true,
+      office_location: true,
+      breaks: { orderBy: { mulai: "asc" } },
+    },
+  });
+
+  // Potongan pulang cepat / setengah hari masuk ledger payroll (potongan
+  // terlambat dibatalkan jika hari ini menjadi setengah hari)
+  if (workMetrics.potongan_pulang_cepat > 0 || halfDay) {
+    await syncAttendanceDeductions(prisma, attendance.attendance_id, {
+      reason,
+    });
+  }
+
+  return { attendance: updatedAttendance, workMetrics, halfDay };
+}
+
+/**
+ * Check-out untuk record attendance yang sudah check-in
+ * @param {Object} options
+ * @param {Object} options.attendance - Record attendance yang akan di-check-out
+ * @param {string} options.role - Role yang mencatat
+ * @param {Date} options.now - Waktu check-out (default: sekarang)
+ * @param {string} options.jamPulang - Override jam pulang
+ * @param {string} options.lokasi - Koordinat "lat,lng"
+ * @param {number} options.akurasi - Akurasi GPS (meter)
+ * @param {Object} options.extraData - Field tambahan untuk record attendance
+ * @returns {Object} { statusCode, body }
+ */
+async function performCheckOut(
+  prisma,
+  {
+    attendance,
+    role,
+    now = new Date(),
+    jamPulang: jamPulangInput,
+    lokasi,
+    akurasi,
+    extraData = {},
+  }
+) {
+  if (attendance.jam_pulang) {
+    return fail(400, { error: "Sudah melakukan check-out." });
+  }
+
+  if (jamPulangInput && !normalizeJam(jamPulangInput)) {
+    return fail(400, {
+      error: `Format jam pulang '${jamPulangInput}' tidak valid, gunakan HH:MM.`,
+    });
+  }
+
+  // Jadwal yang dipakai saat check-in; fallback ke jadwal aktif
+  const schedule = await getScheduleForAttendance(prisma, attendance);
+  const workPolicy = await getWorkPolicy(prisma);
+  const jamPulang = jamPulangInput || toTimeString(now, workPolicy.timezone);
+
+  // Validasi geofence check-out untuk WFO
+  const checkoutData = {};
+
+  if (attendance.tipe_kerja === "WFO") {
+    const geofence = await validateLocation(prisma, lokasi, akurasi);
+
+    if (!geofence.valid && geofence.mode === "reject") {
+      return fail(400, {
+        error: `Check-out WFO ditolak. ${geofence.reason}`,
+        geofence_flag: geofence.flag,
+        jarak_meter: geofence.distance,
+        kantor_terdekat: geofence.office?.nama_lokasi || null,
+      });
+    }
+
+    if (geofence.checked) {
+      checkoutData.jarak_pulang = geofence.distance ?? null;
+    }
+
+    if (!geofence.valid) {
+      console.log(`⚠️ Geofence flagged on checkout: ${geofence.reason}`);
+      checkoutData.geofence_flag = attendance.geofence_flag || geofence.flag;
+      checkoutData.approval_status = "pending";
+      checkoutData.approval_notes = [
+        attendance.approval_notes,
+        `Check-out: ${geofence.reason}`,
+      ]
+        .filter(Boolean)
+        .join(" | ");
+    }
+  }
+
+  // Check-out sungguhan juga menghapus flag "incomplete" (lihat
+  // completeCheckOut)
+  const { attendance: updatedAttendance } = await completeCheckOut(prisma, {
+    attendance,
+    schedule,
+    jamPulang,
+    closedAt: now,
+    workPolicy,
+    data: {
+      ...checkoutData,
+      lokasi_pulang: lokasi || null,
+      akurasi_pulang: akurasi ? parseInt(akurasi) : null,
+      ...extraData,
+    },
+  });
+
+  if (
+    checkoutData.approval_status === "pending" &&
+    attendance.approval_status !== "pending"
+  ) {
+    await recordApprovalHistory(prisma, {
+      attendanceId: attendance.attendance_id,
+      from: attendance.approval_status,
+      to: "pending",
+      action: "flag",
+      notes: checkoutData.approval_notes,
+      role: "System",
+    });
+  }
+
+  console.log(
+    `✅ Check-out successful by ${role} for ID ${attendance.attendance_id}`
+  );
+  return { statusCode: 200, body: updatedAttendance };
+}
+
+module.exports = {
+  performCheckIn,
+  performCheckOut,
+  completeCheckOut,
+};
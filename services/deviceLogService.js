@@ -0,0 +1,452 @@
+/**
+ * ⭐ DEVICE LOG SERVICE - Import log mesin fingerprint / face recognition
+ *
+ * Format file (CSV/TXT, pemisah koma, titik koma atau tab):
+ *   PIN, timestamp, device ID
+ * Punch pertama per shift → jam_masuk, punch terakhir → jam_pulang.
+ * Punch setelah tengah malam pada shift malam (mis. 06:00 untuk shift
+ * 22:00 - 06:00 kemarin) dicatat pada tanggal mulai shift, sama seperti
+ * findShiftAttendance saat check-out.
+ */
+
+const {
+  getScheduleForEmployee,
+  getScheduleForAttendance,
+  createScheduleResolver,
+  isOvernightSchedule,
+  toShiftMinutes,
+  calculateLateMinutes,
+} = require("./scheduleService");
+const { addDays } = require("./timezoneService");
+const { getOvertimeMinutes } = require("./overtimeService");
+const { syncAttendanceDeductions } = require("./payrollDeductionService");
+const { recordLatePenalty } = require("./latePenaltyService");
+const { buildWorkMetrics } = require("./workHoursService");
+
+// Punch berulang dalam rentang ini dianggap satu kali tap
+const MIN_SELISIH_PUNCH_MENIT = 5;
+
+// Status yang tidak boleh ditimpa data mesin tanpa overwrite
+const STATUS_NON_HADIR = ["izin", "sakit", "alpa", "cuti"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Parse timestamp mesin ke { tanggal: "YYYY-MM-DD", jam: "HH:MM" }
+ * Mendukung YYYY-MM-DD / YYYY/MM/DD / DD-MM-YYYY / DD/MM/YYYY + HH:MM[:SS]
+ */
+function parseTimestamp(value) {
+  const match = String(value)
+    .trim()
+    .match(
+      /^(\d{1,4})[-/](\d{1,2})[-/](\d{1,4})[ T](\d{1,2})[:.](\d{2})(?:[:.]\d{2})?$/
+    );
+  if (!match) return null;
+
+  const [, a, b, c, h, m] = match;
+  const year = parseInt(a.length === 4 ? a : c);
+  const day = parseInt(a.length === 4 ? c : a);
+  const month = parseInt(b);
+  const hour = parseInt(h);
+  const minute = parseInt(m);
+
+  if (year < 1000 || month < 1 || month > 12) return null;
+  if (day < 1 || day > new Date(year, month, 0).getDate()) return null;
+  if (hour > 23 || minute > 59) return null;
+
+  return {
+    tanggal: `${year}-${pad(month)}-${pad(day)}`,
+    jam: `${pad(hour)}:${pad(minute)}`,
+  };
+}
+
+/**
+ * Parse isi file log menjadi daftar punch
+ * @returns {Object} { punches, errors }
+ */
+function parsePunchLog(content) {
+  const punches = [];
+  const errors = [];
+
+  String(content)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((raw, index) => {
+      const line = index + 1;
+      if (!raw.trim()) return;
+
+      const [pin, timestamp, deviceId] = raw
+        .split(/[,;\t]/)
+        .map((col) => col.trim().replace(/^"|"$/g, ""));
+
+      const parsed = timestamp ? parseTimestamp(timestamp) : null;
+
+      if (!parsed) {
+        // Baris pertama yang tidak valid dianggap header
+        if (line === 1) return;
+        errors.push({ line, raw, error: "Format timestamp tidak valid" });
+        return;
+      }
+
+      if (!pin) {
+        errors.push({ line, raw, error: "PIN kosong" });
+        return;
+      }
+
+      punches.push({
+        line,
+        pin,
+        tanggal: parsed.tanggal,
+        jam: parsed.jam,
+        device_id: deviceId || null,
+      });
+    });
+
+  return { punches, errors };
+}
+
+/**
+ * Tentukan tanggal shift sebuah punch: punch setelah tengah malam milik
+ * shift malam kemarin jika jadwal kemarin shift malam, selain itu tanggal
+ * punch. PIN yang tidak dikenal selalu memakai tanggal punch.
+ * @returns {Object} { tanggal, menit } - menit relatif tanggal shift
+ */
+function resolvePunchShift(punch, employee, resolveSchedule) {
+  const [h, m] = punch.jam.split(":").map(Number);
+  const sameDay = { tanggal: punch.tanggal, menit: h * 60 + m };
+  if (!employee) return sameDay;
+
+  const previousDate = addDays(punch.tanggal, -1);
+  const previousSchedule = resolveSchedule(employee, previousDate);
+  if (!isOvernightSchedule(previousSchedule)) return sameDay;
+
+  const menit = toShiftMinutes(previousSchedule, punch.jam);
+  return menit >= 1440 ? { tanggal: previousDate, menit } : sameDay;
+}
+
+/**
+ * Pasangkan punch per PIN per tanggal shift menjadi jam_masuk / jam_pulang
+ */
+async function pairPunches(prisma, punches) {
+  const pins = [...new Set(punches.map((p) => p.pin))];
+
+  const [employees, resolveSchedule] = await Promise.all([
+    prisma.employee.findMany({
+      where: { device_pin: { in: pins } },
+      select: { employee_id: true, jabatan: true, device_pin: true },
+    }),
+    createScheduleResolver(prisma),
+  ]);
+  const employeeByPin = {};
+  employees.forEach((e) => {
+    employeeByPin[e.device_pin] = e;
+  });
+
+  const groups = {};
+
+  punches.forEach((punch) => {
+    const shift = resolvePunchShift(
+      punch,
+      employeeByPin[punch.pin],
+      resolveSchedule
+    );
+    const key = `${punch.pin}|${shift.tanggal}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push({ ...punch, shift });
+  });
+
+  return Object.values(groups).map((group) => {
+    const sorted = group.sort((a, b) => a.shift.menit - b.shift.menit);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    const hasCheckout =
+      last.shift.menit - first.shift.menit >= MIN_SELISIH_PUNCH_MENIT;
+
+    return {
+      pin: first.pin,
+      tanggal: first.shift.tanggal,
+      jam_masuk: first.jam,
+      jam_pulang: hasCheckout ? last.jam : null,
+      device_id: first.device_id,
+      punch_count: sorted.length,
+      lines: sorted.map((p) => p.line),
+    };
+  });
+}
+
+/**
+ * Bandingkan hasil pairing dengan data attendance yang sudah ada
+ * action: "create" | "merge" | "skip" | "conflict"
+ */
+async function buildImportPlan(prisma, days) {
+  const pins = [...new Set(days.map((d) => d.pin))];
+
+  const employees = await prisma.employee.findMany({
+    where: { device_pin: { in: pins } },
+    select: { employee_id: true, nama_lengkap: true, device_pin: true },
+  });
+  const employeeByPin = {};
+  employees.forEach((e) => {
+    employeeByPin[e.device_pin] = e;
+  });
+
+  const dates = days.map((d) => d.tanggal).sort();
+  const existingRecords =
+    employees.length > 0 && dates.length > 0
+      ? await prisma.attendance.findMany({
+          where: {
+            employee_id: { in: employees.map((e) => e.employee_id) },
+            tanggal: {
+              gte: new Date(dates[0]),
+              lte: new Date(dates[dates.length - 1]),
+            },
+          },
+        })
+      : [];
+
+  const existingByKey = {};
+  existingRecords.forEach((record) => {
+    const key = `${record.employee_id}|${record.tanggal
+      .toISOString()
+      .slice(0, 10)}`;
+    existingByKey[key] = record;
+  });
+
+  return days
+    .sort(
+      (a, b) => a.tanggal.localeCompare(b.tanggal) || a.pin.localeCompare(b.pin)
+    )
+    .map((day) => {
+      const employee = employeeByPin[day.pin];
+      const item = {
+        ...day,
+        employee_id: employee?.employee_id || null,
+        nama_lengkap: employee?.nama_lengkap || null,
+        attendance_id: null,
+        action: "create",
+        conflicts: [],
+      };
+
+      if (!employee) {
+        item.action = "conflict";
+        item.conflicts.push({
+          type: "pin_tidak_dikenal",
+          message: `PIN ${day.pin} belum terdaftar pada karyawan manapun`,
+        });
+        return item;
+      }
+
+      const existing = existingByKey[`${employee.employee_id}|${day.tanggal}`];
+      if (!existing) return item;
+
+      item.attendance_id = existing.attendance_id;
+      item.existing = {
+        jam_masuk: existing.jam_masuk,
+        jam_pulang: existing.jam_pulang,
+        status: existing.status,
+        recorded_by_role: existing.recorded_by_role,
+      };
+
+      if (STATUS_NON_HADIR.includes(existing.status?.toLowerCase())) {
+        item.conflicts.push({
+          type: "status_bentrok",
+          message: `Sudah tercatat ${existing.status} pada tanggal ini`,
+        });
+      }
+
+      ["jam_masuk", "jam_pulang"].forEach((field) => {
+        if (existing[field] && day[field] && existing[field] !== day[field]) {
+          item.conflicts.push({
+            type: "jam_berbeda",
+            field,
+            message: `${field} tercatat ${existing[field]}, mesin ${day[field]}`,
+          });
+        }
+      });
+
+      const fillsEmpty =
+        (!existing.jam_masuk && day.jam_masuk) ||
+        (!existing.jam_pulang && day.jam_pulang);
+
+      if (item.conflicts.length > 0) item.action = "conflict";
+      else item.action = fillsEmpty ? "merge" : "skip";
+
+      return item;
+    });
+}
+
+/**
+ * Terapkan satu item rencana import ke tabel attendance
+ */
+async function applyImportItem(prisma, item, { overwrite, username }) {
+  const existing = item.attendance_id
+    ? await prisma.attendance.findUnique({
+        where: { attendance_id: item.attendance_id },
+      })
+    : null;
+
+  // Merge: isi yang kosong saja. Overwrite: data mesin menang.
+  const jamMasuk = overwrite
+    ? item.jam_masuk || existing?.jam_masuk
+    : existing?.jam_masuk || item.jam_masuk;
+  const jamPulang = overwrite
+    ? item.jam_pulang || existing?.jam_pulang
+    : existing?.jam_pulang || item.jam_pulang;
+
+  const schedule = existing
+    ? await getScheduleForAttendance(prisma, existing)
+    : await getScheduleForEmployee(prisma, item.employee_id, item.tanggal);
+
+  const lateMinutes = jamMasuk ? calculateLateMinutes(schedule, jamMasuk) : 0;
+  const status = lateMinutes > 0 ? "terlambat" : "hadir";
+
+  const note = `Import mesin absensi${
+    item.device_id ? ` (device ${item.device_id})` : ""
+  } oleh ${username}`;
+
+  const data = {
+    ...(await buildWorkMetrics(prisma, schedule, {
+      tanggal: item.tanggal,
+      jam_masuk: jamMasuk,
+      jam_pulang: jamPulang,
+      istirahat_menit: existing?.istirahat_menit,
+    })),
+    status,
+    terlambat_menit: lateMinutes,
+    schedule_id: schedule.schedule_id,
+    lembur_menit: (
+      await getOvertimeMinutes(
+        prisma,
+        schedule,
+        item.tanggal,
+        jamMasuk,
+        jamPulang
+      )
+    ).minutes,
+    device_id: item.device_id,
+  };
+  if (jamPulang) data.checkout_flag = null;
+
+  const attendance = existing
+    ? await prisma.attendance.update({
+        where: { attendance_id: existing.attendance_id },
+        data: {
+          ...data,
+          keterangan: [existing.keterangan, note].filter(Boolean).join(" | "),
+          // Pencatat sebelumnya tetap terlihat di item.existing
+          recorded_by_role: "Device",
+        },
+      })
+    : await prisma.attendance.create({
+        data: {
+          ...data,
+          employee_id: item.employee_id,
+          tanggal: new Date(item.tanggal),
+          tipe_kerja: "WFO",
+          keterangan: note,
+          recorded_by_role: "Device",
+        },
+      });
+
+  // Potongan terlambat hanya dihitung ulang jika jam masuk berubah
+  const wasLate = existing?.status === "terlambat";
+  const masukChanged = !existing || existing.jam_masuk !== jamMasuk;
+  const reason = "import mesin absensi";
+
+  if (masukChanged || existing.status !== status) {
+    if (status === "terlambat") {
+      await recordLatePenalty(prisma, attendance, schedule, { reason });
+    } else {
+      if (wasLate) {
+        await prisma.attendance.update({
+          where: { attendance_id: attendance.attendance_id },
+          data: { tier_terlambat: null, potongan_terlambat: 0 },
+        });
+      }
+      // Termasuk membatalkan potongan alpa yang tertimpa data mesin
+      await syncAttendanceDeductions(prisma, attendance.attendance_id, {
+        reason,
+      });
+    }
+  } else if (existing.jam_pulang !== attendance.jam_pulang) {
+    // Jam pulang berubah → potongan pulang cepat disesuaikan
+    await syncAttendanceDeductions(prisma, attendance.attendance_id, {
+      reason,
+    });
+  }
+
+  return attendance;
+}
+
+/**
+ * Commit rencana import. Konflik hanya diterapkan jika overwrite = true
+ * (PIN yang tidak dikenal selalu dilewati).
+ */
+async function commitImportPlan(prisma, plan, { overwrite = false, username }) {
+  const results = [];
+
+  for (const item of plan) {
+    const applicable =
+      item.action === "create" ||
+      item.action === "merge" ||
+      (item.action === "conflict" && overwrite && item.employee_id);
+
+    if (!applicable) {
+      results.push({
+        pin: item.pin,
+        tanggal: item.tanggal,
+        employee_id: item.employee_id,
+        result: item.action === "skip" ? "unchanged" : "skipped",
+        conflicts: item.conflicts,
+      });
+      continue;
+    }
+
+    try {
+      const attendance = await applyImportItem(prisma, item, {
+        overwrite: item.action === "conflict",
+        username,
+      });
+      results.push({
+        pin: item.pin,
+        tanggal: item.tanggal,
+        employee_id: item.employee_id,
+        attendance_id: attendance.attendance_id,
+        result: item.action === "create" ? "created" : "updated",
+      });
+    } catch (error) {
+      results.push({
+        pin: item.pin,
+        tanggal: item.tanggal,
+        employee_id: item.employee_id,
+        result: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Ringkasan jumlah per action untuk preview
+ */
+function summarizePlan(plan) {
+  return plan.reduce(
+    (summary, item) => {
+      summary[item.action]++;
+      return summary;
+    },
+    { create: 0, merge: 0, skip: 0, conflict: 0 }
+  );
+}
+
+module.exports = {
+  parseTimestamp,
+  parsePunchLog,
+  pairPunches,
+  buildImportPlan,
+  commitImportPlan,
+  summarizePlan,
+};
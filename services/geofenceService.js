@@ -0,0 +1,127 @@
+/**
+ * ⭐ GEOFENCE SERVICE - Validasi lokasi check-in WFO
+ */
+
+const { getSetting } = require("./settingsService");
+
+const EARTH_RADIUS_METER = 6371000;
+
+/**
+ * Parse koordinat dari string "lat,lng" (format lokasi_masuk / lokasi_pulang)
+ */
+function parseCoordinates(lokasi) {
+  if (!lokasi) return null;
+
+  const match = String(lokasi).match(
+    /(-?\d+(?:\.\d+)?)\s*[,;]\s*(-?\d+(?:\.\d+)?)/
+  );
+  if (!match) return null;
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return { latitude, longitude };
+}
+
+/**
+ * Jarak dua koordinat dalam meter (rumus haversine)
+ */
+function calculateDistance(from, to) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLng = toRad(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) *
+      Math.cos(toRad(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METER * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Cari kantor terdekat dari koordinat
+ */
+function findNearestOffice(offices, coords) {
+  let nearest = null;
+
+  for (const office of offices) {
+    const distance = calculateDistance(coords, {
+      latitude: parseFloat(office.latitude),
+      longitude: parseFloat(office.longitude),
+    });
+
+    if (!nearest || distance < nearest.distance) {
+      nearest = { office, distance };
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Validasi lokasi terhadap semua kantor aktif
+ * @returns {Object} { checked, valid, flag, reason, office, distance, mode }
+ */
+async function validateLocation(prisma, lokasi, akurasi) {
+  const offices = await prisma.officeLocation.findMany({
+    where: { is_active: true },
+  });
+
+  // Belum ada kantor terdaftar → tidak bisa divalidasi
+  if (offices.length === 0) {
+    return { checked: false, valid: true, flag: null };
+  }
+
+  const mode = await getSetting(prisma, "geofence_mode");
+  const maxAccuracy = await getSetting(prisma, "geofence_max_akurasi_meter");
+  const coords = parseCoordinates(lokasi);
+
+  if (!coords) {
+    return {
+      checked: true,
+      valid: false,
+      flag: "lokasi_tidak_valid",
+      reason: "Lokasi tidak ditemukan atau format koordinat tidak valid.",
+      office: null,
+      distance: null,
+      mode,
+    };
+  }
+
+  const nearest = findNearestOffice(offices, coords);
+  const distance = Math.round(nearest.distance);
+  const result = {
+    checked: true,
+    valid: true,
+    flag: null,
+    reason: null,
+    office: nearest.office,
+    distance,
+    mode,
+  };
+
+  const accuracy = parseInt(akurasi);
+  if (maxAccuracy && !isNaN(accuracy) && accuracy > maxAccuracy) {
+    result.valid = false;
+    result.flag = "akurasi_rendah";
+    result.reason = `Akurasi GPS ${accuracy} m melebihi batas ${maxAccuracy} m.`;
+  } else if (nearest.distance > nearest.office.radius_meter) {
+    result.valid = false;
+    result.flag = "di_luar_geofence";
+    result.reason = `Lokasi berada ${distance} m dari ${nearest.office.nama_lokasi} (radius ${nearest.office.radius_meter} m).`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseCoordinates,
+  calculateDistance,
+  findNearestOffice,
+  validateLocation,
+};
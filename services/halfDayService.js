@@ -0,0 +1,198 @@
+/**
+ * ⭐ HALF DAY SERVICE - Status absensi setengah hari
+ *
+ * Absensi hadir / terlambat menjadi "setengah_hari" saat check-out jika
+ * jam kerja di bawah setengah_hari_min_jam_kerja (default 4 jam, 0 =
+ * nonaktif), atau karyawan punya pengajuan "Izin Setengah Hari" yang
+ * disetujui untuk tanggal tersebut.
+ * Hari itu dipotong setengah_hari_potongan_persen dari upah harian,
+ * menggantikan potongan terlambat & pulang cepat di hari yang sama.
+ */
+
+const { getSetting } = require("./settingsService");
+const {
+  getScheduleForAttendance,
+  parseWorkDays,
+} = require("./scheduleService");
+const { isRestDay } = require("./overtimeService");
+const { getDailyWage } = require("./latePenaltyService");
+const { syncAttendanceDeductions } = require("./payrollDeductionService");
+
+const STATUS_SETENGAH_HARI = "setengah_hari";
+
+// Status absensi yang bisa berubah menjadi setengah hari
+const STATUS_BISA_SETENGAH_HARI = ["hadir", "terlambat"];
+
+/**
+ * Cek apakah pengajuan cuti/izin berupa izin setengah hari
+ */
+function isHalfDayLeave(leave) {
+  return (leave.jenis_pengajuan || "").toLowerCase().includes("setengah hari");
+}
+
+/**
+ * Minimum jam kerja & persen potongan dari pengaturan
+ * @returns {Object} { minMenitKerja, persenPotongan }
+ */
+async function getHalfDayPolicy(prisma) {
+  const [minJam, persen] = await Promise.all([
+    getSetting(prisma, "setengah_hari_min_jam_kerja"),
+    getSetting(prisma, "setengah_hari_potongan_persen"),
+  ]);
+
+  return {
+    minMenitKerja: Math.round((parseFloat(minJam) || 0) * 60),
+    persenPotongan: parseFloat(persen) || 0,
+  };
+}
+
+/**
+ * Potongan satu hari setengah hari (persen dari upah harian)
+ */
+function calculateHalfDayDeduction(gajiPokok, workDaysPerWeek, persen) {
+  return Math.round((getDailyWage(gajiPokok, workDaysPerWeek) * persen) / 100);
+}
+
+/**
+ * Potongan setengah hari seorang karyawan sesuai jadwal & pengaturan
+ */
+async function getHalfDayDeduction(prisma, employeeId, schedule) {
+  const [policy, employee] = await Promise.all([
+    getHalfDayPolicy(prisma),
+    prisma.employee.findUnique({
+      where: { employee_id: employeeId },
+      select: { gaji_pokok: true },
+    }),
+  ]);
+
+  return calculateHalfDayDeduction(
+    employee?.gaji_pokok,
+    parseWorkDays(schedule.hari_kerja).length,
+    policy.persenPotongan
+  );
+}
+
+/**
+ * Izin setengah hari yang disetujui untuk tanggal tersebut
+ * @returns {Object|null} Record leave_requests
+ */
+async function findHalfDayLeave(prisma, employeeId, tanggal) {
+  return prisma.leaveRequest.findFirst({
+    where: {
+      employee_id: employeeId,
+      status: "approved",
+      jenis_pengajuan: { contains: "setengah hari" },
+      tanggal_mulai: { lte: tanggal },
+      tanggal_selesai: { gte: tanggal },
+    },
+  });
+}
+
+/**
+ * Tentukan apakah sebuah absensi menjadi setengah hari
+ * @param {Object} attendance - Record attendance (status, tanggal, employee_id)
+ * @param {Object} schedule - Jadwal attendance
+ * @param {number} kerjaMenit - Jam kerja final attendance ini (menit)
+ * @returns {Object|null} { status, potongan_setengah_hari, alasan }
+ */
+async function evaluateHalfDay(prisma, attendance, schedule, kerjaMenit) {
+  const status = (attendance.status || "").toLowerCase();
+  if (!STATUS_BISA_SETENGAH_HARI.includes(status)) return null;
+  if (isRestDay(schedule, attendance.tanggal)) return null;
+
+  // Split shift: dievaluasi sekali per hari di blok terakhir, dengan jam
+  // kerja seluruh blok hari itu
+  if (schedule.jumlah_blok > 1) {
+    if (schedule.blok_ke < schedule.jumlah_blok) return null;
+
+    const otherBlocks = await prisma.attendance.aggregate({
+      where: {
+        employee_id: attendance.employee_id,
+        tanggal: attendance.tanggal,
+        blok_ke: { not: schedule.blok_ke },
+      },
+      _sum: { kerja_menit: true },
+    });
+    kerjaMenit += otherBlocks._sum.kerja_menit || 0;
+  }
+
+  const policy = await getHalfDayPolicy(prisma);
+  const leave = await findHalfDayLeave(
+    prisma,
+    attendance.employee_id,
+    attendance.tanggal
+  );
+  const kurangJam =
+    policy.minMenitKerja > 0 && kerjaMenit < policy.minMenitKerja;
+
+  if (!leave && !kurangJam) return null;
+
+  return {
+    status: STATUS_SETENGAH_HARI,
+    potongan_setengah_hari: await getHalfDayDeduction(
+      prisma,
+      attendance.employee_id,
+      schedule
+    ),
+    alasan: leave
+      ? "izin setengah hari"
+      : `kerja ${kerjaMenit} menit, minimum ${policy.minMenitKerja} menit`,
+  };
+}
+
+/**
+ * Terapkan izin setengah hari yang baru disetujui ke absensi yang sudah
+ * check-out di rentang tanggalnya
+ * @returns {number} Jumlah absensi yang diubah
+ */
+async function applyHalfDayLeave(prisma, leave, { reason = null } = {}) {
+  const attendances = await prisma.attendance.findMany({
+    where: {
+      employee_id: leave.employee_id,
+      tanggal: { gte: leave.tanggal_mulai, lte: leave.tanggal_selesai },
+      status: { in: STATUS_BISA_SETENGAH_HARI },
+      jam_pulang: { not: null },
+    },
+  });
+
+  let updated = 0;
+
+  for (const attendance of attendances) {
+    const schedule = await getScheduleForAttendance(prisma, attendance);
+    const halfDay = await evaluateHalfDay(
+      prisma,
+      attendance,
+      schedule,
+      attendance.kerja_menit
+    );
+    if (!halfDay) continue;
+
+    await prisma.attendance.update({
+      where: { attendance_id: attendance.attendance_id },
+      data: {
+        status: halfDay.status,
+        potongan_setengah_hari: halfDay.potongan_setengah_hari,
+        keterangan: [attendance.keterangan, `Setengah hari (${halfDay.alasan})`]
+          .filter(Boolean)
+          .join(" | "),
+      },
+    });
+    await syncAttendanceDeductions(prisma, attendance.attendance_id, {
+      reason,
+    });
+    updated++;
+  }
+
+  return updated;
+}
+
+module.exports = {
+  STATUS_SETENGAH_HARI,
+  isHalfDayLeave,
+  getHalfDayPolicy,
+  calculateHalfDayDeduction,
+  getHalfDayDeduction,
+  findHalfDayLeave,
+  evaluateHalfDay,
+  applyHalfDayLeave,
+};
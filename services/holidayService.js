@@ -0,0 +1,36 @@
+/**
+ * ⭐ HOLIDAY SERVICE - Hari libur nasional & cuti bersama
+ */
+
+/**
+ * Map "YYYY-MM-DD" → data libur untuk rentang tanggal
+ */
+async function getHolidayMap(prisma, startDate, endDate) {
+  const holidays = await prisma.publicHoliday.findMany({
+    where: {
+      tanggal: { gte: startDate, lte: endDate },
+    },
+  });
+
+  const map = {};
+  holidays.forEach((holiday) => {
+    map[holiday.tanggal.toISOString().slice(0, 10)] = holiday;
+  });
+  return map;
+}
+
+/**
+ * Ambil data libur pada tanggal tertentu (null jika bukan hari libur)
+ */
+async function getHoliday(prisma, date) {
+  const dateKey = new Date(date).toISOString().slice(0, 10);
+
+  return prisma.publicHoliday.findUnique({
+    where: { tanggal: new Date(dateKey) },
+  });
+}
+
+module.exports = {
+  getHolidayMap,
+  getHoliday,
+};
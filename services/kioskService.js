@@ -0,0 +1,138 @@
+/**
+ * ⭐ KIOSK SERVICE - Token QR untuk kiosk check-in
+ *
+ * Kiosk menampilkan QR berisi token yang ditandatangani server
+ * (HMAC-SHA256 dengan secret per kiosk) dan berganti setiap
+ * KIOSK_TOKEN_TTL_DETIK. Format token: kioskId.window.nonce.signature
+ */
+
+const crypto = require("crypto");
+
+const KIOSK_TOKEN_TTL_DETIK = 30;
+// Token dari window sebelumnya masih diterima (jeda scan → submit)
+const KIOSK_TOKEN_GRACE_WINDOW = 1;
+
+const hmac = (secret, value) =>
+  crypto.createHmac("sha256", secret).update(value).digest("base64url");
+
+/**
+ * Hash API key kiosk (yang disimpan hanya hash-nya)
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+/**
+ * Buat API key & secret baru untuk kiosk
+ * @returns {Object} { apiKey, apiKeyHash, secret }
+ */
+function generateKioskCredentials() {
+  const apiKey = crypto.randomBytes(24).toString("hex");
+  return {
+    apiKey,
+    apiKeyHash: hashApiKey(apiKey),
+    secret: crypto.randomBytes(32).toString("hex"),
+  };
+}
+
+/**
+ * Nomor window token untuk waktu tertentu
+ */
+function getTokenWindow(now = new Date()) {
+  return Math.floor(now.getTime() / 1000 / KIOSK_TOKEN_TTL_DETIK);
+}
+
+/**
+ * Token QR kiosk untuk window saat ini
+ * (token sama selama satu window, jadi QR berganti tiap ~30 detik)
+ */
+function issueKioskToken(kiosk, now = new Date()) {
+  const window = getTokenWindow(now);
+  const nonce = hmac(kiosk.secret, `nonce:${window}`).slice(0, 32);
+  const payload = `${kiosk.kiosk_id}.${window}.${nonce}`;
+  const expiresAt = new Date((window + 1) * KIOSK_TOKEN_TTL_DETIK * 1000);
+
+  return {
+    token: `${payload}.${hmac(kiosk.secret, payload)}`,
+    expires_at: expiresAt.toISOString(),
+    rotate_in_seconds: Math.max(
+      1,
+      Math.ceil((expiresAt.getTime() - now.getTime()) / 1000)
+    ),
+  };
+}
+
+/**
+ * Verifikasi token QR hasil scan
+ * @returns {Object} { valid, error, kiosk, nonce }
+ */
+async function verifyKioskToken(prisma, token, now = new Date()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 4) {
+    return { valid: false, error: "Format QR tidak valid." };
+  }
+
+  const [kioskIdRaw, windowRaw, nonce, signature] = parts;
+  const kioskId = parseInt(kioskIdRaw);
+  const window = parseInt(windowRaw);
+
+  if (isNaN(kioskId) || isNaN(window)) {
+    return { valid: false, error: "Format QR tidak valid." };
+  }
+
+  const kiosk = await prisma.kiosk.findUnique({
+    where: { kiosk_id: kioskId },
+    include: { office_location: true },
+  });
+
+  if (!kiosk || !kiosk.is_active) {
+    return { valid: false, error: "Kiosk tidak terdaftar atau nonaktif." };
+  }
+
+  const expected = Buffer.from(
+    hmac(kiosk.secret, `${kioskId}.${window}.${nonce}`)
+  );
+  const received = Buffer.from(signature);
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, error: "Tanda tangan QR tidak valid." };
+  }
+
+  const currentWindow = getTokenWindow(now);
+  if (
+    window > currentWindow ||
+    currentWindow - window > KIOSK_TOKEN_GRACE_WINDOW
+  ) {
+    return {
+      valid: false,
+      error: "QR sudah kedaluwarsa. Silakan scan QR terbaru di kiosk.",
+    };
+  }
+
+  return { valid: true, kiosk, nonce };
+}
+
+/**
+ * Cari kiosk dari API key (header X-Kiosk-Key)
+ */
+async function findKioskByApiKey(prisma, apiKey) {
+  if (!apiKey) return null;
+
+  const kiosk = await prisma.kiosk.findUnique({
+    where: { api_key_hash: hashApiKey(apiKey) },
+  });
+
+  return kiosk && kiosk.is_active ? kiosk : null;
+}
+
+module.exports = {
+  KIOSK_TOKEN_TTL_DETIK,
+  hashApiKey,
+  generateKioskCredentials,
+  issueKioskToken,
+  verifyKioskToken,
+  findKioskByApiKey,
+};
@@ -0,0 +1,179 @@
+/**
+ * ⭐ LATE PENALTY SERVICE - Potongan terlambat bertingkat
+ *
+ * Tingkatan diatur lewat pengaturan late_penalty_tiers, toleransi
+ * bulanan lewat late_tolerance_per_month (lihat settingsService).
+ */
+
+const { getSetting } = require("./settingsService");
+const { parseWorkDays } = require("./scheduleService");
+const {
+  POTONGAN_TERLAMBAT,
+  syncAttendanceDeductions,
+} = require("./payrollDeductionService");
+
+// Pembagi upah harian sesuai jumlah hari kerja per minggu
+const PEMBAGI_UPAH_HARIAN = { 5: 21, 6: 25 };
+
+/**
+ * Upah harian dari gaji pokok bulanan
+ */
+function getDailyWage(gajiPokok, workDaysPerWeek = 5) {
+  const divisor = PEMBAGI_UPAH_HARIAN[workDaysPerWeek >= 6 ? 6 : 5];
+  return (parseFloat(gajiPokok) || 0) / divisor;
+}
+
+/**
+ * Cari tingkatan yang sesuai dengan menit keterlambatan
+ */
+function findTier(tiers, minutes) {
+  return (
+    tiers.find(
+      (tier) =>
+        minutes >= tier.min_menit &&
+        (tier.max_menit === null ||
+          tier.max_menit === undefined ||
+          minutes <= tier.max_menit)
+    ) || null
+  );
+}
+
+/**
+ * Hitung potongan untuk satu kejadian terlambat
+ * @returns {Object} { tier, tipe, amount, tolerated }
+ */
+function calculateLatePenalty({
+  tiers,
+  minutes,
+  gajiPokok,
+  workDaysPerWeek,
+  tolerated = false,
+}) {
+  // Data lama tanpa menit keterlambatan → tarif flat
+  if (minutes === null || minutes === undefined) {
+    return {
+      tier: "Terlambat",
+      tipe: "nominal",
+      amount: tolerated ? 0 : POTONGAN_TERLAMBAT,
+      tolerated,
+    };
+  }
+
+  if (minutes <= 0) {
+    return { tier: null, tipe: null, amount: 0, tolerated };
+  }
+
+  const tier = findTier(tiers, minutes);
+  if (!tier) {
+    return { tier: null, tipe: null, amount: 0, tolerated };
+  }
+
+  let amount = 0;
+  if (tier.tipe === "nominal") {
+    amount = parseFloat(tier.potongan) || 0;
+  } else if (tier.tipe === "setengah_hari") {
+    amount = Math.round(getDailyWage(gajiPokok, workDaysPerWeek) / 2);
+  }
+
+  return {
+    tier: tier.label,
+    tipe: tier.tipe,
+    amount: tolerated ? 0 : amount,
+    tolerated,
+  };
+}
+
+/**
+ * Ambil kebijakan potongan terlambat dari pengaturan
+ */
+async function getLatePolicy(prisma) {
+  const [tiers, tolerance] = await Promise.all([
+    getSetting(prisma, "late_penalty_tiers"),
+    getSetting(prisma, "late_tolerance_per_month"),
+  ]);
+
+  return { tiers, tolerance: parseInt(tolerance) || 0 };
+}
+
+/**
+ * Evaluasi potongan untuk check-in terlambat, termasuk toleransi bulanan.
+ * Toleransi hanya dihitung dari keterlambatan SEBELUM tanggal ini, agar
+ * evaluasi ulang hari yang lebih awal tidak terpengaruh hari sesudahnya.
+ */
+async function evaluateLatePenalty(
+  prisma,
+  { employeeId, tanggal, minutes, workDaysPerWeek, excludeAttendanceId }
+) {
+  const { tiers, tolerance } = await getLatePolicy(prisma);
+
+  const employee = await prisma.employee.findUnique({
+    where: { employee_id: parseInt(employeeId) },
+    select: { gaji_pokok: true },
+  });
+
+  let tolerated = false;
+
+  if (tolerance > 0) {
+    const date = new Date(tanggal);
+    const monthStart = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+    );
+
+    const previousLate = await prisma.attendance.count({
+      where: {
+        employee_id: parseInt(employeeId),
+        status: "terlambat",
+        tanggal: { gte: monthStart, lt: date },
+        ...(excludeAttendanceId
+          ? { attendance_id: { not: excludeAttendanceId } }
+          : {}),
+      },
+    });
+
+    tolerated = previousLate < tolerance;
+  }
+
+  return calculateLatePenalty({
+    tiers,
+    minutes,
+    gajiPokok: employee?.gaji_pokok,
+    workDaysPerWeek,
+    tolerated,
+  });
+}
+
+/**
+ * Simpan tingkatan & potongan terlambat pada record attendance,
+ * lalu sesuaikan ledger potongan payroll bulan tersebut
+ * @param {Object} options - { reason } dicatat di keterangan ledger
+ */
+async function recordLatePenalty(prisma, attendance, schedule, options = {}) {
+  const penalty = await evaluateLatePenalty(prisma, {
+    employeeId: attendance.employee_id,
+    tanggal: attendance.tanggal,
+    minutes: attendance.terlambat_menit,
+    workDaysPerWeek: parseWorkDays(schedule.hari_kerja).length,
+    excludeAttendanceId: attendance.attendance_id,
+  });
+
+  await prisma.attendance.update({
+    where: { attendance_id: attendance.attendance_id },
+    data: {
+      tier_terlambat: penalty.tier,
+      potongan_terlambat: penalty.amount,
+    },
+  });
+
+  await syncAttendanceDeductions(prisma, attendance.attendance_id, options);
+
+  return penalty;
+}
+
+module.exports = {
+  getDailyWage,
+  findTier,
+  calculateLatePenalty,
+  getLatePolicy,
+  evaluateLatePenalty,
+  recordLatePenalty,
+};
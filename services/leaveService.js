@@ -2,34 +2,34 @@
  * ⭐ LEAVE SERVICE - Logika Kuota Cuti BULANAN
  */
 
+const {
+  DEFAULT_TIMEZONE,
+  getCompanyTimezone,
+  toDateKey,
+  countDaysInclusive,
+  getMonthRange,
+} = require("./timezoneService");
+
 /**
  * Hitung jumlah hari antara dua tanggal (termasuk hari pertama dan terakhir)
+ * Dihitung per tanggal kalender, tidak terpengaruh jam / zona waktu server
  */
 function calculateLeaveDays(startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-
-  const diffTime = Math.abs(end - start);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
-
-  return diffDays;
+  return Math.abs(countDaysInclusive(startDate, endDate) - 1) + 1;
 }
 
 /**
- * Get current month in YYYY-MM format
+ * Get current month in YYYY-MM format (zona waktu perusahaan)
  */
-function getCurrentMonth() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  return `${year}-${month}`;
+function getCurrentMonth(timezone = DEFAULT_TIMEZONE) {
+  return toDateKey(new Date(), timezone).slice(0, 7);
 }
 
 /**
  * Cek apakah perlu reset kuota (ganti bulan)
  */
 async function checkAndResetMonthlyQuota(prisma, employeeId) {
-  const currentMonth = getCurrentMonth();
+  const currentMonth = getCurrentMonth(await getCompanyTimezone(prisma));
 
   const employee = await prisma.employee.findUnique({
     where: { employee_id: parseInt(employeeId) },
@@ -89,7 +89,7 @@ async function checkLeaveQuota(prisma, employeeId, requestedDays) {
     remaining: quotaInfo.remaining,
     requested: requestedDays,
     sufficient: quotaInfo.remaining >= requestedDays,
-    month: getCurrentMonth(),
+    month: getCurrentMonth(await getCompanyTimezone(prisma)),
   };
 }
 
@@ -97,11 +97,13 @@ async function checkLeaveQuota(prisma, employeeId, requestedDays) {
  * Hitung total hari cuti approved untuk bulan ini
  */
 async function getApprovedLeaveDaysThisMonth(prisma, employeeId) {
-  const currentMonth = getCurrentMonth();
+  const currentMonth = getCurrentMonth(await getCompanyTimezone(prisma));
   const [year, month] = currentMonth.split("-");
 
-  const startOfMonth = new Date(parseInt(year), parseInt(month) - 1, 1);
-  const endOfMonth = new Date(parseInt(year), parseInt(month), 0);
+  const { start: startOfMonth, end: endOfMonth } = getMonthRange(
+    parseInt(year),
+    parseInt(month)
+  );
 
   const approvedLeaves = await prisma.leaveRequest.findMany({
     where: {
@@ -175,7 +177,7 @@ async function restoreLeaveQuota(prisma, employeeId, days) {
   }
 
   // Hanya restore jika masih di bulan yang sama
-  const currentMonth = getCurrentMonth();
+  const currentMonth = getCurrentMonth(await getCompanyTimezone(prisma));
   if (employee.current_month === currentMonth) {
     const newUsedDays = Math.max(0, employee.used_leave_days_this_month - days);
 
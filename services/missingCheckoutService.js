@@ -0,0 +1,304 @@
+/**
+ * ========================================
+ * MISSING CHECKOUT SERVICE
+ * ========================================
+ * Service untuk mendeteksi absensi yang sudah check-in
+ * tetapi belum check-out setelah shift selesai.
+ *
+ * Kebijakan (pengaturan missing_checkout_policy):
+ * - auto_close : jam_pulang diisi jam selesai shift, flag "auto_closed".
+ *                Langkah check-out sama dengan check-out biasa (lembur,
+ *                jam kerja, setengah hari, ledger potongan)
+ * - incomplete : ditandai "incomplete" untuk direview HR. Check-out
+ *                sungguhan setelahnya menghapus flag ini
+ */
+
+const cron = require("node-cron");
+const {
+  getScheduleForAttendance,
+  toShiftMinutes,
+} = require("./scheduleService");
+const { getSetting } = require("./settingsService");
+const { getWorkPolicy } = require("./workHoursService");
+const { completeCheckOut } = require("./checkInService");
+const {
+  DEFAULT_TIMEZONE,
+  getCompanyTimezone,
+  toDateOnlyKey,
+  zonedTimeToDate,
+} = require("./timezoneService");
+
+class MissingCheckoutService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    console.log("🤖 MissingCheckoutService initialized");
+  }
+
+  /**
+   * Waktu shift dianggap selesai untuk sebuah record (jam_selesai + grace,
+   * shift malam selesai keesokan harinya)
+   * @param {Object} attendance - Record attendance
+   * @param {Object} schedule - Jadwal kerja
+   * @param {number} graceMinutes - Toleransi setelah shift selesai
+   * @param {string} timezone - Zona waktu perusahaan
+   * @returns {Date}
+   */
+  getShiftCloseTime(attendance, schedule, graceMinutes, timezone) {
+    return zonedTimeToDate(
+      toDateOnlyKey(attendance.tanggal),
+      toShiftMinutes(schedule, schedule.jam_selesai) + graceMinutes,
+      timezone
+    );
+  }
+
+  /**
+   * Cari & tangani absensi yang belum check-out
+   * @param {Date} now - Waktu acuan (default: sekarang)
+   * @returns {Object} Result dengan detail record yang ditangani & gagal
+   */
+  async checkMissingCheckouts(now = new Date()) {
+    console.log("\n" + "=".repeat(60));
+    console.log("🔍 MISSING CHECKOUT CHECK");
+    console.log("=".repeat(60));
+
+    try {
+      const policy = await getSetting(this.prisma, "missing_checkout_policy");
+      const graceMinutes = await getSetting(
+        this.prisma,
+        "missing_checkout_grace_menit"
+      );
+      const timezone = await getCompanyTimezone(this.prisma);
+      const workPolicy = await getWorkPolicy(this.prisma);
+
+      const openRecords = await this.prisma.attendance.findMany({
+        where: {
+          jam_masuk: { not: null },
+          jam_pulang: null,
+          checkout_flag: null,
+          tanggal: { lte: now },
+        },
+        include: {
+          employee: {
+            select: { nama_lengkap: true },
+          },
+        },
+      });
+
+      console.log(`📋 Open attendance records: ${openRecords.length}`);
+      console.log(`⚙️ Policy: ${policy} (grace ${graceMinutes} menit)`);
+
+      const handled = [];
+      const errors = [];
+
+      for (const record of openRecords) {
+        // Satu record gagal tidak menghentikan record lainnya
+        try {
+          const schedule = await getScheduleForAttendance(this.prisma, record);
+          const closeTime = this.getShiftCloseTime(
+            record,
+            schedule,
+            graceMinutes,
+            timezone
+          );
+
+          // Shift belum selesai → lewati
+          if (now < closeTime) continue;
+
+          const data = { checkout_flag: "incomplete" };
+
+          if (policy === "auto_close") {
+            data.checkout_flag = "auto_closed";
+
+            // Istirahat yang masih terbuka ditutup di jam selesai shift
+            await completeCheckOut(this.prisma, {
+              attendance: record,
+              schedule,
+              jamPulang: schedule.jam_selesai,
+              closedAt: this.getShiftCloseTime(record, schedule, 0, timezone),
+              workPolicy,
+              data,
+              notes: [
+                `Check-out otomatis pada jam selesai shift ${schedule.jam_selesai} (Auto-generated by system)`,
+              ],
+              reason: "check-out otomatis",
+            });
+          } else {
+            await this.prisma.attendance.update({
+              where: { attendance_id: record.attendance_id },
+              data,
+            });
+          }
+
+          handled.push({
+            attendance_id: record.attendance_id,
+            employee_id: record.employee_id,
+            nama_lengkap: record.employee?.nama_lengkap,
+            tanggal: record.tanggal.toISOString().split("T")[0],
+            jam_masuk: record.jam_masuk,
+            checkout_flag: data.checkout_flag,
+          });
+
+          console.log(
+            `  ⚠️ ${data.checkout_flag}: ${record.employee?.nama_lengkap} (${
+              record.tanggal.toISOString().split("T")[0]
+            })`
+          );
+        } catch (error) {
+          console.error(
+            `  ❌ Gagal menangani attendance ${record.attendance_id}:`,
+            error
+          );
+          errors.push({
+            attendance_id: record.attendance_id,
+            employee_id: record.employee_id,
+            error: error.message,
+          });
+        }
+      }
+
+      console.log("\n" + "=".repeat(60));
+      console.log("✅ MISSING CHECKOUT CHECK COMPLETED");
+      console.log(`   Total handled: ${handled.length}`);
+      console.log(`   Total errors: ${errors.length}`);
+      console.log("=".repeat(60) + "\n");
+
+      return {
+        success: true,
+        policy,
+        checked_at: now.toISOString(),
+        total_open: openRecords.length,
+        total_handled: handled.length,
+        total_errors: errors.length,
+        records: handled,
+        errors,
+      };
+    } catch (error) {
+      console.error("❌ Error in missing checkout check:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Laporan hari tanpa check-out per karyawan
+   * @param {Date|string} startDate - Tanggal mulai
+   * @param {Date|string} endDate - Tanggal akhir
+   * @returns {Object} Laporan per karyawan
+   */
+  async getIncompleteReport(startDate, endDate) {
+    const start =
+      typeof startDate === "string" ? new Date(startDate) : startDate;
+    const end = typeof endDate === "string" ? new Date(endDate) : endDate;
+
+    const records = await this.prisma.attendance.findMany({
+      where: {
+        checkout_flag: { in: ["incomplete", "auto_closed"] },
+        tanggal: {
+          gte: start,
+          lte: end,
+        },
+      },
+      include: {
+        employee: {
+          select: {
+            employee_id: true,
+            nama_lengkap: true,
+            jabatan: true,
+          },
+        },
+      },
+      orderBy: { tanggal: "asc" },
+    });
+
+    const byEmployee = {};
+
+    records.forEach((record) => {
+      const empId = record.employee_id;
+
+      if (!byEmployee[empId]) {
+        byEmployee[empId] = {
+          employee_id: empId,
+          nama_lengkap: record.employee.nama_lengkap,
+          jabatan: record.employee.jabatan,
+          incomplete_count: 0,
+          auto_closed_count: 0,
+          days: [],
+        };
+      }
+
+      if (record.checkout_flag === "incomplete") {
+        byEmployee[empId].incomplete_count++;
+      } else {
+        byEmployee[empId].auto_closed_count++;
+      }
+
+      byEmployee[empId].days.push({
+        attendance_id: record.attendance_id,
+        tanggal: record.tanggal.toISOString().split("T")[0],
+        jam_masuk: record.jam_masuk,
+        jam_pulang: record.jam_pulang,
+        checkout_flag: record.checkout_flag,
+      });
+    });
+
+    return {
+      period: {
+        start: start.toISOString().split("T")[0],
+        end: end.toISOString().split("T")[0],
+      },
+      total_records: records.length,
+      by_employee: Object.values(byEmployee).sort(
+        (a, b) =>
+          b.incomplete_count +
+          b.auto_closed_count -
+          (a.incomplete_count + a.auto_closed_count)
+      ),
+    };
+  }
+
+  /**
+   * Setup cron job untuk cek absensi tanpa check-out
+   * Berjalan setiap jam pada menit ke-15
+   */
+  async setupCronJob() {
+    let timezone = DEFAULT_TIMEZONE;
+    try {
+      timezone = await getCompanyTimezone(this.prisma);
+    } catch (error) {
+      console.error("⚠️ Gagal membaca company_timezone:", error.message);
+    }
+
+    console.log("⏰ Setting up Missing Checkout Cron Job...");
+    console.log("   Schedule: Every hour at minute 15");
+
+    cron.schedule(
+      "15 * * * *",
+      async () => {
+        console.log(
+          "\n🤖 [CRON] Missing checkout check triggered at:",
+          new Date().toISOString()
+        );
+
+        try {
+          await this.checkMissingCheckouts();
+        } catch (error) {
+          console.error(
+            "❌ [CRON] Error during missing checkout check:",
+            error
+          );
+        }
+      },
+      {
+        scheduled: true,
+        timezone,
+      }
+    );
+
+    console.log("✅ Missing checkout cron job setup completed");
+  }
+}
+
+// Export class
+module.exports = MissingCheckoutService;
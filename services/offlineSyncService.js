@@ -0,0 +1,365 @@
+/**
+ * ⭐ OFFLINE SYNC SERVICE - Sinkronisasi check-in/check-out offline
+ *
+ * Aplikasi lapangan mengantrikan event saat tidak ada sinyal lalu
+ * mengirimnya sekaligus. Setiap event ditandatangani perangkat
+ * (HMAC-SHA256 dengan secret perangkat yang didaftarkan) dengan payload:
+ *   device_id.event_id.action.client_time.lokasi
+ *
+ * Selisih jam perangkat dihitung dari sent_at (jam perangkat saat
+ * mengirim) dan harus dalam offline_sync_max_drift_detik. Waktu event
+ * dikoreksi dengan selisih tersebut lalu diproses lewat performCheckIn /
+ * performCheckOut seperti absensi biasa. Event yang sudah pernah
+ * disinkron (device + event_id sama) mengembalikan hasil yang tersimpan.
+ */
+
+const crypto = require("crypto");
+const { getSetting } = require("./settingsService");
+const { performCheckIn, performCheckOut } = require("./checkInService");
+const { findShiftAttendance } = require("./scheduleService");
+const { getCompanyClock } = require("./timezoneService");
+
+const MAX_EVENTS_PER_SYNC = 100;
+const SYNC_ACTIONS = ["checkin", "checkout"];
+
+// Helper: hasil gagal dengan status code
+const fail = (statusCode, body) => ({ statusCode, body });
+
+const hmac = (secret, value) =>
+  crypto.createHmac("sha256", secret).update(value).digest("base64url");
+
+/**
+ * Secret baru untuk perangkat sync
+ */
+function generateDeviceSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Tanda tangan event (dipakai juga oleh aplikasi untuk menandatangani)
+ */
+function signSyncEvent(secret, deviceId, event) {
+  const payload = [
+    deviceId,
+    event.event_id,
+    event.action,
+    event.client_time,
+    event.lokasi || "",
+  ].join(".");
+  return hmac(secret, payload);
+}
+
+/**
+ * Verifikasi tanda tangan event dari perangkat
+ */
+function verifySyncEvent(device, event) {
+  const expected = Buffer.from(
+    signSyncEvent(device.secret, device.device_id, event)
+  );
+  const received = Buffer.from(String(event.signature || ""));
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Hasil per event dari record offline_sync_events
+ */
+function storedResult(row, duplicate) {
+  return {
+    event_id: row.client_event_id,
+    action: row.action,
+    result: row.result,
+    status_code: row.status_code,
+    message: row.message,
+    attendance_id: row.attendance_id,
+    duplicate,
+  };
+}
+
+/**
+ * Validasi format & waktu satu event (sebelum disimpan)
+ * @returns {Object} { error, eventTime }
+ */
+function validateEvent(device, event, { offsetMs, now, maxUmurJam }) {
+  if (!event || typeof event !== "object") {
+    return { error: "Format event tidak valid." };
+  }
+
+  const eventId = String(event.event_id || "");
+  if (!eventId || eventId.length > 64) {
+    return { error: "event_id wajib diisi (maksimal 64 karakter)." };
+  }
+
+  if (!SYNC_ACTIONS.includes(event.action)) {
+    return { error: "action harus checkin atau checkout." };
+  }
+
+  const clientTime = new Date(event.client_time);
+  if (!event.client_time || isNaN(clientTime.getTime())) {
+    return { error: "client_time harus berupa waktu ISO 8601." };
+  }
+
+  if (!verifySyncEvent(device, event)) {
+    return { error: "Tanda tangan event tidak valid." };
+  }
+
+  // Waktu event menurut jam server
+  const eventTime = new Date(clientTime.getTime() + offsetMs);
+
+  if (eventTime > now) {
+    return { error: "Waktu event berada di masa depan." };
+  }
+
+  if (now - eventTime > maxUmurJam * 3600 * 1000) {
+    return {
+      error: `Event lebih lama dari ${maxUmurJam} jam, tidak bisa disinkron. Ajukan koreksi absensi.`,
+    };
+  }
+
+  return { error: null, clientTime, eventTime };
+}
+
+/**
+ * Terapkan satu event lewat aturan check-in / check-out biasa
+ * @returns {Object} { statusCode, body }
+ */
+async function applyEvent(prisma, { device, event, eventTime, role }) {
+  const lokasi = event.lokasi || null;
+  const akurasi = event.akurasi ?? null;
+
+  if (event.action === "checkin") {
+    return performCheckIn(prisma, {
+      employeeId: device.employee_id,
+      role,
+      now: eventTime,
+      tipeKerja: event.tipe_kerja,
+      lokasi,
+      akurasi,
+      extraData: {
+        device_id: device.device_id,
+        recorded_by_role: "Offline",
+      },
+    });
+  }
+
+  // Check-out → absensi shift pada waktu event (zona waktu perusahaan,
+  // termasuk shift malam yang dimulai kemarin)
+  const clock = await getCompanyClock(prisma, eventTime);
+  const attendance = await findShiftAttendance(
+    prisma,
+    device.employee_id,
+    clock
+  );
+
+  if (!attendance) {
+    return fail(400, { error: `Belum check-in pada ${clock.dateKey}.` });
+  }
+
+  if (attendance.waktu_masuk && eventTime < attendance.waktu_masuk) {
+    return fail(400, {
+      error: `Jam check-out ${clock.time} lebih awal dari jam masuk ${attendance.jam_masuk}.`,
+    });
+  }
+
+  return performCheckOut(prisma, {
+    attendance,
+    role,
+    now: eventTime,
+    lokasi,
+    akurasi,
+  });
+}
+
+/**
+ * Proses satu event secara idempoten
+ */
+async function processEvent(prisma, { device, event, role, context }) {
+  const validation = validateEvent(device, event, context);
+
+  if (validation.error) {
+    return {
+      event_id: event?.event_id ?? null,
+      action: event?.action ?? null,
+      result: "rejected",
+      status_code: 400,
+      message: validation.error,
+      attendance_id: null,
+      duplicate: false,
+    };
+  }
+
+  // Tandai event sedang diproses (unik per perangkat + event_id)
+  let row;
+  try {
+    row = await prisma.offlineSyncEvent.create({
+      data: {
+        sync_device_id: device.sync_device_id,
+        client_event_id: String(event.event_id),
+        employee_id: device.employee_id,
+        action: event.action,
+        client_time: validation.clientTime,
+        lokasi: event.lokasi || null,
+        akurasi: event.akurasi ? parseInt(event.akurasi) : null,
+      },
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      const existing = await prisma.offlineSyncEvent.findUnique({
+        where: {
+          sync_device_id_client_event_id: {
+            sync_device_id: device.sync_device_id,
+            client_event_id: String(event.event_id),
+          },
+        },
+      });
+      return storedResult(existing, true);
+    }
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await applyEvent(prisma, {
+      device,
+      event,
+      eventTime: validation.eventTime,
+      role,
+    });
+  } catch (error) {
+    // Error server → event boleh dikirim ulang
+    await prisma.offlineSyncEvent.delete({
+      where: { sync_event_id: row.sync_event_id },
+    });
+    throw error;
+  }
+
+  const applied = result.statusCode < 400;
+  const attendanceId = applied
+    ? (result.body.data || result.body).attendance_id
+    : null;
+
+  const updated = await prisma.offlineSyncEvent.update({
+    where: { sync_event_id: row.sync_event_id },
+    data: {
+      result: applied ? "applied" : "rejected",
+      status_code: result.statusCode,
+      message: applied
+        ? result.body.message ||
+          `✓ Absen Pulang berhasil pada ${result.body.jam_pulang}`
+        : result.body.error,
+      attendance_id: attendanceId,
+    },
+  });
+
+  return storedResult(updated, false);
+}
+
+/**
+ * Sinkron batch event offline dari satu perangkat
+ * @param {Object} options
+ * @param {Object} options.device - Record sync_devices (aktif, milik karyawan)
+ * @param {string} options.sentAt - Jam perangkat saat mengirim (ISO 8601)
+ * @param {Object[]} options.events - [{ event_id, action, client_time, lokasi, akurasi, tipe_kerja, signature }]
+ * @returns {Object} { statusCode, body }
+ */
+async function syncOfflineEvents(
+  prisma,
+  { device, role, sentAt, events, now = new Date() }
+) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return fail(400, { error: "events wajib berupa array yang tidak kosong." });
+  }
+
+  if (events.length > MAX_EVENTS_PER_SYNC) {
+    return fail(400, {
+      error: `Maksimal ${MAX_EVENTS_PER_SYNC} event per sinkronisasi.`,
+    });
+  }
+
+  const sentAtDate = new Date(sentAt);
+  if (!sentAt || isNaN(sentAtDate.getTime())) {
+    return fail(400, { error: "sent_at harus berupa waktu ISO 8601." });
+  }
+
+  const [maxDriftDetik, maxUmurJam] = await Promise.all([
+    getSetting(prisma, "offline_sync_max_drift_detik"),
+    getSetting(prisma, "offline_sync_max_umur_jam"),
+  ]);
+
+  // Selisih jam server - jam perangkat
+  const offsetMs = now.getTime() - sentAtDate.getTime();
+  const driftDetik = Math.round(offsetMs / 1000);
+
+  if (Math.abs(driftDetik) > maxDriftDetik) {
+    return fail(400, {
+      error: `Jam perangkat berselisih ${Math.abs(
+        driftDetik
+      )} detik dari server (maksimal ${maxDriftDetik} detik). Sesuaikan jam perangkat lalu sinkron ulang.`,
+      drift_detik: driftDetik,
+      server_time: now.toISOString(),
+    });
+  }
+
+  const context = { offsetMs, now, maxUmurJam };
+
+  // Diproses sesuai urutan waktu agar check-in mendahului check-out
+  const ordered = events
+    .map((event, index) => ({ event, index }))
+    .sort(
+      (a, b) =>
+        new Date(a.event?.client_time) - new Date(b.event?.client_time) ||
+        a.index - b.index
+    );
+
+  const results = [];
+  for (const { event, index } of ordered) {
+    const result = await processEvent(prisma, {
+      device,
+      event,
+      role,
+      context,
+    });
+    results.push({ index, ...result });
+  }
+
+  results.sort((a, b) => a.index - b.index);
+
+  await prisma.syncDevice.update({
+    where: { sync_device_id: device.sync_device_id },
+    data: { last_sync_at: now },
+  });
+
+  const summary = {
+    total: results.length,
+    applied: results.filter((r) => r.result === "applied" && !r.duplicate)
+      .length,
+    rejected: results.filter((r) => r.result === "rejected" && !r.duplicate)
+      .length,
+    duplicate: results.filter((r) => r.duplicate).length,
+  };
+
+  console.log(
+    `📶 Offline sync device ${device.device_id} (employee ${device.employee_id}): ${summary.applied} applied, ${summary.rejected} rejected, ${summary.duplicate} duplicate`
+  );
+
+  return {
+    statusCode: 200,
+    body: {
+      message: `Sinkronisasi selesai: ${summary.applied} berhasil, ${summary.rejected} ditolak, ${summary.duplicate} sudah pernah disinkron.`,
+      drift_detik: driftDetik,
+      server_time: now.toISOString(),
+      summary,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  MAX_EVENTS_PER_SYNC,
+  generateDeviceSecret,
+  signSyncEvent,
+  syncOfflineEvents,
+};
@@ -0,0 +1,171 @@
+/**
+ * ⭐ OVERTIME SERVICE - Perhitungan Lembur (Kepmenakertrans No. 102/2004)
+ *
+ * Upah sejam = 1/173 x upah sebulan
+ * Hari kerja     : jam pertama 1,5x, jam berikutnya 2x
+ * Hari libur     : (5 hari kerja) 8 jam pertama 2x, jam ke-9 3x, jam ke-10 s/d 11 4x
+ *                  (6 hari kerja) 7 jam pertama 2x, jam ke-8 3x, jam ke-9 s/d 10 4x
+ *
+ * Hari libur = hari istirahat mingguan (di luar hari_kerja jadwal) atau
+ * hari libur resmi di tabel public_holidays. Cuti bersama tidak termasuk
+ * (hari kerja yang diliburkan, bukan hari libur resmi).
+ */
+
+const { toShiftMinutes, parseWorkDays } = require("./scheduleService");
+const { toDateOnlyKey, dateKeyToDate } = require("./timezoneService");
+const { getHoliday } = require("./holidayService");
+
+const PEMBAGI_UPAH_SEJAM = 173;
+
+const WORKDAY_TIERS = [
+  { hours: 1, multiplier: 1.5 },
+  { hours: Infinity, multiplier: 2 },
+];
+
+const REST_DAY_TIERS = {
+  5: [
+    { hours: 8, multiplier: 2 },
+    { hours: 1, multiplier: 3 },
+    { hours: 2, multiplier: 4 },
+  ],
+  6: [
+    { hours: 7, multiplier: 2 },
+    { hours: 1, multiplier: 3 },
+    { hours: 2, multiplier: 4 },
+  ],
+};
+
+/**
+ * Cek apakah tanggal adalah hari libur (bukan hari kerja) menurut jadwal
+ */
+function isRestDay(schedule, date) {
+  const day = dateKeyToDate(toDateOnlyKey(date)).getUTCDay();
+  return !parseWorkDays(schedule.hari_kerja).includes(day);
+}
+
+/**
+ * Cek apakah data libur (public_holidays) adalah hari libur resmi
+ */
+function isOfficialHoliday(holiday) {
+  return !!holiday && !holiday.is_cuti_bersama;
+}
+
+/**
+ * Hitung menit lembur dari jam masuk/pulang terhadap jadwal
+ * Hari kerja: waktu setelah jam_selesai. Hari libur: seluruh durasi kerja.
+ * Shift malam dihitung dari tanggal mulai shift (lihat toShiftMinutes).
+ * @param {Object} options - { holiday: true } jika tanggal hari libur resmi
+ */
+function calculateOvertimeMinutes(
+  schedule,
+  tanggal,
+  jamMasuk,
+  jamPulang,
+  { holiday = false } = {}
+) {
+  const masuk = toShiftMinutes(schedule, jamMasuk);
+  let pulang = toShiftMinutes(schedule, jamPulang);
+  const restDay = holiday || isRestDay(schedule, tanggal);
+
+  if (masuk === null || pulang === null) {
+    return { minutes: 0, rest_day: restDay };
+  }
+
+  // Pulang lewat tengah malam
+  if (pulang < masuk) pulang += 1440;
+
+  if (restDay) {
+    return { minutes: pulang - masuk, rest_day: true };
+  }
+
+  const shiftEnd = toShiftMinutes(schedule, schedule.jam_selesai);
+  return {
+    minutes: Math.max(0, pulang - Math.max(shiftEnd, masuk)),
+    rest_day: false,
+  };
+}
+
+/**
+ * calculateOvertimeMinutes dengan cek hari libur resmi dari database
+ */
+async function getOvertimeMinutes(
+  prisma,
+  schedule,
+  tanggal,
+  jamMasuk,
+  jamPulang
+) {
+  const holiday = await getHoliday(prisma, tanggal);
+  return calculateOvertimeMinutes(schedule, tanggal, jamMasuk, jamPulang, {
+    holiday: isOfficialHoliday(holiday),
+  });
+}
+
+/**
+ * Jam lembur setelah dikalikan pengali sesuai tingkatannya
+ */
+function calculateWeightedHours(minutes, restDay, workDaysPerWeek = 5) {
+  const tiers = restDay
+    ? REST_DAY_TIERS[workDaysPerWeek >= 6 ? 6 : 5]
+    : WORKDAY_TIERS;
+
+  let remaining = minutes / 60;
+  let weighted = 0;
+
+  for (const tier of tiers) {
+    if (remaining <= 0) break;
+    const hours = Math.min(remaining, tier.hours);
+    weighted += hours * tier.multiplier;
+    remaining -= hours;
+  }
+
+  return weighted;
+}
+
+/**
+ * Hitung upah lembur untuk satu record
+ */
+function calculateOvertimePay(gajiPokok, minutes, restDay, workDaysPerWeek) {
+  const upahSejam = (parseFloat(gajiPokok) || 0) / PEMBAGI_UPAH_SEJAM;
+  const weightedHours = calculateWeightedHours(
+    minutes,
+    restDay,
+    workDaysPerWeek
+  );
+
+  return {
+    jam: Math.round((minutes / 60) * 100) / 100,
+    jam_tertimbang: Math.round(weightedHours * 100) / 100,
+    upah_sejam: Math.round(upahSejam),
+    amount: Math.round(upahSejam * weightedHours),
+  };
+}
+
+/**
+ * Menit lembur yang boleh dibayar: hanya jika ada pengajuan approved
+ * untuk tanggal tersebut, maksimal sebesar jam yang disetujui.
+ */
+function getApprovedOvertimeMinutes(attendance, approvedRequests) {
+  const dateKey = new Date(attendance.tanggal).toISOString().slice(0, 10);
+
+  const approvedMinutes = approvedRequests
+    .filter(
+      (r) =>
+        r.employee_id === attendance.employee_id &&
+        new Date(r.tanggal).toISOString().slice(0, 10) === dateKey
+    )
+    .reduce((sum, r) => sum + Math.round(parseFloat(r.jam_rencana) * 60), 0);
+
+  return Math.min(attendance.lembur_menit || 0, approvedMinutes);
+}
+
+module.exports = {
+  PEMBAGI_UPAH_SEJAM,
+  isRestDay,
+  isOfficialHoliday,
+  calculateOvertimeMinutes,
+  getOvertimeMinutes,
+  calculateWeightedHours,
+  calculateOvertimePay,
+  getApprovedOvertimeMinutes,
+};
@@ -0,0 +1,267 @@
+/**
+ * ⭐ PAYROLL DEDUCTION SERVICE - Potongan otomatis ke payroll bulanan
+ *
+ * Setiap potongan terlambat / pulang cepat / setengah hari / alpa dicatat
+ * sebagai entri ledger (payroll_deductions) yang terhubung ke attendance_id.
+ * Edit, hapus atau konversi attendance cukup memanggil
+ * syncAttendanceDeductions agar potongan di payroll ikut dibatalkan /
+ * disesuaikan.
+ */
+
+const POTONGAN_TERLAMBAT = 25000; // Rp 25.000 per kejadian
+const POTONGAN_ALPA = 100000; // Rp 100.000 per hari
+
+const JENIS_TERLAMBAT = "terlambat";
+const JENIS_ALPA = "alpa";
+const JENIS_PULANG_CEPAT = "pulang_cepat";
+const JENIS_SETENGAH_HARI = "setengah_hari";
+
+// Label & jam yang dicantumkan di keterangan ledger
+const LABEL_JENIS = {
+  [JENIS_TERLAMBAT]: { label: "terlambat", jam: "jam_masuk" },
+  [JENIS_ALPA]: { label: "alpa", jam: null },
+  [JENIS_PULANG_CEPAT]: { label: "pulang cepat", jam: "jam_pulang" },
+  [JENIS_SETENGAH_HARI]: { label: "setengah hari", jam: "jam_pulang" },
+};
+
+/**
+ * Tambah (amount > 0) atau kurangi (amount < 0) potongan payroll bulan tsb
+ */
+async function adjustPayrollDeduction(
+  prisma,
+  employeeId,
+  tanggal,
+  amount,
+  note
+) {
+  const targetDate = tanggal ? new Date(tanggal) : new Date();
+  const periode = targetDate.toISOString().slice(0, 7); // Format: YYYY-MM
+
+  let payroll = await prisma.payroll.findFirst({
+    where: {
+      employee_id: employeeId,
+      periode: periode,
+    },
+  });
+
+  if (!payroll) {
+    // Tidak ada yang perlu dikembalikan
+    if (amount <= 0) return null;
+
+    payroll = await prisma.payroll.create({
+      data: {
+        employee_id: employeeId,
+        periode: periode,
+        gaji_pokok: 0, // Will be set by admin later
+        tunjangan: 0,
+        potongan: amount,
+        total_gaji: -amount,
+        alasan_potongan: note,
+      },
+    });
+
+    console.log(
+      `  💰 Created Payroll with deduction: Rp ${amount.toLocaleString()}`
+    );
+    return payroll;
+  }
+
+  const newPotongan = Math.max(0, parseFloat(payroll.potongan || 0) + amount);
+  const newTotalGaji =
+    parseFloat(payroll.gaji_pokok || 0) +
+    parseFloat(payroll.tunjangan || 0) -
+    newPotongan;
+
+  const updated = await prisma.payroll.update({
+    where: { payroll_id: payroll.payroll_id },
+    data: {
+      potongan: newPotongan,
+      total_gaji: newTotalGaji,
+      alasan_potongan: payroll.alasan_potongan
+        ? `${payroll.alasan_potongan}; ${note}`
+        : note,
+    },
+  });
+
+  console.log(
+    `  💰 Updated Payroll - Total Potongan: Rp ${newPotongan.toLocaleString()}`
+  );
+  return updated;
+}
+
+/**
+ * Potongan yang seharusnya berlaku untuk sebuah attendance
+ * @returns {Object[]} [{ jenis, periode, jumlah }]
+ */
+function getExpectedDeductions(attendance) {
+  if (!attendance) return [];
+
+  const periode = new Date(attendance.tanggal).toISOString().slice(0, 7);
+  const status = (attendance.status || "").toLowerCase();
+  const expected = [];
+
+  const potonganTerlambat = parseFloat(attendance.potongan_terlambat || 0);
+  if (status === "terlambat" && potonganTerlambat > 0) {
+    expected.push({
+      jenis: JENIS_TERLAMBAT,
+      periode,
+      jumlah: potonganTerlambat,
+    });
+  }
+
+  // Setengah hari menggantikan potongan pulang cepat di hari yang sama
+  const potonganPulangCepat = parseFloat(attendance.potongan_pulang_cepat || 0);
+  if (
+    status !== "alpa" &&
+    status !== JENIS_SETENGAH_HARI &&
+    potonganPulangCepat > 0
+  ) {
+    expected.push({
+      jenis: JENIS_PULANG_CEPAT,
+      periode,
+      jumlah: potonganPulangCepat,
+    });
+  }
+
+  const potonganSetengahHari = parseFloat(
+    attendance.potongan_setengah_hari || 0
+  );
+  if (status === JENIS_SETENGAH_HARI && potonganSetengahHari > 0) {
+    expected.push({
+      jenis: JENIS_SETENGAH_HARI,
+      periode,
+      jumlah: potonganSetengahHari,
+    });
+  }
+
+  if (status === "alpa") {
+    expected.push({ jenis: JENIS_ALPA, periode, jumlah: POTONGAN_ALPA });
+  }
+
+  return expected;
+}
+
+/**
+ * Samakan ledger potongan sebuah attendance dengan kondisinya sekarang.
+ * Selisih antara potongan yang seharusnya dan total entri ledger dicatat
+ * sebagai entri baru (positif = tambah, negatif = pembatalan) dan
+ * diterapkan ke payroll bulan tersebut.
+ *
+ * Panggil SEBELUM attendance dihapus (dengan remove: true), karena
+ * attendance_id pada ledger di-set null saat attendance terhapus.
+ *
+ * @param {number} attendanceId - ID record attendance
+ * @param {Object} options - { reason, remove }
+ * @returns {Object[]} Entri ledger yang dibuat
+ */
+async function syncAttendanceDeductions(
+  prisma,
+  attendanceId,
+  { reason = null, remove = false } = {}
+) {
+  const [attendance, entries] = await Promise.all([
+    prisma.attendance.findUnique({
+      where: { attendance_id: attendanceId },
+      select: {
+        attendance_id: true,
+        employee_id: true,
+        tanggal: true,
+        jam_masuk: true,
+        jam_pulang: true,
+        status: true,
+        potongan_terlambat: true,
+        potongan_pulang_cepat: true,
+        potongan_setengah_hari: true,
+      },
+    }),
+    prisma.payrollDeduction.findMany({
+      where: { attendance_id: attendanceId },
+    }),
+  ]);
+
+  if (!attendance) return [];
+
+  const dateStr = attendance.tanggal.toISOString().slice(0, 10);
+
+  // Saldo ledger & target per jenis + periode
+  const balances = {};
+  entries.forEach((entry) => {
+    const key = `${entry.jenis}|${entry.periode}`;
+    balances[key] = balances[key] || {
+      jenis: entry.jenis,
+      periode: entry.periode,
+      saldo: 0,
+      target: 0,
+    };
+    balances[key].saldo += parseFloat(entry.jumlah);
+  });
+
+  const expected = remove ? [] : getExpectedDeductions(attendance);
+  expected.forEach((item) => {
+    const key = `${item.jenis}|${item.periode}`;
+    balances[key] = balances[key] || { ...item, saldo: 0, target: 0 };
+    balances[key].target += item.jumlah;
+  });
+
+  const created = [];
+
+  for (const balance of Object.values(balances)) {
+    const selisih = Math.round((balance.target - balance.saldo) * 100) / 100;
+    if (selisih === 0) continue;
+
+    const { label, jam } = LABEL_JENIS[balance.jenis] || {
+      label: balance.jenis,
+      jam: null,
+    };
+    const keterangan =
+      selisih > 0
+        ? `Potongan ${label} ${dateStr}${
+            jam && attendance[jam] ? ` jam ${attendance[jam]}` : ""
+          }`
+        : `Batal potongan ${label} ${dateStr}`;
+    const note = reason ? `${keterangan} (${reason})` : keterangan;
+
+    const entry = await prisma.payrollDeduction.create({
+      data: {
+        employee_id: attendance.employee_id,
+        attendance_id: attendance.attendance_id,
+        jenis: balance.jenis,
+        periode: balance.periode,
+        tanggal: attendance.tanggal,
+        jumlah: selisih,
+        keterangan: note,
+      },
+    });
+
+    await adjustPayrollDeduction(
+      prisma,
+      attendance.employee_id,
+      `${balance.periode}-01`,
+      selisih,
+      note
+    );
+
+    console.log(
+      `${
+        selisih > 0 ? "⚠️" : "↩️"
+      } ${note}: Rp ${selisih.toLocaleString()} (attendance ${
+        attendance.attendance_id
+      })`
+    );
+    created.push(entry);
+  }
+
+  return created;
+}
+
+module.exports = {
+  POTONGAN_TERLAMBAT,
+  POTONGAN_ALPA,
+  JENIS_TERLAMBAT,
+  JENIS_ALPA,
+  JENIS_PULANG_CEPAT,
+  JENIS_SETENGAH_HARI,
+  adjustPayrollDeduction,
+  getExpectedDeductions,
+  syncAttendanceDeductions,
+};
@@ -0,0 +1,495 @@
+/**
+ * ⭐ SCHEDULE SERVICE - Jadwal Kerja & Shift
+ *
+ * Urutan prioritas jadwal untuk seorang karyawan pada tanggal tertentu:
+ * 1. Penugasan khusus karyawan (employee_id)
+ * 2. Penugasan berdasarkan jabatan
+ * 3. Jadwal yang ditandai is_default
+ * 4. DEFAULT_SCHEDULE (aturan lama 08:00 - 17:00, check-in ditutup 18:00)
+ *
+ * Penugasan yang berlaku di tingkat lebih tinggi menentukan hari kerja:
+ * di hari liburnya karyawan tidak bekerja walau jadwal jabatan / default
+ * mencakup hari itu.
+ *
+ * Shift malam (jam_selesai <= jam_mulai, mis. 22:00 - 06:00) dicatat pada
+ * tanggal mulai shift. Jam setelah tengah malam dihitung sebagai menit
+ * lanjutan (> 1440) lewat toShiftMinutes.
+ *
+ * Split shift (mis. 07:00 - 11:00 dan 17:00 - 21:00): blok 1 memakai jam
+ * di work_schedules, blok berikutnya di work_schedule_blocks
+ * (blok_tambahan). Setiap blok punya jendela check-in & toleransi sendiri
+ * dan dicatat sebagai attendance terpisah (attendance.blok_ke).
+ * getScheduleBlock mengembalikan jadwal dengan jam blok tersebut, sehingga
+ * perhitungan terlambat, pulang cepat, lembur dan auto-close berlaku per
+ * blok tanpa perubahan.
+ */
+
+const {
+  toDateOnlyKey,
+  dateKeyToDate,
+  addDays,
+  getDayRange,
+} = require("./timezoneService");
+
+const DEFAULT_SCHEDULE = {
+  schedule_id: null,
+  nama_jadwal: "Default",
+  jam_mulai: "08:00",
+  jam_selesai: "17:00",
+  toleransi_menit: 0,
+  checkin_mulai: "06:00",
+  checkin_selesai: "18:00",
+  hari_kerja: "1,2,3,4,5",
+  is_default: true,
+};
+
+// Relasi yang ikut di-load setiap kali jadwal diambil
+const SCHEDULE_INCLUDE = {
+  blok_tambahan: { orderBy: { blok_ke: "asc" } },
+};
+
+/**
+ * Ubah "HH:MM" (atau "HH.MM" dari locale id-ID) menjadi menit sejak 00:00
+ */
+function timeToMinutes(time) {
+  if (!time) return null;
+
+  const match = String(time)
+    .trim()
+    .match(/^(\d{1,2})[:.](\d{2})/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Ubah menit sejak 00:00 menjadi "HH:MM"
+ */
+function minutesToTime(totalMinutes) {
+  const normalized = ((totalMinutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(normalized / 60);
+  const minutes = normalized % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Shift melewati tengah malam? (jam_selesai <= jam_mulai)
+ */
+function isOvernightSchedule(schedule) {
+  const start = timeToMinutes(schedule.jam_mulai);
+  const end = timeToMinutes(schedule.jam_selesai);
+  return start !== null && end !== null && end <= start;
+}
+
+/**
+ * Jam → menit relatif terhadap tanggal mulai shift.
+ * Shift malam: jam sebelum titik tengah waktu libur (antara jam_selesai
+ * dan jam_mulai) dianggap keesokan harinya, mis. shift 22:00 - 06:00 →
+ * "05:30" = 1770, "07:00" = 1860, "20:00" = 1200.
+ */
+function toShiftMinutes(schedule, time) {
+  const minutes = timeToMinutes(time);
+  if (minutes === null || !isOvernightSchedule(schedule)) return minutes;
+
+  const start = timeToMinutes(schedule.jam_mulai);
+  const end = timeToMinutes(schedule.jam_selesai);
+  const pivot = (start + end) / 2;
+
+  return minutes < pivot ? minutes + 1440 : minutes;
+}
+
+/**
+ * Jendela check-in dalam menit relatif tanggal shift
+ * @returns {Object} { start, end } - end bisa > 1440 (shift malam)
+ */
+function getCheckInWindow(schedule) {
+  const start = toShiftMinutes(schedule, schedule.checkin_mulai);
+  let end = toShiftMinutes(schedule, schedule.checkin_selesai);
+  if (end <= start) end += 1440;
+  return { start, end };
+}
+
+/**
+ * Semua blok kerja sebuah jadwal, masing-masing berupa jadwal dengan jam
+ * blok tersebut (+ blok_ke & jumlah_blok)
+ */
+function getScheduleBlocks(schedule) {
+  const extra = schedule.blok_tambahan || [];
+  const jumlahBlok = extra.length + 1;
+
+  return [
+    { ...schedule, blok_ke: 1, jumlah_blok: jumlahBlok },
+    ...extra.map((block) => ({
+      ...schedule,
+      jam_mulai: block.jam_mulai,
+      jam_selesai: block.jam_selesai,
+      toleransi_menit: block.toleransi_menit,
+      checkin_mulai: block.checkin_mulai,
+      checkin_selesai: block.checkin_selesai,
+      blok_ke: block.blok_ke,
+      jumlah_blok: jumlahBlok,
+    })),
+  ];
+}
+
+/**
+ * Jadwal untuk satu blok (default blok 1). Blok yang sudah dihapus dari
+ * jadwal → blok terakhir.
+ */
+function getScheduleBlock(schedule, blokKe = 1) {
+  const blocks = getScheduleBlocks(schedule);
+  return blocks.find((b) => b.blok_ke === blokKe) || blocks[blocks.length - 1];
+}
+
+/**
+ * Blok yang dituju check-in pada jam tersebut: blok yang jendela
+ * check-in-nya terbuka, atau blok berikutnya yang belum dibuka, atau blok
+ * terakhir (sudah ditutup)
+ */
+function resolveCheckInBlock(schedule, time) {
+  const blocks = getScheduleBlocks(schedule);
+  if (blocks.length === 1) return blocks[0];
+
+  const minutes = timeToMinutes(time);
+  const windows = blocks.map((block) => ({
+    block,
+    ...getCheckInWindow(block),
+  }));
+
+  const open = windows.find((w) => minutes >= w.start && minutes < w.end);
+  if (open) return open.block;
+
+  const upcoming = windows.find((w) => minutes < w.start);
+  return upcoming ? upcoming.block : blocks[blocks.length - 1];
+}
+
+/**
+ * Validasi format jam "HH:MM"
+ */
+function isValidTime(time) {
+  return (
+    /^\d{2}:\d{2}$/.test(String(time || "")) && timeToMinutes(time) !== null
+  );
+}
+
+/**
+ * Daftar hari kerja (0 = Minggu ... 6 = Sabtu) dari string "1,2,3,4,5"
+ */
+function parseWorkDays(hariKerja) {
+  return String(hariKerja || "")
+    .split(",")
+    .map((d) => parseInt(d))
+    .filter((d) => !isNaN(d) && d >= 0 && d <= 6);
+}
+
+/**
+ * Cek apakah penugasan berlaku pada tanggal tersebut (rentang
+ * berlaku_mulai - berlaku_sampai, hari kerja tidak dicek)
+ */
+function isAssignmentActive(assignment, date) {
+  // Tanggal saja (UTC tengah malam) - lihat timezoneService
+  const dayKey = toDateOnlyKey(date);
+
+  if (
+    assignment.berlaku_mulai &&
+    toDateOnlyKey(assignment.berlaku_mulai) > dayKey
+  ) {
+    return false;
+  }
+  if (
+    assignment.berlaku_sampai &&
+    toDateOnlyKey(assignment.berlaku_sampai) < dayKey
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Pilih satu penugasan dari tingkat prioritas yang sama: yang hari kerjanya
+ * mencakup hari tersebut, atau penugasan terbaru (hari libur jadwal itu)
+ */
+function pickAssignment(assignments, date) {
+  const day = dateKeyToDate(toDateOnlyKey(date)).getUTCDay();
+  return (
+    assignments.find((a) =>
+      parseWorkDays(a.schedule.hari_kerja).includes(day)
+    ) || assignments[0]
+  );
+}
+
+/**
+ * Pilih jadwal dari daftar penugasan (sudah di-load beserta schedule-nya).
+ * Penugasan yang berlaku tetap diutamakan di hari liburnya: jadwal tersebut
+ * dikembalikan dan isRestDay(schedule, date) = true (tidak ada kerja),
+ * bukan jatuh ke jadwal jabatan / default.
+ */
+function resolveSchedule(employee, date, assignments, defaultSchedule) {
+  const active = assignments.filter((a) => isAssignmentActive(a, date));
+
+  const personal = active.filter((a) => a.employee_id === employee.employee_id);
+  if (personal.length > 0) return pickAssignment(personal, date).schedule;
+
+  if (employee.jabatan) {
+    const byJabatan = active.filter(
+      (a) =>
+        !a.employee_id &&
+        a.jabatan &&
+        a.jabatan.toLowerCase() === employee.jabatan.toLowerCase()
+    );
+    if (byJabatan.length > 0) return pickAssignment(byJabatan, date).schedule;
+  }
+
+  return defaultSchedule || DEFAULT_SCHEDULE;
+}
+
+/**
+ * Ambil jadwal kerja seorang karyawan untuk tanggal tertentu
+ */
+async function getScheduleForEmployee(prisma, employeeId, date = new Date()) {
+  const employee = await prisma.employee.findUnique({
+    where: { employee_id: parseInt(employeeId) },
+    select: { employee_id: true, jabatan: true },
+  });
+
+  if (!employee) {
+    throw new Error("Karyawan tidak ditemukan.");
+  }
+
+  const orConditions = [{ employee_id: employee.employee_id }];
+  if (employee.jabatan) {
+    orConditions.push({ employee_id: null, jabatan: employee.jabatan });
+  }
+
+  const assignments = await prisma.scheduleAssignment.findMany({
+    where: { OR: orConditions },
+    include: { schedule: { include: SCHEDULE_INCLUDE } },
+    orderBy: { created_at: "desc" },
+  });
+
+  const defaultSchedule = await prisma.workSchedule.findFirst({
+    where: { is_default: true },
+    include: SCHEDULE_INCLUDE,
+  });
+
+  return resolveSchedule(employee, date, assignments, defaultSchedule);
+}
+
+/**
+ * Ambil jadwal yang berlaku untuk sebuah record attendance
+ * (jadwal yang tersimpan saat check-in, fallback ke jadwal aktif),
+ * dengan jam blok attendance tersebut
+ */
+async function getScheduleForAttendance(prisma, attendance) {
+  let schedule = attendance.schedule_id
+    ? await prisma.workSchedule.findUnique({
+        where: { schedule_id: attendance.schedule_id },
+        include: SCHEDULE_INCLUDE,
+      })
+    : null;
+
+  if (!schedule) {
+    schedule = await getScheduleForEmployee(
+      prisma,
+      attendance.employee_id,
+      attendance.tanggal
+    );
+  }
+
+  return getScheduleBlock(schedule, attendance.blok_ke || 1);
+}
+
+/**
+ * Load semua penugasan sekali, lalu kembalikan fungsi resolver.
+ * Dipakai untuk perhitungan massal (payroll) agar tidak query per record.
+ */
+async function createScheduleResolver(prisma) {
+  const [assignments, schedules] = await Promise.all([
+    prisma.scheduleAssignment.findMany({
+      include: { schedule: { include: SCHEDULE_INCLUDE } },
+      orderBy: { created_at: "desc" },
+    }),
+    prisma.workSchedule.findMany({ include: SCHEDULE_INCLUDE }),
+  ]);
+
+  const defaultSchedule = schedules.find((s) => s.is_default);
+  const byId = new Map(schedules.map((s) => [s.schedule_id, s]));
+
+  return function (employee, date, scheduleId = null, blokKe = 1) {
+    const schedule =
+      scheduleId && byId.has(scheduleId)
+        ? byId.get(scheduleId)
+        : resolveSchedule(employee, date, assignments, defaultSchedule);
+    return getScheduleBlock(schedule, blokKe);
+  };
+}
+
+/**
+ * Evaluasi check-in terhadap jadwal
+ * @param {Object} options - { previousDay: true } jika check-in untuk shift
+ *   malam yang dimulai kemarin (jam setelah tengah malam)
+ * @returns {Object} { allowed, error, status, late_minutes }
+ */
+function evaluateCheckIn(schedule, time, { previousDay = false } = {}) {
+  let checkInMinutes = toShiftMinutes(schedule, time);
+
+  // Shift hari ini: jam setelah tengah malam belum masuk jendela check-in
+  if (!previousDay && checkInMinutes >= 1440) checkInMinutes -= 1440;
+
+  const { start: windowStart, end: windowEnd } = getCheckInWindow(schedule);
+  const windowLabel = `${schedule.checkin_mulai} - ${minutesToTime(
+    windowEnd - 1
+  )}`;
+
+  if (checkInMinutes < windowStart) {
+    return {
+      allowed: false,
+      error: `Absensi belum dibuka. Waktu absen: ${windowLabel}`,
+    };
+  }
+
+  if (checkInMinutes >= windowEnd) {
+    return {
+      allowed: false,
+      error: `Absensi sudah ditutup. Waktu absen: ${windowLabel}`,
+    };
+  }
+
+  const lateMinutes = calculateLateMinutes(schedule, time);
+
+  return {
+    allowed: true,
+    status: lateMinutes > 0 ? "terlambat" : "hadir",
+    late_minutes: lateMinutes,
+  };
+}
+
+/**
+ * Hitung menit keterlambatan (0 jika masih dalam toleransi)
+ */
+function calculateLateMinutes(schedule, time) {
+  const checkInMinutes = toShiftMinutes(schedule, time);
+  if (checkInMinutes === null) return 0;
+
+  const start = timeToMinutes(schedule.jam_mulai);
+  const grace = schedule.toleransi_menit || 0;
+
+  if (checkInMinutes <= start + grace) return 0;
+  return checkInMinutes - start;
+}
+
+/**
+ * Shift yang dituju oleh check-in pada jam perusahaan saat ini.
+ * Check-in setelah tengah malam yang masih dalam jendela check-in shift
+ * malam kemarin dicatat untuk shift kemarin. Split shift: schedule berupa
+ * blok yang dituju (lihat resolveCheckInBlock).
+ * @param {Object} clock - Hasil getCompanyClock
+ * @returns {Object} { dateKey, date, schedule, previousDay }
+ */
+async function resolveCheckInShift(prisma, employeeId, clock) {
+  const previousKey = addDays(clock.dateKey, -1);
+  const previousSchedule = await getScheduleForEmployee(
+    prisma,
+    employeeId,
+    dateKeyToDate(previousKey)
+  );
+
+  if (
+    isOvernightSchedule(previousSchedule) &&
+    toShiftMinutes(previousSchedule, clock.time) >= 1440 &&
+    evaluateCheckIn(previousSchedule, clock.time, { previousDay: true }).allowed
+  ) {
+    return {
+      dateKey: previousKey,
+      date: dateKeyToDate(previousKey),
+      schedule: getScheduleBlock(previousSchedule),
+      previousDay: true,
+    };
+  }
+
+  const schedule = await getScheduleForEmployee(prisma, employeeId, clock.date);
+
+  return {
+    dateKey: clock.dateKey,
+    date: clock.date,
+    schedule: resolveCheckInBlock(schedule, clock.time),
+    previousDay: false,
+  };
+}
+
+/**
+ * Record attendance (sudah check-in) untuk shift yang sedang berjalan:
+ * record hari ini (split shift: blok yang belum check-out, lalu blok
+ * terakhir), atau record shift malam kemarin yang belum check-out selama
+ * jam sekarang masih bagian setelah tengah malam shift tersebut.
+ * @param {Object} clock - Hasil getCompanyClock
+ * @param {Object} include - Relasi Prisma yang ikut diambil
+ */
+async function findShiftAttendance(prisma, employeeId, clock, include) {
+  const todayWhere = {
+    employee_id: employeeId,
+    tanggal: getDayRange(clock.dateKey),
+    jam_masuk: { not: null },
+  };
+  const today =
+    (await prisma.attendance.findFirst({
+      where: { ...todayWhere, jam_pulang: null },
+      orderBy: { blok_ke: "desc" },
+      ...(include ? { include } : {}),
+    })) ||
+    (await prisma.attendance.findFirst({
+      where: todayWhere,
+      orderBy: { blok_ke: "desc" },
+      ...(include ? { include } : {}),
+    }));
+  if (today) return today;
+
+  const previous = await prisma.attendance.findFirst({
+    where: {
+      employee_id: employeeId,
+      tanggal: getDayRange(addDays(clock.dateKey, -1)),
+      jam_masuk: { not: null },
+      jam_pulang: null,
+    },
+    ...(include ? { include } : {}),
+  });
+  if (!previous) return null;
+
+  const schedule = await getScheduleForAttendance(prisma, previous);
+  const afterMidnight =
+    isOvernightSchedule(schedule) &&
+    toShiftMinutes(schedule, clock.time) >= 1440;
+
+  return afterMidnight ? previous : null;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  SCHEDULE_INCLUDE,
+  timeToMinutes,
+  minutesToTime,
+  isOvernightSchedule,
+  toShiftMinutes,
+  getCheckInWindow,
+  getScheduleBlocks,
+  getScheduleBlock,
+  resolveCheckInBlock,
+  isValidTime,
+  parseWorkDays,
+  resolveSchedule,
+  getScheduleForEmployee,
+  getScheduleForAttendance,
+  createScheduleResolver,
+  evaluateCheckIn,
+  calculateLateMinutes,
+  resolveCheckInShift,
+  findShiftAttendance,
+};
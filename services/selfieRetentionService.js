@@ -0,0 +1,144 @@
+/**
+ * ========================================
+ * SELFIE RETENTION SERVICE
+ * ========================================
+ * Service untuk menghapus foto selfie check-in/check-out yang sudah
+ * melewati masa simpan (pengaturan selfie_retensi_hari).
+ *
+ * File yatim di uploads/selfies (attendance-nya sudah dihapus) yang
+ * lebih tua dari masa simpan ikut dibersihkan.
+ */
+
+const cron = require("node-cron");
+const fs = require("fs");
+const { getSetting } = require("./settingsService");
+const { DEFAULT_TIMEZONE, getCompanyTimezone } = require("./timezoneService");
+const {
+  SELFIE_DIR,
+  getPhotoPath,
+  removePhotoFile,
+} = require("./attendancePhotoService");
+
+class SelfieRetentionService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    console.log("🤖 SelfieRetentionService initialized");
+  }
+
+  /**
+   * Hapus foto yang lebih tua dari masa simpan
+   * @param {Date} now - Waktu acuan (default: sekarang)
+   * @returns {Object} Result dengan jumlah foto yang dihapus
+   */
+  async purgeExpiredPhotos(now = new Date()) {
+    const retensiHari = parseInt(
+      await getSetting(this.prisma, "selfie_retensi_hari")
+    );
+
+    if (!retensiHari || retensiHari <= 0) {
+      console.log("📸 Selfie retention disabled - skipping");
+      return { success: true, skipped: true, total_deleted: 0 };
+    }
+
+    const cutoff = new Date(now.getTime() - retensiHari * 24 * 3600 * 1000);
+
+    console.log("\n" + "=".repeat(60));
+    console.log("📸 SELFIE RETENTION");
+    console.log("=".repeat(60));
+    console.log(
+      `🗓️ Deleting photos older than ${retensiHari} days (${cutoff.toISOString()})`
+    );
+
+    try {
+      const expired = await this.prisma.attendancePhoto.findMany({
+        where: { created_at: { lt: cutoff } },
+        select: { photo_id: true, filename: true },
+      });
+
+      expired.forEach((photo) => removePhotoFile(photo.filename));
+
+      await this.prisma.attendancePhoto.deleteMany({
+        where: { photo_id: { in: expired.map((p) => p.photo_id) } },
+      });
+
+      // File yatim (tidak tercatat di database)
+      let orphanDeleted = 0;
+      if (fs.existsSync(SELFIE_DIR)) {
+        const known = new Set(
+          (
+            await this.prisma.attendancePhoto.findMany({
+              select: { filename: true },
+            })
+          ).map((p) => p.filename)
+        );
+
+        for (const filename of fs.readdirSync(SELFIE_DIR)) {
+          if (known.has(filename)) continue;
+          const stat = fs.statSync(getPhotoPath(filename));
+          if (stat.isFile() && stat.mtime < cutoff) {
+            removePhotoFile(filename);
+            orphanDeleted++;
+          }
+        }
+      }
+
+      console.log(
+        `✅ Deleted ${expired.length} photos, ${orphanDeleted} orphan files`
+      );
+      console.log("=".repeat(60) + "\n");
+
+      return {
+        success: true,
+        retensi_hari: retensiHari,
+        cutoff: cutoff.toISOString(),
+        total_deleted: expired.length,
+        orphan_deleted: orphanDeleted,
+      };
+    } catch (error) {
+      console.error("❌ Error purging selfie photos:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Setup cron job: setiap hari jam 02:30 (zona waktu perusahaan)
+   */
+  async setupCronJob() {
+    let timezone = DEFAULT_TIMEZONE;
+    try {
+      timezone = await getCompanyTimezone(this.prisma);
+    } catch (error) {
+      console.error("⚠️ Gagal membaca company_timezone:", error.message);
+    }
+
+    console.log("⏰ Setting up Selfie Retention Cron Job...");
+    console.log("   Schedule: Every day at 02:30");
+
+    cron.schedule(
+      "30 2 * * *",
+      async () => {
+        console.log(
+          "\n🤖 [CRON] Selfie retention triggered at:",
+          new Date().toISOString()
+        );
+
+        try {
+          await this.purgeExpiredPhotos();
+        } catch (error) {
+          console.error("❌ [CRON] Error during selfie retention:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone,
+      }
+    );
+
+    console.log("✅ Selfie retention cron job setup completed");
+  }
+}
+
+module.exports = SelfieRetentionService;
@@ -0,0 +1,278 @@
+/**
+ * ⭐ SETTINGS SERVICE - Pengaturan kebijakan absensi
+ *
+ * Nilai disimpan di tabel app_settings sebagai JSON.
+ * Jika belum pernah diatur, DEFAULT_SETTINGS yang dipakai.
+ */
+
+const DEFAULT_SETTINGS = {
+  // Zona waktu perusahaan (IANA) untuk batas hari: check-in, alpha, cuti,
+  // periode payroll. Jadwal cron memakai nilai saat server start.
+  company_timezone: "Asia/Jakarta",
+
+  // Geofence WFO: "reject" = tolak check-in, "flag" = butuh approval HR
+  geofence_mode: "flag",
+  geofence_max_akurasi_meter: 100,
+
+  // Absensi tanpa check-out: "auto_close" = ditutup di jam selesai shift,
+  // "incomplete" = ditandai untuk direview HR
+  missing_checkout_policy: "incomplete",
+  missing_checkout_grace_menit: 120,
+
+  // Potongan terlambat bertingkat berdasarkan menit keterlambatan.
+  // tipe: "peringatan" (tanpa potongan), "nominal" (potongan Rp),
+  // "setengah_hari" (potongan 1/2 upah harian)
+  late_penalty_tiers: [
+    { min_menit: 1, max_menit: 15, label: "Peringatan", tipe: "peringatan" },
+    {
+      min_menit: 16,
+      max_menit: 60,
+      label: "Terlambat",
+      tipe: "nominal",
+      potongan: 25000,
+    },
+    {
+      min_menit: 61,
+      max_menit: null,
+      label: "Setengah hari",
+      tipe: "setengah_hari",
+    },
+  ],
+  // Jumlah keterlambatan per bulan yang ditoleransi sebelum potongan berlaku
+  late_tolerance_per_month: 0,
+
+  // Batas total istirahat per hari (menit). Lebih dari ini → ditandai
+  max_istirahat_menit: 60,
+
+  // Kuota WFH/Hybrid per bulan (hari). by_jabatan diutamakan, lalu
+  // by_status (status_karyawan). default null = tanpa batas
+  wfh_quota_per_month: {
+    by_status: { Magang: 0, Kontrak: 4, Tetap: 8 },
+    by_jabatan: {},
+    default: null,
+  },
+
+  // Sinkronisasi absensi offline: selisih jam perangkat vs server yang
+  // masih diterima (detik) dan umur maksimal event yang boleh disinkron
+  offline_sync_max_drift_detik: 300,
+  offline_sync_max_umur_jam: 72,
+
+  // Foto selfie check-in/check-out dihapus otomatis setelah N hari
+  selfie_retensi_hari: 90,
+
+  // Pulang cepat: check-out sebelum jam selesai shift. Lebih awal dari
+  // toleransi (menit) → dicatat pulang cepat dan dipotong per menit
+  // (0 = tanpa potongan)
+  pulang_cepat_toleransi_menit: 0,
+  pulang_cepat_potongan_per_menit: 0,
+
+  // Norma jam kerja per minggu untuk rekap jam kerja
+  norma_jam_per_minggu: 40,
+
+  // Setengah hari: jam kerja di bawah minimum (jam, 0 = nonaktif) atau
+  // izin setengah hari → dipotong persen dari upah harian
+  setengah_hari_min_jam_kerja: 4,
+  setengah_hari_potongan_persen: 50,
+};
+
+// ========================================
+// VALIDASI NILAI PENGATURAN
+// Setiap key di DEFAULT_SETTINGS punya validator: mengembalikan pesan
+// error, atau null jika nilai valid
+// ========================================
+
+const isNumber = (value) => typeof value === "number" && isFinite(value);
+
+function numberRule({ min = 0, max = null, integer = false } = {}) {
+  return (value) => {
+    if (!isNumber(value)) return "harus berupa angka";
+    if (integer && !Number.isInteger(value)) return "harus bilangan bulat";
+    if (value < min) return `minimal ${min}`;
+    if (max !== null && value > max) return `maksimal ${max}`;
+    return null;
+  };
+}
+
+function oneOfRule(options) {
+  return (value) =>
+    options.includes(value)
+      ? null
+      : `harus salah satu dari: ${options.join(", ")}`;
+}
+
+const LATE_PENALTY_TIPE = ["peringatan", "nominal", "setengah_hari"];
+
+function validateLatePenaltyTiers(tiers) {
+  if (!Array.isArray(tiers)) return "harus berupa array tingkatan";
+
+  for (const [index, tier] of tiers.entries()) {
+    const label = `tingkatan ke-${index + 1}`;
+    if (!tier || typeof tier !== "object") return `${label} tidak valid`;
+    if (!isNumber(tier.min_menit) || tier.min_menit < 0) {
+      return `${label}: min_menit harus angka >= 0`;
+    }
+    if (
+      tier.max_menit !== null &&
+      tier.max_menit !== undefined &&
+      (!isNumber(tier.max_menit) || tier.max_menit < tier.min_menit)
+    ) {
+      return `${label}: max_menit harus null atau >= min_menit`;
+    }
+    if (typeof tier.label !== "string" || !tier.label.trim()) {
+      return `${label}: label wajib diisi`;
+    }
+    if (!LATE_PENALTY_TIPE.includes(tier.tipe)) {
+      return `${label}: tipe harus salah satu dari: ${LATE_PENALTY_TIPE.join(
+        ", "
+      )}`;
+    }
+    if (
+      tier.tipe === "nominal" &&
+      (!isNumber(tier.potongan) || tier.potongan < 0)
+    ) {
+      return `${label}: potongan harus angka >= 0`;
+    }
+  }
+
+  return null;
+}
+
+// Kuota WFH: null = tanpa batas, selain itu jumlah hari (bilangan bulat >= 0)
+const isQuota = (value) =>
+  value === null || (Number.isInteger(value) && value >= 0);
+
+function validateWfhQuota(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return "harus berupa object { by_status, by_jabatan, default }";
+  }
+
+  for (const group of ["by_status", "by_jabatan"]) {
+    const map = policy[group];
+    if (map === undefined) continue;
+    if (!map || typeof map !== "object" || Array.isArray(map)) {
+      return `${group} harus berupa object`;
+    }
+    for (const [name, quota] of Object.entries(map)) {
+      if (!isQuota(quota)) {
+        return `${group}.${name} harus null atau bilangan bulat >= 0`;
+      }
+    }
+  }
+
+  if (policy.default !== undefined && !isQuota(policy.default)) {
+    return "default harus null atau bilangan bulat >= 0";
+  }
+
+  return null;
+}
+
+const SETTING_VALIDATORS = {
+  company_timezone: (value) =>
+    isValidTimezone(value) ? null : "zona waktu IANA tidak valid",
+  geofence_mode: oneOfRule(["reject", "flag"]),
+  geofence_max_akurasi_meter: numberRule({ min: 1 }),
+  missing_checkout_policy: oneOfRule(["auto_close", "incomplete"]),
+  missing_checkout_grace_menit: numberRule({ integer: true }),
+  late_penalty_tiers: validateLatePenaltyTiers,
+  late_tolerance_per_month: numberRule({ integer: true }),
+  max_istirahat_menit: numberRule({ integer: true }),
+  wfh_quota_per_month: validateWfhQuota,
+  offline_sync_max_drift_detik: numberRule({ integer: true }),
+  offline_sync_max_umur_jam: numberRule({ min: 1 }),
+  selfie_retensi_hari: numberRule({ min: 1, integer: true }),
+  pulang_cepat_toleransi_menit: numberRule({ integer: true }),
+  pulang_cepat_potongan_per_menit: numberRule(),
+  norma_jam_per_minggu: numberRule({ min: 1, max: 168 }),
+  setengah_hari_min_jam_kerja: numberRule({ max: 24 }),
+  setengah_hari_potongan_persen: numberRule({ max: 100 }),
+};
+
+/**
+ * Parse nilai JSON dari database, fallback ke string mentah
+ */
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Cek nama zona waktu IANA (contoh: "Asia/Makassar")
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(timezone) });
+    return !!timezone;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Ambil satu pengaturan
+ */
+async function getSetting(prisma, key) {
+  const row = await prisma.appSetting.findUnique({
+    where: { setting_key: key },
+  });
+
+  if (!row) return DEFAULT_SETTINGS[key];
+  return parseValue(row.setting_value);
+}
+
+/**
+ * Ambil semua pengaturan (default + yang sudah disimpan)
+ */
+async function getAllSettings(prisma) {
+  const rows = await prisma.appSetting.findMany();
+
+  const settings = { ...DEFAULT_SETTINGS };
+  rows.forEach((row) => {
+    settings[row.setting_key] = parseValue(row.setting_value);
+  });
+
+  return settings;
+}
+
+/**
+ * Validasi nilai satu pengaturan terhadap SETTING_VALIDATORS
+ * @returns {string|null} Pesan error, null jika valid
+ */
+function validateSetting(key, value) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+    return `Pengaturan '${key}' tidak dikenal.`;
+  }
+
+  const error = SETTING_VALIDATORS[key](value);
+  return error ? `Nilai '${key}' tidak valid: ${error}.` : null;
+}
+
+/**
+ * Simpan pengaturan. Hanya key yang dikenal dengan nilai yang valid
+ * yang boleh diubah.
+ */
+async function setSetting(prisma, key, value) {
+  const error = validateSetting(key, value);
+  if (error) throw new Error(error);
+
+  const serialized = JSON.stringify(value);
+
+  await prisma.appSetting.upsert({
+    where: { setting_key: key },
+    update: { setting_value: serialized },
+    create: { setting_key: key, setting_value: serialized },
+  });
+
+  return value;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSetting,
+  getAllSettings,
+  setSetting,
+  validateSetting,
+  isValidTimezone,
+};
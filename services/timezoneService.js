@@ -0,0 +1,205 @@
+/**
+ * ⭐ TIMEZONE SERVICE - Batas hari & bulan mengikuti zona waktu perusahaan
+ *
+ * Tanggal absensi/cuti disimpan sebagai tanggal saja (UTC tengah malam,
+ * contoh: new Date("2025-01-31")). "Hari ini", jam check-in/check-out dan
+ * jam tutup shift dihitung dari zona waktu perusahaan (pengaturan
+ * company_timezone), bukan zona waktu server.
+ */
+
+const { getSetting, isValidTimezone } = require("./settingsService");
+
+const DEFAULT_TIMEZONE = "Asia/Jakarta";
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Zona waktu perusahaan dari pengaturan (fallback Asia/Jakarta)
+ */
+async function getCompanyTimezone(prisma) {
+  const timezone = await getSetting(prisma, "company_timezone");
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Pecah waktu menjadi komponen tanggal & jam di zona waktu tertentu
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = parseInt(value);
+  });
+
+  return parts;
+}
+
+/**
+ * Tanggal "YYYY-MM-DD" di zona waktu tertentu
+ */
+function toDateKey(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Jam "HH:MM" di zona waktu tertentu
+ */
+function toTimeString(date, timezone) {
+  const { hour, minute } = getZonedParts(date, timezone);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * "YYYY-MM-DD" → Date tanggal saja (UTC tengah malam), format kolom tanggal
+ */
+function dateKeyToDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+/**
+ * Cek string "YYYY-MM-DD" yang merupakan tanggal kalender valid
+ */
+function isValidDateKey(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = dateKeyToDate(value);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Tanggal saja → "YYYY-MM-DD". Date dianggap sudah tanggal saja (UTC).
+ */
+function toDateOnlyKey(value) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+/**
+ * Geser "YYYY-MM-DD" sebanyak n hari
+ */
+function addDays(dateKey, days) {
+  return new Date(dateKeyToDate(dateKey).getTime() + days * MS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Jumlah hari kalender dari start sampai end (inklusif)
+ */
+function countDaysInclusive(start, end) {
+  const startTime = dateKeyToDate(toDateOnlyKey(start)).getTime();
+  const endTime = dateKeyToDate(toDateOnlyKey(end)).getTime();
+  return Math.round((endTime - startTime) / MS_PER_DAY) + 1;
+}
+
+/**
+ * Range query Prisma untuk satu tanggal
+ * @returns {Object} { gte, lt }
+ */
+function getDayRange(dateKey) {
+  return {
+    gte: dateKeyToDate(dateKey),
+    lt: dateKeyToDate(addDays(dateKey, 1)),
+  };
+}
+
+/**
+ * Range satu bulan (tanggal saja)
+ * @param {number} month - 1-12
+ * @returns {Object} { start, end, gte, lt } - end = tanggal terakhir bulan
+ */
+function getMonthRange(year, month) {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const next = new Date(Date.UTC(year, month, 1));
+
+  return {
+    start,
+    end: new Date(next.getTime() - MS_PER_DAY),
+    gte: start,
+    lt: next,
+  };
+}
+
+/**
+ * Selisih zona waktu terhadap UTC (menit) pada waktu tertentu
+ */
+function getTimezoneOffsetMinutes(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  const actual = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  return Math.round((asUtc - actual) / 60000);
+}
+
+/**
+ * Jam dinding di zona waktu perusahaan → waktu absolut (Date)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {number} minutesOfDay - menit sejak 00:00 (boleh > 1440)
+ */
+function zonedTimeToDate(dateKey, minutesOfDay, timezone) {
+  const wallClock = dateKeyToDate(dateKey).getTime() + minutesOfDay * 60000;
+  const offset = getTimezoneOffsetMinutes(new Date(wallClock), timezone);
+  const guess = wallClock - offset * 60000;
+
+  // Ulangi sekali untuk zona waktu dengan DST di sekitar pergantian offset
+  const correctedOffset = getTimezoneOffsetMinutes(new Date(guess), timezone);
+  return new Date(wallClock - correctedOffset * 60000);
+}
+
+/**
+ * Jam perusahaan saat ini
+ * @returns {Object} { timezone, dateKey, date, time, year, month }
+ */
+async function getCompanyClock(prisma, now = new Date()) {
+  const timezone = await getCompanyTimezone(prisma);
+  const parts = getZonedParts(now, timezone);
+  const dateKey = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+
+  return {
+    timezone,
+    dateKey,
+    date: dateKeyToDate(dateKey),
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+    year: parts.year,
+    month: parts.month,
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getCompanyTimezone,
+  getZonedParts,
+  toDateKey,
+  toTimeString,
+  dateKeyToDate,
+  isValidDateKey,
+  toDateOnlyKey,
+  addDays,
+  countDaysInclusive,
+  getDayRange,
+  getMonthRange,
+  zonedTimeToDate,
+  getCompanyClock,
+};
@@ -0,0 +1,212 @@
+/**
+ * ⭐ WFH QUOTA SERVICE - Kuota WFH/Hybrid per bulan
+ *
+ * Kuota diambil dari pengaturan wfh_quota_per_month: by_jabatan (prioritas)
+ * lalu by_status (status_karyawan), fallback default (null = tanpa batas).
+ * Pemakaian dihitung dari attendance tipe_kerja WFH/Hybrid yang tidak
+ * ditolak (yang masih pending ikut dihitung).
+ */
+
+const { getSetting } = require("./settingsService");
+const { getMonthRange } = require("./timezoneService");
+
+/**
+ * Cek apakah tipe_kerja termasuk WFH/Hybrid
+ */
+function isWfhTipeKerja(tipeKerja) {
+  return /^(wfh|hybrid)/i.test(String(tipeKerja || ""));
+}
+
+/**
+ * Attendance WFH/Hybrid yang dihitung ke kuota (bukan yang ditolak)
+ */
+function countsTowardsQuota(attendance) {
+  return (
+    isWfhTipeKerja(attendance.tipe_kerja) &&
+    attendance.approval_status !== "rejected"
+  );
+}
+
+/**
+ * Cari nilai di map tanpa peduli huruf besar/kecil
+ */
+function lookupCaseInsensitive(map, key) {
+  if (!map || !key) return undefined;
+  const match = Object.keys(map).find(
+    (k) => k.toLowerCase() === String(key).toLowerCase()
+  );
+  return match === undefined ? undefined : map[match];
+}
+
+/**
+ * Kuota WFH per bulan untuk seorang karyawan
+ * @returns {number|null} null = tanpa batas
+ */
+function resolveWfhQuota(policy, employee) {
+  const byJabatan = lookupCaseInsensitive(policy?.by_jabatan, employee.jabatan);
+  if (byJabatan !== undefined && byJabatan !== null) return byJabatan;
+
+  const byStatus = lookupCaseInsensitive(
+    policy?.by_status,
+    employee.status_karyawan
+  );
+  if (byStatus !== undefined && byStatus !== null) return byStatus;
+
+  return policy?.default ?? null;
+}
+
+/**
+ * Hitung pemakaian WFH per karyawan per bulan "YYYY-MM"
+ * @returns {Object} { [employee_id]: { [periode]: { used, approved, pending } } }
+ */
+async function getWfhUsage(prisma, employeeIds, startDate, endDate) {
+  const records = await prisma.attendance.findMany({
+    where: {
+      employee_id: { in: employeeIds },
+      tanggal: { gte: startDate, lt: endDate },
+    },
+    select: {
+      employee_id: true,
+      tanggal: true,
+      tipe_kerja: true,
+      approval_status: true,
+    },
+  });
+
+  const usage = {};
+  records.filter(countsTowardsQuota).forEach((a) => {
+    const periode = a.tanggal.toISOString().slice(0, 7);
+    usage[a.employee_id] = usage[a.employee_id] || {};
+    const entry = (usage[a.employee_id][periode] = usage[a.employee_id][
+      periode
+    ] || { used: 0, approved: 0, pending: 0 });
+
+    entry.used++;
+    if (a.approval_status === "pending") entry.pending++;
+    else entry.approved++;
+  });
+
+  return usage;
+}
+
+/**
+ * Sisa kuota WFH seorang karyawan untuk setiap bulan yang diminta
+ * @param {string[]} dateKeys - Tanggal yang akan diajukan ("YYYY-MM-DD")
+ * @returns {Object} { allowed, error, balances }
+ */
+async function checkWfhQuota(prisma, employee, dateKeys) {
+  const policy = await getSetting(prisma, "wfh_quota_per_month");
+  const quota = resolveWfhQuota(policy, employee);
+
+  const requestedByPeriode = {};
+  dateKeys.forEach((dateKey) => {
+    const periode = dateKey.slice(0, 7);
+    requestedByPeriode[periode] = (requestedByPeriode[periode] || 0) + 1;
+  });
+
+  const periodes = Object.keys(requestedByPeriode).sort();
+  const [firstYear, firstMonth] = periodes[0].split("-").map(Number);
+  const [lastYear, lastMonth] = periodes[periodes.length - 1]
+    .split("-")
+    .map(Number);
+
+  const usage = await getWfhUsage(
+    prisma,
+    [employee.employee_id],
+    getMonthRange(firstYear, firstMonth).gte,
+    getMonthRange(lastYear, lastMonth).lt
+  );
+  const employeeUsage = usage[employee.employee_id] || {};
+
+  const balances = periodes.map((periode) => {
+    const used = employeeUsage[periode]?.used || 0;
+    const requested = requestedByPeriode[periode];
+    return {
+      periode,
+      kuota: quota,
+      terpakai: used,
+      diajukan: requested,
+      sisa: quota === null ? null : Math.max(0, quota - used - requested),
+      cukup: quota === null || used + requested <= quota,
+    };
+  });
+
+  const insufficient = balances.find((b) => !b.cukup);
+
+  return {
+    allowed: !insufficient,
+    error: insufficient
+      ? `Kuota WFH/Hybrid ${insufficient.periode} tidak mencukupi. Kuota: ${
+          insufficient.kuota
+        } hari, terpakai: ${insufficient.terpakai}, diajukan: ${
+          insufficient.diajukan
+        }, sisa: ${Math.max(0, insufficient.kuota - insufficient.terpakai)}.`
+      : null,
+    balances,
+  };
+}
+
+/**
+ * Laporan pemakaian WFH vs kuota per karyawan untuk satu bulan
+ */
+async function getWfhQuotaReport(prisma, year, month, employeeWhere = {}) {
+  const [policy, employees] = await Promise.all([
+    getSetting(prisma, "wfh_quota_per_month"),
+    prisma.employee.findMany({
+      where: employeeWhere,
+      select: {
+        employee_id: true,
+        nama_lengkap: true,
+        jabatan: true,
+        status_karyawan: true,
+      },
+      orderBy: { nama_lengkap: "asc" },
+    }),
+  ]);
+
+  const periode = `${year}-${String(month).padStart(2, "0")}`;
+  const range = getMonthRange(year, month);
+  const usage = await getWfhUsage(
+    prisma,
+    employees.map((e) => e.employee_id),
+    range.gte,
+    range.lt
+  );
+
+  const rows = employees.map((employee) => {
+    const quota = resolveWfhQuota(policy, employee);
+    const entry = usage[employee.employee_id]?.[periode] || {
+      used: 0,
+      approved: 0,
+      pending: 0,
+    };
+
+    return {
+      ...employee,
+      kuota: quota,
+      terpakai: entry.used,
+      disetujui: entry.approved,
+      pending: entry.pending,
+      sisa: quota === null ? null : Math.max(0, quota - entry.used),
+      melebihi_kuota: quota !== null && entry.used > quota,
+    };
+  });
+
+  return {
+    periode,
+    policy,
+    summary: {
+      total_karyawan: rows.length,
+      total_hari_wfh: rows.reduce((sum, r) => sum + r.terpakai, 0),
+      melebihi_kuota: rows.filter((r) => r.melebihi_kuota).length,
+    },
+    data: rows,
+  };
+}
+
+module.exports = {
+  isWfhTipeKerja,
+  resolveWfhQuota,
+  checkWfhQuota,
+  getWfhQuotaReport,
+};
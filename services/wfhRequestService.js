@@ -0,0 +1,346 @@
+/**
+ * ⭐ WFH REQUEST SERVICE - Pengajuan WFH/Hybrid rentang tanggal & berulang
+ *
+ * Satu pengajuan (wfh_requests) punya banyak hari anak berupa record
+ * attendance berstatus pending_approval (sama seperti pengajuan satu
+ * tanggal). Approve/reject pengajuan induk memproses semua hari anak
+ * yang masih pending dalam satu transaksi.
+ */
+
+const { createScheduleResolver, parseWorkDays } = require("./scheduleService");
+const { isRestDay } = require("./overtimeService");
+const { getHolidayMap } = require("./holidayService");
+const { checkWfhQuota } = require("./wfhQuotaService");
+const {
+  APPROVAL_ACTIONS,
+  STATUS_PENGAJUAN,
+  recordApprovalHistory,
+  transitionApproval,
+} = require("./approvalService");
+const {
+  dateKeyToDate,
+  addDays,
+  countDaysInclusive,
+} = require("./timezoneService");
+
+const WFH_TIPE_KERJA = ["WFH (Work From Home)", "Hybrid"];
+const MAX_HARI_PER_REQUEST = 92;
+
+// Helper: hasil gagal dengan status code
+const fail = (statusCode, body) => ({ statusCode, body });
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ""));
+
+/**
+ * Daftar tanggal dari rentang + aturan mingguan (opsional)
+ * @param {string} tanggalMulai - "YYYY-MM-DD"
+ * @param {string} tanggalSelesai - "YYYY-MM-DD"
+ * @param {string|number[]} hari - Hari dalam minggu (0=Minggu ... 6=Sabtu)
+ * @returns {string[]} Tanggal "YYYY-MM-DD"
+ */
+function expandRequestDates(tanggalMulai, tanggalSelesai, hari = null) {
+  if (!isDateKey(tanggalMulai) || !isDateKey(tanggalSelesai)) {
+    throw new Error("Format tanggal_mulai / tanggal_selesai harus YYYY-MM-DD.");
+  }
+
+  const totalHari = countDaysInclusive(tanggalMulai, tanggalSelesai);
+
+  if (totalHari < 1) {
+    throw new Error("tanggal_selesai tidak boleh sebelum tanggal_mulai.");
+  }
+  if (totalHari > MAX_HARI_PER_REQUEST) {
+    throw new Error(
+      `Rentang pengajuan maksimal ${MAX_HARI_PER_REQUEST} hari kalender.`
+    );
+  }
+
+  let weekdays = null;
+  if (hari !== null && hari !== undefined && hari !== "") {
+    weekdays = parseWorkDays(Array.isArray(hari) ? hari.join(",") : hari);
+    if (weekdays.length === 0) {
+      throw new Error("hari harus berisi angka 0-6 (0=Minggu, 5=Jumat).");
+    }
+  }
+
+  const dates = [];
+  for (let i = 0; i < totalHari; i++) {
+    const dateKey = addDays(tanggalMulai, i);
+    const day = dateKeyToDate(dateKey).getUTCDay();
+    if (!weekdays || weekdays.includes(day)) dates.push(dateKey);
+  }
+
+  return dates;
+}
+
+/**
+ * Pisahkan tanggal yang bisa diajukan dan yang dilewati
+ * (sudah ada absensi, hari libur nasional, atau bukan hari kerja)
+ * @returns {Object} { days, skipped }
+ */
+async function planWfhDays(prisma, employee, dateKeys) {
+  const start = dateKeyToDate(dateKeys[0]);
+  const end = dateKeyToDate(dateKeys[dateKeys.length - 1]);
+
+  const [existing, holidays, resolveSchedule] = await Promise.all([
+    prisma.attendance.findMany({
+      where: {
+        employee_id: employee.employee_id,
+        tanggal: { gte: start, lte: end },
+      },
+      select: {
+        attendance_id: true,
+        tanggal: true,
+        status: true,
+        tipe_kerja: true,
+      },
+    }),
+    getHolidayMap(prisma, start, end),
+    createScheduleResolver(prisma),
+  ]);
+
+  const existingByDate = {};
+  existing.forEach((a) => {
+    existingByDate[a.tanggal.toISOString().slice(0, 10)] = a;
+  });
+
+  const days = [];
+  const skipped = [];
+
+  dateKeys.forEach((dateKey) => {
+    const attendance = existingByDate[dateKey];
+    const date = dateKeyToDate(dateKey);
+
+    if (attendance) {
+      skipped.push({
+        tanggal: dateKey,
+        alasan: `Sudah ada absensi (${attendance.status}, ${attendance.tipe_kerja})`,
+        attendance_id: attendance.attendance_id,
+      });
+    } else if (holidays[dateKey]) {
+      skipped.push({
+        tanggal: dateKey,
+        alasan: `Hari libur: ${holidays[dateKey].nama_libur}`,
+      });
+    } else if (isRestDay(resolveSchedule(employee, date), date)) {
+      skipped.push({ tanggal: dateKey, alasan: "Bukan hari kerja" });
+    } else {
+      days.push(dateKey);
+    }
+  });
+
+  return { days, skipped };
+}
+
+/**
+ * Buat pengajuan WFH/Hybrid untuk rentang tanggal / aturan mingguan
+ * @returns {Object} { statusCode, body }
+ */
+async function createWfhRequest(
+  prisma,
+  { employeeId, tipeKerja, tanggalMulai, tanggalSelesai, hari, alasan, userId }
+) {
+  if (!WFH_TIPE_KERJA.includes(tipeKerja)) {
+    return fail(400, { error: "Tipe kerja harus WFH atau Hybrid" });
+  }
+
+  let dateKeys;
+  try {
+    dateKeys = expandRequestDates(
+      tanggalMulai,
+      tanggalSelesai || tanggalMulai,
+      hari
+    );
+  } catch (error) {
+    return fail(400, { error: error.message });
+  }
+
+  if (dateKeys.length === 0) {
+    return fail(400, {
+      error:
+        "Tidak ada tanggal yang cocok dengan aturan hari pada rentang ini.",
+    });
+  }
+
+  const employee = await prisma.employee.findUnique({
+    where: { employee_id: employeeId },
+    select: { employee_id: true, jabatan: true, status_karyawan: true },
+  });
+
+  if (!employee) {
+    return fail(404, { error: "Karyawan tidak ditemukan." });
+  }
+
+  const { days, skipped } = await planWfhDays(prisma, employee, dateKeys);
+
+  if (days.length === 0) {
+    return fail(400, {
+      error: "Semua tanggal dilewati, tidak ada hari yang bisa diajukan.",
+      skipped,
+    });
+  }
+
+  const quotaCheck = await checkWfhQuota(prisma, employee, days);
+
+  if (!quotaCheck.allowed) {
+    return fail(400, {
+      error: quotaCheck.error,
+      kuota_wfh: quotaCheck.balances,
+      skipped,
+    });
+  }
+
+  const hariBerulang = Array.isArray(hari) ? hari.join(",") : hari || null;
+
+  const request = await prisma.$transaction(async (tx) => {
+    const parent = await tx.wfhRequest.create({
+      data: {
+        employee_id: employee.employee_id,
+        tipe_kerja: tipeKerja,
+        tanggal_mulai: dateKeyToDate(tanggalMulai),
+        tanggal_selesai: dateKeyToDate(tanggalSelesai || tanggalMulai),
+        hari_berulang: hariBerulang ? String(hariBerulang) : null,
+        alasan: alasan || null,
+      },
+    });
+
+    for (const dateKey of days) {
+      const day = await tx.attendance.create({
+        data: {
+          employee_id: employee.employee_id,
+          tanggal: dateKeyToDate(dateKey),
+          tipe_kerja: tipeKerja,
+          status: STATUS_PENGAJUAN,
+          approval_status: "pending",
+          jam_masuk: null,
+          jam_pulang: null,
+          lokasi_masuk: null,
+          lokasi_pulang: null,
+          recorded_by_role: "Karyawan",
+          wfh_request_id: parent.wfh_request_id,
+        },
+      });
+
+      await recordApprovalHistory(tx, {
+        attendanceId: day.attendance_id,
+        from: null,
+        to: "pending",
+        action: "submit",
+        notes: `Pengajuan WFH #${parent.wfh_request_id}`,
+        userId,
+        role: "Karyawan",
+      });
+    }
+
+    return tx.wfhRequest.findUnique({
+      where: { wfh_request_id: parent.wfh_request_id },
+      include: { days: { orderBy: { tanggal: "asc" } } },
+    });
+  });
+
+  console.log(
+    `✅ WFH/Hybrid request ${request.wfh_request_id} created for employee ${employee.employee_id} (${days.length} hari, ${skipped.length} dilewati)`
+  );
+
+  return {
+    statusCode: 201,
+    body: {
+      message: `✅ Request ${tipeKerja} untuk ${days.length} hari berhasil dikirim. Menunggu approval dari admin.`,
+      data: request,
+      total_hari: days.length,
+      skipped,
+      kuota_wfh: quotaCheck.balances,
+    },
+  };
+}
+
+/**
+ * Approve / reject pengajuan induk beserta semua hari yang masih pending
+ * @param {string} action - "approve" | "reject"
+ * @returns {Object} { statusCode, body }
+ */
+async function processWfhRequest(
+  prisma,
+  { wfhRequestId, action, notes, approverId, role }
+) {
+  if (!["approve", "reject"].includes(action)) {
+    return fail(400, { error: "Action harus 'approve' atau 'reject'" });
+  }
+
+  const request = await prisma.wfhRequest.findUnique({
+    where: { wfh_request_id: wfhRequestId },
+    include: {
+      employee: { select: { nama_lengkap: true } },
+      days: true,
+    },
+  });
+
+  if (!request) {
+    return fail(404, { error: "Pengajuan WFH tidak ditemukan" });
+  }
+
+  if (request.status !== "pending") {
+    return fail(400, { error: `Pengajuan ini sudah ${request.status}` });
+  }
+
+  const decision = APPROVAL_ACTIONS[action];
+  const now = new Date();
+
+  const pendingDays = request.days.filter(
+    (d) => d.approval_status === "pending"
+  );
+  const alreadyProcessed = request.days
+    .filter((d) => d.approval_status !== "pending")
+    .map((d) => ({
+      attendance_id: d.attendance_id,
+      tanggal: d.tanggal.toISOString().slice(0, 10),
+      approval_status: d.approval_status,
+    }));
+
+  const updated = await prisma.$transaction(async (tx) => {
+    for (const day of pendingDays) {
+      await transitionApproval(tx, day, {
+        to: decision,
+        action,
+        notes,
+        userId: approverId,
+        role,
+      });
+    }
+
+    return tx.wfhRequest.update({
+      where: { wfh_request_id: wfhRequestId },
+      data: {
+        status: decision,
+        approved_by: approverId || null,
+        approval_notes: notes || null,
+        approval_date: now,
+      },
+      include: { days: { orderBy: { tanggal: "asc" } } },
+    });
+  });
+
+  const message =
+    action === "approve"
+      ? `✅ Request ${request.tipe_kerja} dari ${request.employee.nama_lengkap} (${pendingDays.length} hari) telah disetujui`
+      : `❌ Request ${request.tipe_kerja} dari ${request.employee.nama_lengkap} (${pendingDays.length} hari) ditolak`;
+
+  console.log(message);
+
+  return {
+    statusCode: 200,
+    body: {
+      message,
+      data: updated,
+      processed_days: pendingDays.length,
+      already_processed: alreadyProcessed,
+    },
+  };
+}
+
+module.exports = {
+  WFH_TIPE_KERJA,
+  MAX_HARI_PER_REQUEST,
+  expandRequestDates,
+  createWfhRequest,
+  processWfhRequest,
+};
@@ -0,0 +1,288 @@
+/**
+ * ⭐ WORK HOURS SERVICE - Jam kerja per absensi & rekap mingguan/bulanan
+ *
+ * jam_masuk / jam_pulang tetap disimpan sebagai "HH:MM" (dinormalisasi,
+ * format "08.30" juga diterima), ditambah waktu_masuk / waktu_pulang
+ * berupa timestamp absolut menurut zona waktu perusahaan. Dari situ
+ * dihitung kerja_menit (dikurangi istirahat) dan pulang_cepat_menit
+ * (sebelum jam_selesai jadwal, di luar pulang_cepat_toleransi_menit)
+ * beserta potongannya. Rekap dibandingkan dengan norma
+ * norma_jam_per_minggu (default 40 jam).
+ */
+
+const { getSetting } = require("./settingsService");
+const {
+  timeToMinutes,
+  minutesToTime,
+  toShiftMinutes,
+} = require("./scheduleService");
+const { isRestDay } = require("./overtimeService");
+const {
+  getCompanyTimezone,
+  getMonthRange,
+  dateKeyToDate,
+  toDateOnlyKey,
+  addDays,
+  zonedTimeToDate,
+} = require("./timezoneService");
+
+const MS_PER_MINUTE = 60000;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Normalisasi jam "H:MM" / "HH.MM" / "HH:MM:SS" → "HH:MM"
+ * @returns {string|null} null jika kosong atau tidak valid
+ */
+function normalizeJam(value) {
+  const minutes = timeToMinutes(value);
+  return minutes === null ? null : minutesToTime(minutes);
+}
+
+/**
+ * Jam masuk & pulang sebagai waktu absolut dari tanggal mulai shift
+ * (shift malam: jam setelah tengah malam = keesokan harinya). Jam pulang
+ * yang lebih awal dari jam masuk juga dianggap keesokan harinya.
+ * @returns {Object} { waktu_masuk, waktu_pulang }
+ */
+function toWorkTimestamps(schedule, tanggal, jamMasuk, jamPulang, timezone) {
+  const dateKey = toDateOnlyKey(tanggal);
+  const masuk = toShiftMinutes(schedule, jamMasuk);
+  let pulang = toShiftMinutes(schedule, jamPulang);
+
+  if (masuk !== null && pulang !== null && pulang < masuk) pulang += 1440;
+
+  return {
+    waktu_masuk:
+      masuk === null ? null : zonedTimeToDate(dateKey, masuk, timezone),
+    waktu_pulang:
+      pulang === null ? null : zonedTimeToDate(dateKey, pulang, timezone),
+  };
+}
+
+/**
+ * Zona waktu & kebijakan pulang cepat dari pengaturan
+ * @returns {Object} { timezone, toleransiPulangCepat, potonganPerMenit }
+ */
+async function getWorkPolicy(prisma) {
+  const [timezone, toleransi, potongan] = await Promise.all([
+    getCompanyTimezone(prisma),
+    getSetting(prisma, "pulang_cepat_toleransi_menit"),
+    getSetting(prisma, "pulang_cepat_potongan_per_menit"),
+  ]);
+
+  return {
+    timezone,
+    toleransiPulangCepat: parseInt(toleransi) || 0,
+    potonganPerMenit: parseFloat(potongan) || 0,
+  };
+}
+
+/**
+ * Menit pulang cepat: 0 jika masih dalam toleransi, selain itu dihitung
+ * penuh dari jam selesai jadwal (sama seperti calculateLateMinutes)
+ */
+function calculateEarlyLeaveMinutes(minutesBeforeEnd, toleransi = 0) {
+  if (minutesBeforeEnd <= 0 || minutesBeforeEnd <= toleransi) return 0;
+  return minutesBeforeEnd;
+}
+
+/**
+ * Hitung field jam kerja untuk disimpan ke record attendance
+ * @param {Object} schedule - Jadwal attendance
+ * @param {Object} attendance - { tanggal, jam_masuk, jam_pulang, istirahat_menit }
+ * @param {Object} policy - Hasil getWorkPolicy
+ * @returns {Object} { jam_masuk, jam_pulang, waktu_masuk, waktu_pulang, kerja_menit, pulang_cepat_menit, potongan_pulang_cepat }
+ */
+function calculateWorkMetrics(schedule, attendance, policy) {
+  const { timezone } = policy;
+  const jamMasuk = normalizeJam(attendance.jam_masuk);
+  const jamPulang = normalizeJam(attendance.jam_pulang);
+  const { waktu_masuk, waktu_pulang } = toWorkTimestamps(
+    schedule,
+    attendance.tanggal,
+    jamMasuk,
+    jamPulang,
+    timezone
+  );
+
+  let kerjaMenit = 0;
+  let pulangCepatMenit = 0;
+
+  if (waktu_masuk && waktu_pulang) {
+    const durasi = Math.round((waktu_pulang - waktu_masuk) / MS_PER_MINUTE);
+    kerjaMenit = Math.max(0, durasi - (attendance.istirahat_menit || 0));
+
+    // Pulang sebelum jam selesai jadwal (hari kerja saja)
+    const shiftEnd = toShiftMinutes(schedule, schedule.jam_selesai);
+    if (shiftEnd !== null && !isRestDay(schedule, attendance.tanggal)) {
+      const jadwalSelesai = zonedTimeToDate(
+        toDateOnlyKey(attendance.tanggal),
+        shiftEnd,
+        timezone
+      );
+      pulangCepatMenit = calculateEarlyLeaveMinutes(
+        Math.round((jadwalSelesai - waktu_pulang) / MS_PER_MINUTE),
+        policy.toleransiPulangCepat
+      );
+    }
+  }
+
+  return {
+    jam_masuk: jamMasuk,
+    jam_pulang: jamPulang,
+    waktu_masuk,
+    waktu_pulang,
+    kerja_menit: kerjaMenit,
+    pulang_cepat_menit: pulangCepatMenit,
+    potongan_pulang_cepat: Math.round(
+      pulangCepatMenit * (policy.potonganPerMenit || 0)
+    ),
+  };
+}
+
+/**
+ * Versi async calculateWorkMetrics (kebijakan dibaca dari pengaturan)
+ */
+async function buildWorkMetrics(prisma, schedule, attendance) {
+  const policy = await getWorkPolicy(prisma);
+  return calculateWorkMetrics(schedule, attendance, policy);
+}
+
+/**
+ * Senin dari minggu tanggal tersebut ("YYYY-MM-DD")
+ */
+function getWeekStart(dateKey) {
+  const day = dateKeyToDate(dateKey).getUTCDay();
+  return addDays(dateKey, -((day + 6) % 7));
+}
+
+const emptyTotals = () => ({
+  hari_kerja: 0,
+  kerja_menit: 0,
+  terlambat_menit: 0,
+  pulang_cepat_menit: 0,
+  lembur_menit: 0,
+});
+
+// countDay: false untuk blok split shift kedua dst. di hari yang sama
+function addToTotals(totals, attendance, countDay) {
+  if (countDay) totals.hari_kerja++;
+  totals.kerja_menit += attendance.kerja_menit || 0;
+  totals.terlambat_menit += attendance.terlambat_menit || 0;
+  totals.pulang_cepat_menit += attendance.pulang_cepat_menit || 0;
+  totals.lembur_menit += attendance.lembur_menit || 0;
+}
+
+/**
+ * Rekap jam kerja per karyawan untuk satu bulan
+ *
+ * Minggu dihitung Senin-Minggu. Minggu yang terpotong pergantian bulan
+ * tetap dihitung penuh (termasuk hari di bulan sebelah) agar bisa
+ * dibandingkan dengan norma mingguan.
+ *
+ * @param {Object} options
+ * @param {number} options.year
+ * @param {number} options.month - 1-12
+ * @param {number} options.employeeId - Opsional, satu karyawan saja
+ * @returns {Object} { periode, norma_jam_per_minggu, employees }
+ */
+async function getWorkHoursSummary(prisma, { year, month, employeeId }) {
+  const normaJam = parseFloat(await getSetting(prisma, "norma_jam_per_minggu"));
+  const normaMenit = Math.round((normaJam || 0) * 60);
+
+  const monthRange = getMonthRange(year, month);
+  const monthStartKey = toDateOnlyKey(monthRange.start);
+  const monthEndKey = toDateOnlyKey(monthRange.end);
+  const firstWeek = getWeekStart(monthStartKey);
+  const lastWeek = getWeekStart(monthEndKey);
+
+  const employees = await prisma.employee.findMany({
+    where: employeeId ? { employee_id: employeeId } : {},
+    select: { employee_id: true, nama_lengkap: true, jabatan: true },
+    orderBy: { nama_lengkap: "asc" },
+  });
+
+  const attendances = await prisma.attendance.findMany({
+    where: {
+      employee_id: { in: employees.map((e) => e.employee_id) },
+      tanggal: {
+        gte: dateKeyToDate(firstWeek),
+        lt: dateKeyToDate(addDays(lastWeek, 7)),
+      },
+    },
+    select: {
+      employee_id: true,
+      tanggal: true,
+      jam_masuk: true,
+      kerja_menit: true,
+      terlambat_menit: true,
+      pulang_cepat_menit: true,
+      lembur_menit: true,
+    },
+  });
+
+  const weekKeys = [];
+  for (let key = firstWeek; key <= lastWeek; key = addDays(key, 7)) {
+    weekKeys.push(key);
+  }
+
+  const summaryByEmployee = {};
+  employees.forEach((e) => {
+    const weeks = {};
+    weekKeys.forEach((key) => (weeks[key] = emptyTotals()));
+    summaryByEmployee[e.employee_id] = {
+      bulan: emptyTotals(),
+      weeks,
+    };
+  });
+
+  const countedDays = new Set();
+
+  attendances.forEach((a) => {
+    const summary = summaryByEmployee[a.employee_id];
+    const dateKey = toDateOnlyKey(a.tanggal);
+    const dayKey = `${a.employee_id}|${dateKey}`;
+    const countDay = !!a.jam_masuk && !countedDays.has(dayKey);
+    if (countDay) countedDays.add(dayKey);
+
+    addToTotals(summary.weeks[getWeekStart(dateKey)], a, countDay);
+    if (dateKey >= monthStartKey && dateKey <= monthEndKey) {
+      addToTotals(summary.bulan, a, countDay);
+    }
+  });
+
+  return {
+    periode: `${year}-${String(month).padStart(2, "0")}`,
+    norma_jam_per_minggu: normaJam,
+    employees: employees.map((employee) => {
+      const { bulan, weeks } = summaryByEmployee[employee.employee_id];
+      return {
+        employee_id: employee.employee_id,
+        nama_lengkap: employee.nama_lengkap,
+        jabatan: employee.jabatan || "-",
+        bulan: {
+          ...bulan,
+          jam_kerja: toHours(bulan.kerja_menit),
+        },
+        mingguan: weekKeys.map((key) => ({
+          minggu_mulai: key,
+          minggu_selesai: addDays(key, 6),
+          ...weeks[key],
+          jam_kerja: toHours(weeks[key].kerja_menit),
+          selisih_norma_menit: weeks[key].kerja_menit - normaMenit,
+          memenuhi_norma: weeks[key].kerja_menit >= normaMenit,
+        })),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  normalizeJam,
+  getWorkPolicy,
+  calculateEarlyLeaveMinutes,
+  calculateWorkMetrics,
+  buildWorkMetrics,
+  getWorkHoursSummary,
+};